@@ -1,595 +1,2564 @@
-const express = require('express');
-const { StateGraph, END } = require('@langchain/langgraph');
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
-const { HumanMessage, SystemMessage } = require('@langchain/core/messages');
-
-const app = express();
-app.use(express.json({ limit: '50mb' }));
-require('dotenv').config();
-
-// Initialize Gemini model
-const model = new ChatGoogleGenerativeAI({
-  model: "gemini-2.0-flash",
-  temperature: 0.3,
-  apiKey: process.env.GOOGLE_API_KEY
-});
-
-// State schema for the workflow
-class WorkflowState {
-  constructor() {
-    this.inputPapers = [];
-    this.extractedMetadata = [];
-    this.generatedCriteria = [];
-    this.evaluationResults = [];
-    this.criteriaStats = {};
-    this.finalSelectedPapers = [];
-    this.currentStep = '';
-    this.errors = [];
-  }
-}
-
-// Agent 1: Input Processing
-async function agent1_processInput(state) {
-  console.log("🤖 Agent 1: Processing input papers...");
-  
-  try {
-    // Validate input
-    if (!state.inputPapers || state.inputPapers.length !== 50) {
-      throw new Error("Expected exactly 50 research papers");
-    }
-    
-    // Validate each paper has required fields
-    for (let i = 0; i < state.inputPapers.length; i++) {
-      const paper = state.inputPapers[i];
-      if (!paper.title || !paper.abstract) {
-        throw new Error(`Paper ${i + 1} missing required fields: title, or abstract`);
-      }
-    }
-    
-    state.currentStep = 'Input Processed';
-    console.log(`✅ Agent 1: Successfully validated ${state.inputPapers.length} papers`);
-    
-    return state;
-  } catch (error) {
-    state.errors.push(`Agent 1 Error: ${error.message}`);
-    throw error;
-  }
-}
-
-// Agent 2: Metadata Extraction
-async function agent2_extractMetadata(state) {
-  console.log("🤖 Agent 2: Extracting metadata from papers...");
-  
-  try {
-    const extractedMetadata = [];
-    
-    for (let i = 0; i < state.inputPapers.length; i++) {
-      const paper = state.inputPapers[i];
-      
-      const prompt = `
-      Extract comprehensive metadata from this research paper. Return a JSON object with the following structure:
-      {
-        "title": "paper title",
-        "authors": ["author1", "author2"],
-        "journal": "journal name",
-        "year": 2024,
-        "keywords": ["keyword1", "keyword2"],
-        "research_domain": "primary research field",
-        "methodology": "research methodology used",
-        "sample_size": "if applicable",
-        "study_type": "experimental/observational/review/etc",
-        "main_findings": "brief summary of key findings",
-        "limitations": "study limitations if mentioned",
-        "abstract_summary": "concise abstract summary"
-      }
-      
-      Paper Details:
-      Title: ${paper.title}
-      Abstract: ${paper.abstract}
-      
-      Extract only factual information present in the paper. If information is not available, use "Not specified".
-      `;
-      
-      const response = await model.invoke([
-        new SystemMessage("You are a research paper metadata extraction expert. Extract accurate metadata and return valid JSON only."),
-        new HumanMessage(prompt)
-      ]);
-      
-      try {
-        const metadata = JSON.parse(response.content);
-        metadata.paper_id = i + 1;
-        metadata.original_index = i;
-        extractedMetadata.push(metadata);
-      } catch (parseError) {
-        // Fallback extraction if JSON parsing fails
-        extractedMetadata.push({
-          paper_id: i + 1,
-          original_index: i,
-          title: paper.title,
-          abstract_summary: paper.abstract.substring(0, 200),
-          research_domain: "Not specified",
-          methodology: "Not specified",
-          study_type: "Not specified",
-          main_findings: "Not specified",
-          keywords: [],
-          authors: [],
-          journal: "Not specified",
-          year: "Not specified"
-        });
-      }
-      
-      // Progress indicator
-      if ((i + 1) % 10 === 0) {
-        console.log(`📊 Agent 2: Processed ${i + 1}/50 papers`);
-      }
-    }
-    
-    state.extractedMetadata = extractedMetadata;
-    state.currentStep = 'Metadata Extracted';
-    console.log("✅ Agent 2: Metadata extraction completed");
-    
-    return state;
-  } catch (error) {
-    state.errors.push(`Agent 2 Error: ${error.message}`);
-    throw error;
-  }
-}
-
-// Agent 3: Generate Screening Criteria
-async function agent3_generateCriteria(state) {
-  console.log("🤖 Agent 3: Generating screening criteria...");
-  
-  try {
-    // Analyze metadata to understand the research landscape
-    const metadataSummary = state.extractedMetadata.map(paper => ({
-      title: paper.title,
-      research_domain: paper.research_domain,
-      methodology: paper.methodology,
-      study_type: paper.study_type,
-      keywords: paper.keywords
-    }));
-    
-    const prompt = `
-    Based on the metadata of 50 research papers, generate 6 comprehensive screening criteria/questions that would help identify the most relevant and high-quality papers for systematic review.
-    
-    Metadata Summary:
-    ${JSON.stringify(metadataSummary, null, 2)}
-    
-    Generate 6 criteria that can be answered with Yes/Maybe/No. Each criterion should:
-    1. Be specific and measurable
-    2. Focus on different aspects (methodology, relevance, quality, scope, etc.)
-    3. Help distinguish between high-quality and lower-quality papers
-    4. Be applicable to the research domain represented in these papers
-    
-    Return a JSON array with this structure:
-    [
-      {
-        "id": 1,
-        "criterion": "Clear research question statement",
-        "description": "Does the paper clearly state its research question or hypothesis?",
-        "evaluation_focus": "clarity and specificity of research objectives"
-      },
-      // ... 5 more criteria
-    ]
-    
-    Make sure criteria are relevant to the research domain and can effectively screen papers.
-    `;
-    
-    const response = await model.invoke([
-      new SystemMessage("You are a systematic review expert. Generate comprehensive screening criteria that will effectively filter research papers for quality and relevance."),
-      new HumanMessage(prompt)
-    ]);
-    
-    const criteria = JSON.parse(response.content);
-    
-    if (!Array.isArray(criteria) || criteria.length !== 6) {
-      throw new Error("Failed to generate exactly 6 criteria");
-    }
-    
-    state.generatedCriteria = criteria;
-    state.currentStep = 'Criteria Generated';
-    console.log("✅ Agent 3: Generated 6 screening criteria");
-    
-    return state;
-  } catch (error) {
-    state.errors.push(`Agent 3 Error: ${error.message}`);
-    throw error;
-  }
-}
-
-// Agent 4: Evaluate Papers Against Criteria
-async function agent4_evaluatePapers(state) {
-  console.log("🤖 Agent 4: Evaluating papers against criteria...");
-  
-  try {
-    const evaluationResults = [];
-    
-    for (let i = 0; i < state.inputPapers.length; i++) {
-      const paper = state.inputPapers[i];
-      const metadata = state.extractedMetadata[i];
-      
-      const criteriaText = state.generatedCriteria.map(c => 
-        `Criterion ${c.id}: ${c.criterion} - ${c.description}`
-      ).join('\n');
-      
-      const prompt = `
-      Evaluate this research paper against the following 6 criteria. For each criterion, respond with exactly "Yes", "Maybe", or "No" based on the paper metadata.
-      
-      CRITERIA:
-      ${criteriaText}
-      
-      PAPER TO EVALUATE:
-      Title: ${paper.title}
-      Abstract: ${paper.abstract}
-      
-      EVALUATION GUIDELINES:
-      - "Yes": Paper clearly meets the criterion
-      - "Maybe": Paper partially meets the criterion or unclear evidence
-      - "No": Paper does not meet the criterion
-      
-      Return ONLY a JSON object in this exact format:
-      {
-        "paper_id": ${i + 1},
-        "title": "${paper.title}",
-        "evaluations": [
-          {"criterion_id": 1, "response": "Yes/Maybe/No", "reasoning": "brief explanation"},
-          {"criterion_id": 2, "response": "Yes/Maybe/No", "reasoning": "brief explanation"},
-          {"criterion_id": 3, "response": "Yes/Maybe/No", "reasoning": "brief explanation"},
-          {"criterion_id": 4, "response": "Yes/Maybe/No", "reasoning": "brief explanation"},
-          {"criterion_id": 5, "response": "Yes/Maybe/No", "reasoning": "brief explanation"},
-          {"criterion_id": 6, "response": "Yes/Maybe/No", "reasoning": "brief explanation"}
-        ]
-      }
-      `;
-      
-      const response = await model.invoke([
-        new SystemMessage("You are a systematic review expert. Evaluate research papers objectively against screening criteria. Return only valid JSON."),
-        new HumanMessage(prompt)
-      ]);
-      
-      try {
-        const evaluation = JSON.parse(response.content);
-        
-        // Validate evaluation structure
-        if (!evaluation.evaluations || evaluation.evaluations.length !== 6) {
-          throw new Error("Invalid evaluation structure");
-        }
-        
-        // Ensure all responses are valid
-        evaluation.evaluations = evaluation.evaluations.map(eval => ({
-          ...eval,
-          response: ['Yes', 'Maybe', 'No'].includes(eval.response) ? eval.response : 'No'
-        }));
-        
-        evaluationResults.push(evaluation);
-      } catch (parseError) {
-        // Fallback evaluation
-        evaluationResults.push({
-          paper_id: i + 1,
-          title: paper.title,
-          evaluations: state.generatedCriteria.map(c => ({
-            criterion_id: c.id,
-            response: "Maybe",
-            reasoning: "Evaluation failed, marked as Maybe"
-          }))
-        });
-      }
-      
-      // Progress indicator
-      if ((i + 1) % 10 === 0) {
-        console.log(`📊 Agent 4: Evaluated ${i + 1}/50 papers`);
-      }
-    }
-    
-    state.evaluationResults = evaluationResults;
-    state.currentStep = 'Papers Evaluated';
-    console.log("✅ Agent 4: Paper evaluation completed");
-    
-    return state;
-  } catch (error) {
-    state.errors.push(`Agent 4 Error: ${error.message}`);
-    throw error;
-  }
-}
-
-// Agent 5: Generate Statistics
-async function agent5_generateStats(state) {
-  console.log("🤖 Agent 5: Generating criteria statistics...");
-  
-  try {
-    const stats = {};
-    
-    // Initialize stats for each criterion
-    state.generatedCriteria.forEach(criterion => {
-      stats[criterion.id] = {
-        criterion: criterion.criterion,
-        description: criterion.description,
-        yes_count: 0,
-        maybe_count: 0,
-        no_count: 0,
-        yes_papers: [],
-        maybe_papers: [],
-        no_papers: []
-      };
-    });
-    
-    // Count responses for each criterion
-    state.evaluationResults.forEach(paperEval => {
-      paperEval.evaluations.forEach(eval => {
-        const criterionStat = stats[eval.criterion_id];
-        if (criterionStat) {
-          switch (eval.response) {
-            case 'Yes':
-              criterionStat.yes_count++;
-              criterionStat.yes_papers.push({
-                paper_id: paperEval.paper_id,
-                title: paperEval.title,
-                reasoning: eval.reasoning
-              });
-              break;
-            case 'Maybe':
-              criterionStat.maybe_count++;
-              criterionStat.maybe_papers.push({
-                paper_id: paperEval.paper_id,
-                title: paperEval.title,
-                reasoning: eval.reasoning
-              });
-              break;
-            case 'No':
-              criterionStat.no_count++;
-              criterionStat.no_papers.push({
-                paper_id: paperEval.paper_id,
-                title: paperEval.title,
-                reasoning: eval.reasoning
-              });
-              break;
-          }
-        }
-      });
-    });
-    
-    state.criteriaStats = stats;
-    state.currentStep = 'Statistics Generated';
-    console.log("✅ Agent 5: Statistics generation completed");
-    
-    return state;
-  } catch (error) {
-    state.errors.push(`Agent 5 Error: ${error.message}`);
-    throw error;
-  }
-}
-
-// Agent 6: Select Top 10 Papers
-async function agent6_selectTopPapers(state) {
-  console.log("🤖 Agent 6: Selecting top 10 papers...");
-  
-  try {
-    const scoredPapers = [];
-    
-    // Score each paper based on evaluation results
-    state.evaluationResults.forEach(paperEval => {
-      let yesCount = 0;
-      let maybeCount = 0;
-      let noCount = 0;
-      
-      paperEval.evaluations.forEach(eval => {
-        switch (eval.response) {
-          case 'Yes': yesCount++; break;
-          case 'Maybe': maybeCount++; break;
-          case 'No': noCount++; break;
-        }
-      });
-      
-      // Calculate eligibility score
-      // Priority: All Yes > 5 Yes + 1 Maybe > 4 Yes + 2 Maybe, etc.
-      let eligibilityScore = 0;
-      let isEligible = false;
-      
-      if (yesCount === 6) {
-        eligibilityScore = 1000; // Highest priority
-        isEligible = true;
-      } else if (yesCount === 5 && maybeCount === 1) {
-        eligibilityScore = 900;
-        isEligible = true;
-      } else if (yesCount === 4 && maybeCount === 2) {
-        eligibilityScore = 800;
-        isEligible = true;
-      } else if (yesCount >= 3 && (yesCount + maybeCount) >= 5) {
-        eligibilityScore = 700;
-        isEligible = true;
-      }
-      
-      // Add bonus points for quality indicators
-      eligibilityScore += (yesCount * 10) + (maybeCount * 5);
-      
-      scoredPapers.push({
-        paper_id: paperEval.paper_id,
-        title: paperEval.title,
-        yes_count: yesCount,
-        maybe_count: maybeCount,
-        no_count: noCount,
-        eligibility_score: eligibilityScore,
-        is_eligible: isEligible,
-        evaluations: paperEval.evaluations,
-        original_index: paperEval.paper_id - 1
-      });
-    });
-    
-    // Sort by eligibility score (descending)
-    scoredPapers.sort((a, b) => b.eligibility_score - a.eligibility_score);
-    
-    // Select top 10 eligible papers, or top 10 overall if not enough eligible
-    const eligiblePapers = scoredPapers.filter(p => p.is_eligible);
-    let selectedPapers;
-    
-    if (eligiblePapers.length >= 10) {
-      selectedPapers = eligiblePapers.slice(0, 10);
-    } else {
-      // If less than 10 eligible, take all eligible + highest scoring non-eligible
-      const nonEligible = scoredPapers.filter(p => !p.is_eligible);
-      const needed = 10 - eligiblePapers.length;
-      selectedPapers = [...eligiblePapers, ...nonEligible.slice(0, needed)];
-    }
-    
-    // Add original paper data
-    selectedPapers = selectedPapers.map(paper => ({
-      ...paper,
-      original_paper: state.inputPapers[paper.original_index],
-      metadata: state.extractedMetadata[paper.original_index]
-    }));
-    
-    state.finalSelectedPapers = selectedPapers;
-    state.currentStep = 'Top 10 Selected';
-    console.log(`✅ Agent 6: Selected top ${selectedPapers.length} papers`);
-    
-    return state;
-  } catch (error) {
-    state.errors.push(`Agent 6 Error: ${error.message}`);
-    throw error;
-  }
-}
-
-// Create the workflow graph
-function createWorkflow() {
-  const workflow = new StateGraph(WorkflowState);
-  
-  // Add nodes (agents)
-  workflow.addNode("agent1", agent1_processInput);
-  workflow.addNode("agent2", agent2_extractMetadata);
-  workflow.addNode("agent3", agent3_generateCriteria);
-  workflow.addNode("agent4", agent4_evaluatePapers);
-  workflow.addNode("agent5", agent5_generateStats);
-  workflow.addNode("agent6", agent6_selectTopPapers);
-  
-  // Define the flow
-  workflow.setEntryPoint("agent1");
-  workflow.addEdge("agent1", "agent2");
-  workflow.addEdge("agent2", "agent3");
-  workflow.addEdge("agent3", "agent4");
-  workflow.addEdge("agent4", "agent5");
-  workflow.addEdge("agent5", "agent6");
-  workflow.addEdge("agent6", END);
-  
-  return workflow.compile();
-}
-
-// API Routes
-app.post('/screen-papers', async (req, res) => {
-  try {
-    console.log("🚀 Starting research paper screening workflow...");
-    
-    const { papers } = req.body;
-    
-    if (!papers || !Array.isArray(papers)) {
-      return res.status(400).json({
-        error: "Invalid input: 'papers' should be an array",
-        required_format: {
-          papers: [
-            {
-              title: "Paper title",
-              abstract: "Paper abstract"
-            }
-          ]
-        }
-      });
-    }
-    
-    // Initialize state
-    const initialState = new WorkflowState();
-    initialState.inputPapers = papers;
-    
-    // Create and run workflow
-    const workflow = createWorkflow();
-    const finalState = await workflow.invoke(initialState);
-    
-    // Prepare response
-    const response = {
-      success: true,
-      workflow_steps: finalState.currentStep,
-      input_papers_count: finalState.inputPapers.length,
-      generated_criteria: finalState.generatedCriteria,
-      criteria_statistics: finalState.criteriaStats,
-      selected_papers_count: finalState.finalSelectedPapers.length,
-      selected_papers: finalState.finalSelectedPapers.map(paper => ({
-        rank: finalState.finalSelectedPapers.indexOf(paper) + 1,
-        paper_id: paper.paper_id,
-        title: paper.title,
-        eligibility_score: paper.eligibility_score,
-        criteria_results: {
-          yes_count: paper.yes_count,
-          maybe_count: paper.maybe_count,
-          no_count: paper.no_count
-        },
-        detailed_evaluations: paper.evaluations,
-        metadata: paper.metadata
-      })),
-      errors: finalState.errors
-    };
-    
-    console.log("✅ Workflow completed successfully!");
-    res.json(response);
-    
-  } catch (error) {
-    console.error("❌ Workflow failed:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: 'Research Paper Screening Agent',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Get workflow status
-app.get('/workflow-info', (req, res) => {
-  res.json({
-    service: "Research Paper Screening Agentic Workflow",
-    agents: [
-      { id: 1, name: "Input Processor", function: "Validate and process input papers" },
-      { id: 2, name: "Metadata Extractor", function: "Extract comprehensive metadata from papers" },
-      { id: 3, name: "Criteria Generator", function: "Generate 6 screening criteria based on metadata" },
-      { id: 4, name: "Paper Evaluator", function: "Evaluate each paper against criteria (Yes/Maybe/No)" },
-      { id: 5, name: "Statistics Generator", function: "Generate statistics for criteria responses" },
-      { id: 6, name: "Top Papers Selector", function: "Select top 10 papers based on evaluation scores" }
-    ],
-    model: "gemini-2.0-flash-exp",
-    framework: "LangGraph + LangChain"
-  });
-});
-
-// Example endpoint for testing with dummy data
-app.get('/test-dummy', async (req, res) => {
-  const dummyPapers = Array.from({ length: 50 }, (_, i) => ({
-    title: `Research Paper ${i + 1}: Impact of AI on Healthcare Systems`,
-    abstract: `This study examines the implementation of artificial intelligence in healthcare systems. The research focuses on efficiency improvements, cost reduction, and patient outcome enhancement. We conducted a comprehensive analysis of ${Math.floor(Math.random() * 1000) + 100} healthcare facilities over a ${Math.floor(Math.random() * 3) + 1}-year period.`,
-  }));
-  
-  try {
-    const workflow = createWorkflow();
-    const initialState = new WorkflowState();
-    initialState.inputPapers = dummyPapers;
-    
-    const finalState = await workflow.invoke(initialState);
-    res.json({ message: "Test completed successfully", results: finalState });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`🚀 Research Paper Screening Agent running on port ${PORT}`);
-  console.log(`📊 Workflow Info: http://localhost:${PORT}/workflow-info`);
-  console.log(`🔍 Screen Papers: POST http://localhost:${PORT}/screen-papers`);
-  console.log(`🧪 Test Dummy: GET http://localhost:${PORT}/test-dummy`);
-});
-
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const { StateGraph, START, END, MemorySaver } = require('@langchain/langgraph');
+const { HumanMessage, SystemMessage } = require('@langchain/core/messages');
+const { resolveUserCriteria, findHardExclusions } = require('./criteria');
+const { DEFAULT_LLM_SETTINGS, PROVIDERS, resolveLlmSettings, describeLlmSettings, getModel } = require('./llm');
+const { mapInOrder } = require('./scheduler');
+const { METADATA_SCHEMA, normalizeMetadata, CLUSTER_SUMMARY_SCHEMA, criteriaSchema, evaluationSchema, invokeStructured } = require('./structured');
+const store = require('./store');
+const { cacheKey, readCache, writeCache, describeCache, clearCache } = require('./cache');
+const { REVIEW_CHECKPOINTS, buildReviewQueue, resolveOverrides, applyOverrides } = require('./review');
+const { createJob, getJob, cancelJob, deleteJob, describeJob, followJob, isFinished } = require('./jobs');
+const { IMPORT_FORMATS, CONTENT_TYPE_FORMATS, importPapers } = require('./importers');
+const { EXPORT_FORMATS } = require('./exports');
+const { deduplicatePapers, clusterDuplicates } = require('./dedup');
+const { PROMPT_VARIANTS, resolveEnsemble, combineEvaluations, agreementStatistics } = require('./ensemble');
+const { DEFAULT_SELECTION, resolveSelection, findUnknownCriteria, scorePaper, findRuleExclusions, describeExclusions } = require('./selection');
+const { extractPdfText, describeSections, chunkFullText, selectChunks, metadataChunks } = require('./fulltext');
+const { EVIDENCE_POLICIES, verifyEvidence, groundednessScore } = require('./evidence');
+const { budgetError, resolvePricing, createUsage, recordUsage, budgetExceeded } = require('./usage');
+const { AUTH_ENABLED, authenticate, requireScope, hasScope, canAccess, takeLlmCall, describeAuth } = require('./auth');
+const { resolveCalibration, scoreIteration, bestIteration, refinementFeedback, describeCalibration } = require('./calibration');
+const { resolveCriteriaChanges, selectNewPapers, mergeEvaluation, snapshotScreening, describeRescreen } = require('./rescreen');
+const { MAX_CLUSTERS, analyzeLandscape } = require('./landscape');
+const { PROMPT_TASKS, resolvePrompts, promptTemplate, renderPrompt, describePrompts, promptVersions, listPrompts } = require('./prompts');
+
+const app = express();
+// API keys, scopes and request quotas are checked before any body is parsed
+app.use(authenticate);
+app.use(express.json({ limit: '50mb' }));
+// Raw reference-manager exports (RIS, BibTeX, PubMed XML, MEDLINE, CSV) for POST /import
+app.use(express.text({ type: [...Object.keys(CONTENT_TYPE_FORMATS), 'text/plain'], limit: '50mb' }));
+// PDFs for POST /full-text/extract
+app.use(express.raw({ type: 'application/pdf', limit: '50mb' }));
+
+// Corpus size and selection defaults; overridable per request via `options`
+const DEFAULT_SCREENING_OPTIONS = {
+  min_papers: 1,
+  max_papers: parseInt(process.env.MAX_PAPERS, 10) || 1000,
+  top_k: 10,
+  top_percent: null,
+  select_all_eligible: false,
+  // Pause for human review 'after_evaluation' (agent 4) or 'after_selection' (agent 6)
+  review_checkpoint: null,
+  review_maybe_threshold: 2,
+  review_borderline_margin: 2,
+  // Merge duplicate records (same DOI/PMID, near-identical title and year, or abstract) before screening
+  deduplicate: true,
+  dedup_title_threshold: 0.9,
+  dedup_abstract_threshold: 0.85,
+  // Reuse cached metadata extractions and evaluations for unchanged papers, criteria and models
+  use_cache: process.env.LLM_CACHE !== 'off',
+  // Topic clusters and study type, methodology and year distributions of the corpus (agent 2b),
+  // with a model-written summary per cluster; null lets the corpus size pick the cluster count
+  landscape: true,
+  landscape_clusters: null,
+  landscape_summaries: true,
+  // How agent 6 scores and picks papers: strategy, weights, thresholds and exclusion rules
+  selection: DEFAULT_SELECTION,
+  // Second stage: re-screen the abstract-stage selection against each paper's full text
+  // (`full_text` or `pdf_base64` on the paper)
+  full_text_screening: false,
+  // Verdicts whose supporting quotes cannot be found in the paper: 'downgrade' to Maybe or just 'flag'
+  evidence_policy: 'downgrade',
+  // Minimum fuzzy-match similarity for a quote to count as found
+  evidence_match_threshold: 0.85,
+  // Per-run budget; the run stops once either is spent (null for no limit)
+  max_tokens: null,
+  max_cost_usd: null
+};
+
+// Merge request options over the defaults and validate them.
+// Returns { options } on success or { error } describing the first problem found.
+function resolveScreeningOptions(rawOptions = {}) {
+  if (typeof rawOptions !== 'object' || Array.isArray(rawOptions)) {
+    return { error: "'options' should be an object" };
+  }
+  
+  const options = { ...DEFAULT_SCREENING_OPTIONS };
+  for (const key of Object.keys(DEFAULT_SCREENING_OPTIONS)) {
+    if (rawOptions[key] !== undefined && rawOptions[key] !== null) {
+      options[key] = rawOptions[key];
+    }
+  }
+  
+  for (const key of ['min_papers', 'max_papers', 'top_k']) {
+    if (!Number.isInteger(options[key]) || options[key] < 1) {
+      return { error: `'options.${key}' should be a positive integer` };
+    }
+  }
+  if (options.min_papers > options.max_papers) {
+    return { error: "'options.min_papers' cannot be greater than 'options.max_papers'" };
+  }
+  if (options.top_percent !== null &&
+      (typeof options.top_percent !== 'number' || options.top_percent <= 0 || options.top_percent > 100)) {
+    return { error: "'options.top_percent' should be a number in (0, 100]" };
+  }
+  if (typeof options.select_all_eligible !== 'boolean') {
+    return { error: "'options.select_all_eligible' should be a boolean" };
+  }
+  if (options.review_checkpoint !== null && !REVIEW_CHECKPOINTS[options.review_checkpoint]) {
+    return { error: `'options.review_checkpoint' should be one of: ${Object.keys(REVIEW_CHECKPOINTS).join(', ')}` };
+  }
+  if (!Number.isInteger(options.review_maybe_threshold) || options.review_maybe_threshold < 1) {
+    return { error: "'options.review_maybe_threshold' should be a positive integer" };
+  }
+  if (!Number.isInteger(options.review_borderline_margin) || options.review_borderline_margin < 0) {
+    return { error: "'options.review_borderline_margin' should be a non-negative integer" };
+  }
+  if (typeof options.use_cache !== 'boolean') {
+    return { error: "'options.use_cache' should be a boolean" };
+  }
+  for (const key of ['landscape', 'landscape_summaries']) {
+    if (typeof options[key] !== 'boolean') {
+      return { error: `'options.${key}' should be a boolean` };
+    }
+  }
+  if (options.landscape_clusters !== null &&
+      (!Number.isInteger(options.landscape_clusters) || options.landscape_clusters < 1 || options.landscape_clusters > MAX_CLUSTERS)) {
+    return { error: `'options.landscape_clusters' should be an integer between 1 and ${MAX_CLUSTERS}` };
+  }
+  if (options.max_tokens !== null && (!Number.isInteger(options.max_tokens) || options.max_tokens < 1)) {
+    return { error: "'options.max_tokens' should be a positive integer" };
+  }
+  if (options.max_cost_usd !== null && (typeof options.max_cost_usd !== 'number' || options.max_cost_usd <= 0)) {
+    return { error: "'options.max_cost_usd' should be a positive number" };
+  }
+  if (!EVIDENCE_POLICIES.includes(options.evidence_policy)) {
+    return { error: `'options.evidence_policy' should be one of: ${EVIDENCE_POLICIES.join(', ')}` };
+  }
+  if (typeof options.evidence_match_threshold !== 'number' || options.evidence_match_threshold <= 0 || options.evidence_match_threshold > 1) {
+    return { error: "'options.evidence_match_threshold' should be a number in (0, 1]" };
+  }
+  if (typeof options.full_text_screening !== 'boolean') {
+    return { error: "'options.full_text_screening' should be a boolean" };
+  }
+  if (typeof options.deduplicate !== 'boolean') {
+    return { error: "'options.deduplicate' should be a boolean" };
+  }
+  for (const key of ['dedup_title_threshold', 'dedup_abstract_threshold']) {
+    if (typeof options[key] !== 'number' || options[key] <= 0 || options[key] > 1) {
+      return { error: `'options.${key}' should be a number in (0, 1]` };
+    }
+  }
+  
+  const resolvedSelection = resolveSelection(options.selection);
+  if (resolvedSelection.error) {
+    return { error: resolvedSelection.error };
+  }
+  options.selection = resolvedSelection.selection;
+  if (options.selection.max_per_cluster !== null && !options.landscape) {
+    return { error: "'options.selection.max_per_cluster' needs 'options.landscape' for the topic clusters" };
+  }
+  
+  return { options };
+}
+
+// Number of papers agent 6 should keep for a corpus of the given size
+function resolveSelectionSize(options, paperCount) {
+  if (options.top_percent !== null) {
+    return Math.min(paperCount, Math.max(1, Math.ceil(paperCount * options.top_percent / 100)));
+  }
+  return Math.min(paperCount, options.top_k);
+}
+
+// State schema for the workflow
+class WorkflowState {
+  constructor() {
+    this.inputPapers = [];
+    this.options = { ...DEFAULT_SCREENING_OPTIONS };
+    this.llm = { ...DEFAULT_LLM_SETTINGS };
+    this.ensemble = null;
+    this.prompts = null;
+    this.extractedMetadata = [];
+    this.landscape = null;
+    this.userCriteria = [];
+    this.criteriaSettings = { fill_gaps: false, target_count: 6 };
+    this.generatedCriteria = [];
+    this.calibration = null;
+    this.evaluationResults = [];
+    this.criteriaStats = {};
+    this.paperScores = [];
+    this.cacheStats = {};
+    this.usage = createUsage();
+    this.pricing = {};
+    this.finalSelectedPapers = [];
+    this.review = null;
+    this.runId = null;
+    this.projectId = null;
+    this.tenantId = null;
+    this.apiKeyId = null;
+    this.importReport = null;
+    this.deduplication = null;
+    this.screeningStage = 'abstract';
+    this.fullText = null;
+    this.rescreen = null;
+    this.currentStep = '';
+    this.errors = [];
+  }
+}
+
+// Forward a progress event to whoever started the workflow (jobs, streams)
+function reportProgress(config, event) {
+  const onProgress = config && config.configurable && config.configurable.onProgress;
+  if (onProgress) {
+    onProgress(event);
+  }
+}
+
+// Bibliographic fields that imported papers already carry; these are passed
+// through as-is rather than asking the model to guess them from the abstract.
+const BIBLIOGRAPHIC_FIELDS = ['authors', 'year', 'journal', 'doi', 'pmid'];
+
+function knownBibliographicFields(paper) {
+  return Object.fromEntries(BIBLIOGRAPHIC_FIELDS
+    .filter(field => (Array.isArray(paper[field]) ? paper[field].length > 0 : paper[field] !== undefined && paper[field] !== null && paper[field] !== ''))
+    .map(field => [field, paper[field]]));
+}
+
+// Full-text chunks as labelled passages the model can cite, e.g. [methods-1]
+function formatPassages(passages) {
+  return passages.map(p => `[${p.chunk_id}] (${p.section}) ${p.text}`).join('\n');
+}
+
+// System and user messages for `task`, from the run's prompt template with `values` filled in
+function promptMessages(state, task, values) {
+  const { system, user } = renderPrompt(promptTemplate(state.prompts, task), values);
+  return [new SystemMessage(system), new HumanMessage(user)];
+}
+
+// Serve a validated LLM output from the response cache, or produce it with `call` and
+// cache it. The key covers the task's prompt template (version and text hash) plus
+// `keyParts` (model settings, paper text, criteria). Hits and misses are counted per
+// task in state.cacheStats.
+async function withResponseCache(state, task, keyParts, call) {
+  if (!state.options.use_cache) {
+    return call();
+  }
+  
+  const template = promptTemplate(state.prompts, task);
+  const key = cacheKey({ task, prompt_version: template.version, prompt_sha256: template.sha256, ...keyParts });
+  const counts = state.cacheStats[task] || (state.cacheStats[task] = { hits: 0, misses: 0 });
+  const cached = await readCache(task, key);
+  if (cached) {
+    counts.hits++;
+    return cached;
+  }
+  
+  counts.misses++;
+  const value = await call();
+  try {
+    await writeCache(task, key, value);
+  } catch (error) {
+    console.warn(`⚠️ Cache: could not store ${task} result: ${error.message}`);
+  }
+  return value;
+}
+
+// The model for one agent's calls, with every call's token usage recorded in
+// state.usage (per agent, paper and model) and held to the run's budget
+function meteredModel(state, llm, { agent, paperId = null }) {
+  const model = getModel(llm);
+  return {
+    async invoke(messages, options) {
+      const spent = budgetExceeded(state.usage, state.options);
+      if (spent) throw budgetError(spent, state.usage);
+      takeLlmCall(state.apiKeyId);
+      
+      const response = await model.invoke(messages, options);
+      recordUsage(state.usage, { agent, paperId, llm }, response.usage_metadata, state.pricing);
+      
+      const exceeded = budgetExceeded(state.usage, state.options);
+      if (exceeded) throw budgetError(exceeded, state.usage);
+      return response;
+    }
+  };
+}
+
+// Only schema/parse failures degrade a paper; transport errors and cancellation propagate
+function isStructuredOutputError(error) {
+  return Array.isArray(error.validationErrors);
+}
+
+// Record a paper that ended up on fallback values, so it is visible in `errors`
+function recordDegradedPapers(state, agentLabel, items) {
+  items.filter(item => item.degraded).forEach(item => {
+    state.errors.push(`${agentLabel}: Paper ${item.paper_id} degraded - ${item.degraded_reason}`);
+  });
+}
+
+// Agent 1: Input Processing
+async function agent1_processInput(state) {
+  console.log("🤖 Agent 1: Processing input papers...");
+  
+  try {
+    // Validate input
+    const { min_papers, max_papers } = state.options;
+    if (!state.inputPapers || state.inputPapers.length < min_papers || state.inputPapers.length > max_papers) {
+      throw new Error(`Expected between ${min_papers} and ${max_papers} research papers, got ${state.inputPapers ? state.inputPapers.length : 0}`);
+    }
+    
+    // Validate each paper has required fields
+    for (let i = 0; i < state.inputPapers.length; i++) {
+      const paper = state.inputPapers[i];
+      if (!paper.title || !paper.abstract) {
+        throw new Error(`Paper ${i + 1} missing required fields: title, or abstract`);
+      }
+    }
+    
+    state.currentStep = 'Input Processed';
+    console.log(`✅ Agent 1: Successfully validated ${state.inputPapers.length} papers`);
+    
+    return state;
+  } catch (error) {
+    state.errors.push(`Agent 1 Error: ${error.message}`);
+    throw error;
+  }
+}
+
+// Agent 1b: Duplicate Detection
+// Merges copies of the same work so each is extracted, evaluated and selected once.
+// inputPapers is replaced by the merged list; paper ids downstream refer to it.
+// With deduplication off every copy is screened, and the clusters found here keep
+// agent 6 from selecting two copies of one work.
+async function agent1b_deduplicatePapers(state) {
+  console.log("🤖 Agent 1b: Detecting duplicate papers...");
+  
+  try {
+    const inputCount = state.inputPapers.length;
+    
+    const thresholds = {
+      titleThreshold: state.options.dedup_title_threshold,
+      abstractThreshold: state.options.dedup_abstract_threshold
+    };
+    
+    if (!state.options.deduplicate) {
+      const clusters = clusterDuplicates(state.inputPapers, thresholds);
+      state.deduplication = { enabled: false, input_count: inputCount, duplicates_removed: 0, clusters };
+      state.currentStep = 'Duplicates Checked';
+      console.log(`✅ Agent 1b: Deduplication disabled, ${clusters.length} duplicate clusters kept`);
+      return state;
+    }
+    
+    const { papers, clusters, duplicatesRemoved } = deduplicatePapers(state.inputPapers, thresholds);
+    
+    state.inputPapers = papers;
+    state.deduplication = { enabled: true, input_count: inputCount, duplicates_removed: duplicatesRemoved, clusters };
+    state.currentStep = 'Duplicates Removed';
+    console.log(`✅ Agent 1b: Removed ${duplicatesRemoved} duplicates in ${clusters.length} clusters (${papers.length} unique papers)`);
+    
+    return state;
+  } catch (error) {
+    state.errors.push(`Agent 1b Error: ${error.message}`);
+    throw error;
+  }
+}
+
+// Agent 2: Metadata Extraction
+async function agent2_extractMetadata(state, config) {
+  const fullTextStage = state.screeningStage === 'full_text';
+  console.log(fullTextStage
+    ? "🤖 Agent 2: Extracting metadata from full texts..."
+    : "🤖 Agent 2: Extracting metadata from papers...");
+  
+  try {
+    const total = state.inputPapers.length;
+    let completed = 0;
+    
+    // Papers are extracted concurrently through the LLM scheduler; results keep input order
+    const extractedMetadata = await mapInOrder(state.inputPapers, async (paper, i, signal) => {
+      // In the full-text stage only papers with full text are extracted again,
+      // and a re-screen only extracts its new papers
+      const fullText = fullTextStage ? state.fullText.papers[i + 1] : null;
+      const alreadyExtracted = state.rescreen && !state.rescreen.new_paper_ids.includes(i + 1);
+      if ((fullTextStage && !(fullText && fullText.chunks)) || alreadyExtracted) {
+        completed++;
+        return state.extractedMetadata[i];
+      }
+      const passages = fullText ? metadataChunks(fullText.chunks) : [];
+      const passageDetails = passages.length > 0
+        ? `\nFull-text excerpts (use these for methodology, sample size, findings and limitations):\n${formatPassages(passages)}\n`
+        : '';
+      
+      const known = knownBibliographicFields(paper);
+      const knownDetails = Object.keys(known).length > 0
+        ? `\nKnown bibliographic details (copy these as-is, do not infer them):\n${JSON.stringify(known)}\n`
+        : '';
+      const messages = promptMessages(state, 'extract_metadata', {
+        title: paper.title,
+        abstract: paper.abstract,
+        known_details: knownDetails,
+        passage_details: passageDetails
+      });
+      
+      let metadata;
+      let fallback = null;
+      try {
+        metadata = await withResponseCache(state, 'extract_metadata', {
+          llm: state.llm,
+          paper: { title: paper.title, abstract: paper.abstract, ...known },
+          passages: passages.length > 0 ? passages.map(p => p.text) : undefined
+        }, async () => (await invokeStructured(meteredModel(state, state.llm, { agent: 'agent2', paperId: i + 1 }), messages, { schema: METADATA_SCHEMA, normalize: normalizeMetadata, task: 'extract_metadata', input: { paper, passages }, signal })).value);
+        metadata.paper_id = i + 1;
+        metadata.original_index = i;
+        metadata.degraded = false;
+      } catch (parseError) {
+        if (!isStructuredOutputError(parseError)) throw parseError;
+        
+        // Fallback extraction if the model never produced valid metadata;
+        // a failed full-text pass keeps what the abstract pass found
+        fallback = `Metadata extraction failed: ${parseError.message}`;
+        metadata = fullText ? { ...state.extractedMetadata[i], degraded: true, degraded_reason: fallback } : {
+          paper_id: i + 1,
+          original_index: i,
+          title: paper.title,
+          abstract_summary: paper.abstract.substring(0, 200),
+          research_domain: "Not specified",
+          methodology: "Not specified",
+          study_type: "Not specified",
+          main_findings: "Not specified",
+          keywords: [],
+          authors: [],
+          journal: "Not specified",
+          year: "Not specified",
+          degraded: true,
+          degraded_reason: fallback
+        };
+      }
+      
+      // Imported records already know who wrote them and where; never let the model override that
+      Object.assign(metadata, known);
+      metadata.source = fullText ? 'full_text' : 'abstract';
+      
+      // Progress indicator
+      completed++;
+      reportProgress(config, {
+        type: 'paper_extracted',
+        node: 'agent2',
+        index: i,
+        completed,
+        total,
+        paper_id: i + 1,
+        title: paper.title,
+        fallback
+      });
+      if (completed % 10 === 0 || completed === total) {
+        console.log(`📊 Agent 2: Processed ${completed}/${total} papers`);
+      }
+      
+      return metadata;
+    }, { signal: config && config.signal });
+    
+    recordDegradedPapers(state, 'Agent 2', extractedMetadata);
+    
+    state.extractedMetadata = extractedMetadata;
+    state.currentStep = 'Metadata Extracted';
+    console.log("✅ Agent 2: Metadata extraction completed");
+    
+    return state;
+  } catch (error) {
+    state.errors.push(`Agent 2 Error: ${error.message}`);
+    throw error;
+  }
+}
+
+// Agent 2b: Landscape Analysis
+// Groups the papers into topic clusters from their text and extracted metadata, counts
+// study types, methodologies and publication years, and has the model summarise each
+// cluster. A failed summary leaves that cluster without one rather than failing the run.
+async function agent2b_analyzeLandscape(state, config) {
+  console.log("🤖 Agent 2b: Analyzing the research landscape...");
+  
+  try {
+    if (!state.options.landscape) {
+      state.landscape = null;
+      state.currentStep = 'Landscape Skipped';
+      console.log("✅ Agent 2b: Landscape analysis disabled");
+      return state;
+    }
+    
+    const landscape = analyzeLandscape(state.inputPapers, state.extractedMetadata, {
+      clusters: state.options.landscape_clusters
+    });
+    
+    if (state.options.landscape_summaries) {
+      let completed = 0;
+      await mapInOrder(landscape.clusters, async (cluster, i, signal) => {
+        const papers = cluster.paper_ids.slice(0, 20).map(id => {
+          const metadata = state.extractedMetadata[id - 1] || {};
+          return {
+            title: state.inputPapers[id - 1].title,
+            study_type: metadata.study_type,
+            methodology: metadata.methodology,
+            main_findings: metadata.main_findings
+          };
+        });
+        const messages = promptMessages(state, 'summarize_cluster', {
+          size: cluster.size,
+          terms: cluster.terms.join(', '),
+          papers_heading: cluster.size > papers.length ? `A sample of ${papers.length} of them:` : 'The papers:',
+          papers: JSON.stringify(papers, null, 2)
+        });
+        
+        try {
+          const summary = await withResponseCache(state, 'summarize_cluster', {
+            llm: state.llm,
+            terms: cluster.terms,
+            papers
+          }, async () => (await invokeStructured(meteredModel(state, state.llm, { agent: 'agent2b' }), messages, { schema: CLUSTER_SUMMARY_SCHEMA, task: 'summarize_cluster', input: { terms: cluster.terms, papers }, signal })).value);
+          cluster.name = summary.name;
+          cluster.summary = summary.summary;
+        } catch (error) {
+          if (!isStructuredOutputError(error)) throw error;
+          state.errors.push(`Agent 2b: Cluster ${cluster.cluster_id} summary failed - ${error.message}`);
+        }
+        
+        completed++;
+        reportProgress(config, {
+          type: 'cluster_summarized',
+          node: 'agent2b',
+          index: i,
+          completed,
+          total: landscape.clusters.length,
+          cluster_id: cluster.cluster_id,
+          label: cluster.label
+        });
+      }, { signal: config && config.signal });
+    }
+    
+    state.landscape = landscape;
+    state.currentStep = 'Landscape Analyzed';
+    console.log(`✅ Agent 2b: Grouped ${state.inputPapers.length} papers into ${landscape.cluster_count} topic clusters`);
+    
+    return state;
+  } catch (error) {
+    state.errors.push(`Agent 2b Error: ${error.message}`);
+    throw error;
+  }
+}
+
+// Agent 3: Generate Screening Criteria
+async function agent3_generateCriteria(state, config) {
+  console.log("🤖 Agent 3: Generating screening criteria...");
+  
+  try {
+    const userCriteria = state.userCriteria || [];
+    const { fill_gaps, target_count } = state.criteriaSettings;
+    
+    // Protocol criteria are fixed in advance; only generate what is missing
+    let missingCount = target_count;
+    if (userCriteria.length > 0) {
+      missingCount = fill_gaps ? Math.max(0, target_count - userCriteria.length) : 0;
+    }
+    
+    if (missingCount === 0) {
+      state.generatedCriteria = userCriteria;
+      state.currentStep = 'Criteria Generated';
+      console.log(`✅ Agent 3: Using ${userCriteria.length} user-supplied criteria, generation skipped`);
+      return state;
+    }
+    
+    // Analyze metadata to understand the research landscape
+    const metadataSummary = state.extractedMetadata.map(paper => ({
+      title: paper.title,
+      research_domain: paper.research_domain,
+      methodology: paper.methodology,
+      study_type: paper.study_type,
+      keywords: paper.keywords
+    }));
+    
+    const existingCriteriaText = userCriteria.length > 0
+      ? `
+The review protocol already defines these criteria. Do not repeat them; generate criteria that cover other aspects:
+${userCriteria.map(c => `- ${c.criterion}: ${c.description}`).join('\n')}
+`
+      : '';
+    
+    // After a calibration round that missed the target recall, refine the criteria with what they got wrong
+    const feedback = state.calibration && state.calibration.status === 'refining'
+      ? refinementFeedback(state.calibration)
+      : null;
+    const feedbackText = feedback
+      ? `
+These criteria were tried on papers the reviewers have already labeled, and kept ${feedback.metrics.true_positives} of ${feedback.metrics.true_positives + feedback.metrics.false_negatives} papers labeled include (recall ${feedback.metrics.recall}, target ${feedback.target_recall}):
+${feedback.criteria_diagnostics.map(d => `- ${d.criterion}: not Yes for ${d.includes_not_yes} included papers, Yes for ${d.excludes_yes} excluded papers${d.source === 'generated' ? '' : ' (protocol criterion, fixed)'}`).join('\n')}
+
+Included papers the criteria missed:
+${feedback.missed_includes.map(p => `- ${p.title}: ${p.abstract.substring(0, 300)}`).join('\n')}
+${feedback.false_includes.length > 0 ? `
+Excluded papers the criteria kept:
+${feedback.false_includes.map(p => `- ${p.title}`).join('\n')}
+` : ''}
+Revise the criteria so that papers like the missed ones are answered Yes, loosening or replacing the criteria that rejected them, while still screening out papers like the excluded ones.
+`
+      : '';
+    
+    const messages = promptMessages(state, 'generate_criteria', {
+      paper_count: metadataSummary.length,
+      count: missingCount,
+      remaining_count: missingCount - 1,
+      metadata_summary: JSON.stringify(metadataSummary, null, 2),
+      existing_criteria: existingCriteriaText,
+      calibration_feedback: feedbackText
+    });
+    
+    let criteria;
+    try {
+      ({ value: criteria } = await invokeStructured(meteredModel(state, state.llm, { agent: 'agent3' }), messages, {
+        schema: criteriaSchema(missingCount),
+        task: 'generate_criteria',
+        input: { count: missingCount, metadataSummary, existingCriteria: userCriteria, calibrationFeedback: feedback },
+        signal: config && config.signal
+      }));
+    } catch (error) {
+      if (!isStructuredOutputError(error)) throw error;
+      throw new Error(`Failed to generate exactly ${missingCount} criteria: ${error.message}`);
+    }
+    
+    // Generated criteria are always scored (soft) and numbered after the user's
+    const generated = criteria.map((c, i) => ({
+      ...c,
+      id: userCriteria.length + i + 1,
+      type: 'soft',
+      source: 'generated'
+    }));
+    
+    state.generatedCriteria = [...userCriteria, ...generated];
+    state.currentStep = feedback ? 'Criteria Refined' : 'Criteria Generated';
+    console.log(feedback
+      ? `✅ Agent 3: Refined ${generated.length} screening criteria after calibration round ${feedback.iteration}`
+      : `✅ Agent 3: Generated ${generated.length} screening criteria (${userCriteria.length} user-supplied)`);
+    
+    return state;
+  } catch (error) {
+    state.errors.push(`Agent 3 Error: ${error.message}`);
+    throw error;
+  }
+}
+
+// Agent 3b: Criteria Calibration
+// Screens the labeled calibration papers with the candidate criteria and scores them
+// (recall, precision, work saved). Below the target recall, and with rounds left, the
+// workflow goes back to agent 3 to refine the criteria; otherwise the criteria of the
+// best round are kept and screening continues.
+async function agent3b_calibrateCriteria(state, config) {
+  const calibration = state.calibration;
+  console.log(`🤖 Agent 3b: Calibrating criteria on ${calibration.papers.length} labeled papers (round ${calibration.iterations.length + 1})...`);
+  
+  try {
+    let completed = 0;
+    const evaluations = await mapInOrder(calibration.papers, async (paper, i, signal) => {
+      const { evaluation } = await evaluatePaper(state, paper, i, { signal, meter: { agent: 'agent3b', paperId: null } });
+      completed++;
+      reportProgress(config, {
+        type: 'calibration_paper_evaluated',
+        node: 'agent3b',
+        index: i,
+        completed,
+        total: calibration.papers.length,
+        title: paper.title,
+        label: paper.label
+      });
+      return evaluation;
+    }, { signal: config && config.signal });
+    
+    const iteration = scoreIteration(calibration, state.generatedCriteria, evaluations, state.options.selection);
+    calibration.iterations.push(iteration);
+    
+    // Generation is the only thing a new round could change
+    const criteriaAreFixed = state.userCriteria.length > 0 && !state.criteriaSettings.fill_gaps;
+    if (iteration.metrics.recall >= calibration.target_recall) {
+      calibration.status = 'target_met';
+    } else if (criteriaAreFixed) {
+      calibration.status = 'criteria_fixed';
+    } else if (calibration.iterations.length >= calibration.max_iterations) {
+      calibration.status = 'max_iterations';
+    } else {
+      calibration.status = 'refining';
+    }
+    
+    if (calibration.status !== 'refining') {
+      const best = bestIteration(calibration.iterations);
+      calibration.selected_iteration = best.iteration;
+      state.generatedCriteria = best.criteria;
+    }
+    
+    state.currentStep = 'Criteria Calibrated';
+    const { recall, precision, work_saved } = iteration.metrics;
+    console.log(`✅ Agent 3b: Round ${iteration.iteration} recall ${recall}, precision ${precision}, work saved ${work_saved} (${calibration.status})`);
+    
+    return state;
+  } catch (error) {
+    state.errors.push(`Agent 3b Error: ${error.message}`);
+    throw error;
+  }
+}
+
+// Accept "yes"/"NO" etc. from the model; anything else is left for the schema to reject
+function normalizeEvaluation(evaluation) {
+  if (evaluation && Array.isArray(evaluation.evaluations)) {
+    evaluation.evaluations = evaluation.evaluations.map(e => {
+      const response = typeof e.response === 'string'
+        ? ['Yes', 'Maybe', 'No'].find(r => r.toLowerCase() === e.response.trim().toLowerCase())
+        : undefined;
+      const criterionId = typeof e.criterion_id === 'string' ? parseInt(e.criterion_id, 10) : e.criterion_id;
+      return { ...e, criterion_id: criterionId, response: response || e.response };
+    });
+  }
+  return evaluation;
+}
+
+// Evaluate one paper with one rater (model settings plus prompt variant), from the
+// abstract or, in the full-text stage, from the given full-text passages, against the
+// run's criteria or just `criteria`. `meter` says whose usage the calls count as
+// (agent 4 and the paper, unless calibrating).
+// Resolves with { evaluation, fallback }; fallback is set when the output never validated.
+async function evaluateWithRater(state, paper, i, rater, {
+  signal,
+  passages = [],
+  criteria = state.generatedCriteria,
+  meter = { agent: 'agent4', paperId: i + 1 }
+} = {}) {
+  const criteriaText = criteria.map(c => 
+    `Criterion ${c.id}: ${c.criterion} - ${c.description}`
+  ).join('\n');
+  
+  // Built with JSON.stringify so a title with quotes or backslashes still gives valid JSON
+  const responseFormat = JSON.stringify({
+    paper_id: i + 1,
+    title: paper.title,
+    evaluations: criteria.map(c => ({
+      criterion_id: c.id,
+      response: 'Yes/Maybe/No',
+      quotes: ['exact text from the paper'],
+      ...(passages.length > 0 ? { passage_id: 'section-n' } : {}),
+      reasoning: 'brief explanation'
+    }))
+  }, null, 2);
+  
+  const persona = PROMPT_VARIANTS[rater.prompt_variant];
+  const messages = promptMessages(state, 'evaluate_paper', {
+    criteria_count: criteria.length,
+    criteria: criteriaText,
+    paper_id: i + 1,
+    title: paper.title,
+    abstract: paper.abstract,
+    passages: passages.length > 0 ? `\nFULL-TEXT PASSAGES:\n${formatPassages(passages)}\n` : '',
+    quote_sources: passages.length > 0 ? ' or passages' : '',
+    passage_guideline: passages.length > 0
+      ? '\n- Base each verdict on the full-text passages, set "passage_id" to the label of the passage that supports it (e.g. "methods-1") and cite that passage in the reasoning'
+      : '',
+    response_format: responseFormat,
+    persona: persona ? ` ${persona}` : ''
+  });
+  try {
+    const evaluation = await withResponseCache(state, 'evaluate_paper', {
+      llm: rater.llm,
+      prompt_variant: rater.prompt_variant,
+      paper: { title: paper.title, abstract: paper.abstract },
+      passages: passages.length > 0 ? passages.map(p => ({ chunk_id: p.chunk_id, text: p.text })) : undefined,
+      criteria: criteria.map(c => ({ id: c.id, criterion: c.criterion, description: c.description }))
+    }, async () => (await invokeStructured(meteredModel(state, rater.llm, meter), messages, {
+      schema: evaluationSchema(criteria),
+      normalize: normalizeEvaluation,
+      task: 'evaluate_paper',
+      input: { paper, paperId: i + 1, criteria, promptVariant: rater.prompt_variant, passages },
+      signal
+    })).value);
+    
+    evaluation.evaluations.sort((a, b) => a.criterion_id - b.criterion_id);
+    evaluation.degraded = false;
+    if (passages.length > 0) {
+      attachSupportingPassages(evaluation.evaluations, passages);
+    }
+    verifyEvidence(evaluation.evaluations, evidenceSources(state, paper, i, passages), {
+      policy: state.options.evidence_policy || 'downgrade',
+      threshold: state.options.evidence_match_threshold || 0.85
+    });
+    return { evaluation, fallback: null };
+  } catch (parseError) {
+    if (!isStructuredOutputError(parseError)) throw parseError;
+    
+    // Fallback evaluation if the model never produced a valid verdict
+    const fallback = `Evaluation failed: ${parseError.message}`;
+    return {
+      fallback,
+      evaluation: {
+        paper_id: i + 1,
+        title: paper.title,
+        evaluations: criteria.map(c => ({
+          criterion_id: c.id,
+          response: "Maybe",
+          reasoning: "Evaluation failed, marked as Maybe"
+        })),
+        degraded: true,
+        degraded_reason: fallback
+      }
+    };
+  }
+}
+
+// Resolve each full-text verdict's cited passage (passage_id, or a [label] in the
+// reasoning) to the chunk's section and character offsets in the full text
+function attachSupportingPassages(evaluations, passages) {
+  const byId = new Map(passages.map(p => [p.chunk_id, p]));
+  evaluations.forEach(e => {
+    const cited = e.passage_id || ((e.reasoning || '').match(/\[([a-z_]+-\d+)\]/) || [])[1];
+    const passage = byId.get(cited);
+    e.supporting_passage = passage
+      ? { chunk_id: passage.chunk_id, section: passage.section, start: passage.start, end: passage.end, excerpt: passage.text.substring(0, 300) }
+      : null;
+  });
+}
+
+// Where a verdict's quotes may come from: the title, the abstract and, in the full-text
+// stage, the passages shown to the model (offsets into the full text)
+function evidenceSources(state, paper, i, passages) {
+  const sources = [
+    { field: 'title', text: paper.title },
+    { field: 'abstract', text: paper.abstract }
+  ];
+  const fullText = state.fullText && state.fullText.papers[i + 1];
+  if (fullText && fullText.text) {
+    passages.forEach(p => {
+      sources.push({ field: 'full_text', text: fullText.text.substring(p.start, p.end), offset: p.start });
+    });
+  }
+  return sources;
+}
+
+// Full-text passages for evaluating a paper: the chunks most relevant to each criterion
+function evaluationPassages(chunks, criteria) {
+  const picked = new Map();
+  criteria.forEach(c => {
+    selectChunks(chunks, `${c.criterion} ${c.description} ${c.evaluation_focus || ''}`, 2)
+      .forEach(chunk => picked.set(chunk.chunk_id, chunk));
+  });
+  return [...picked.values()].sort((a, b) => a.start - b.start).slice(0, 8);
+}
+
+// Evaluate one paper against the current criteria (or `options.criteria`): with the run's
+// model, or with every rater of the ensemble combined per criterion. `options` are passed
+// on to evaluateWithRater. Resolves with { evaluation, fallback }.
+async function evaluatePaper(state, paper, i, options = {}) {
+  const criteria = options.criteria || state.generatedCriteria;
+  let evaluation;
+  let fallback;
+  
+  if (!state.ensemble) {
+    ({ evaluation, fallback } = await evaluateWithRater(state, paper, i, { llm: state.llm, prompt_variant: 'standard' }, options));
+  } else {
+    // Every rater screens the paper independently; degraded raters are left out of the vote
+    const raterResults = await Promise.all(state.ensemble.raters.map(rater =>
+      evaluateWithRater(state, paper, i, rater, options)));
+    const raterEvaluations = raterResults.map(({ evaluation: e }, r) => ({
+      rater_id: state.ensemble.raters[r].rater_id,
+      evaluations: e.evaluations,
+      degraded: e.degraded,
+      degraded_reason: e.degraded_reason
+    }));
+    const valid = raterEvaluations.filter(r => !r.degraded);
+    
+    if (valid.length === 0) {
+      ({ evaluation, fallback } = raterResults[0]);
+    } else {
+      const combined = combineEvaluations(valid, criteria, state.ensemble.combine);
+      fallback = null;
+      evaluation = {
+        paper_id: i + 1,
+        title: paper.title,
+        evaluations: combined.evaluations,
+        degraded: false
+      };
+      evaluation.disagreement = combined.disagreement_criteria.length > 0;
+      evaluation.disagreement_criteria = combined.disagreement_criteria;
+    }
+    evaluation.rater_evaluations = raterEvaluations;
+  }
+  
+  // Any "No" on a hard criterion excludes the paper outright
+  evaluation.hard_exclusions = evaluation.degraded
+    ? []
+    : findHardExclusions(evaluation.evaluations, criteria);
+  evaluation.excluded = evaluation.hard_exclusions.length > 0;
+  
+  return { evaluation, fallback };
+}
+
+// Agent 4: Evaluate Papers Against Criteria
+async function agent4_evaluatePapers(state, config) {
+  const fullTextStage = state.screeningStage === 'full_text';
+  console.log(fullTextStage ? "🤖 Agent 4: Evaluating full texts against criteria..." : state.ensemble
+    ? `🤖 Agent 4: Evaluating papers against criteria with ${state.ensemble.raters.length} raters (${state.ensemble.combine})...`
+    : "🤖 Agent 4: Evaluating papers against criteria...");
+  
+  try {
+    const total = state.inputPapers.length;
+    let completed = 0;
+    
+    // Papers are evaluated concurrently through the LLM scheduler; results keep input order
+    const evaluationResults = await mapInOrder(state.inputPapers, async (paper, i, signal) => {
+      // In the full-text stage only papers with full text are evaluated again
+      const fullText = fullTextStage ? state.fullText.papers[i + 1] : null;
+      if (fullTextStage && !(fullText && fullText.chunks)) {
+        completed++;
+        return state.evaluationResults[i];
+      }
+      const passages = fullText ? evaluationPassages(fullText.chunks, state.generatedCriteria) : [];
+      
+      let evaluation;
+      let fallback;
+      if (state.rescreen && !state.rescreen.new_paper_ids.includes(i + 1)) {
+        // Re-screening: earlier papers are only evaluated against new or reworded criteria
+        const changed = state.generatedCriteria.filter(c => state.rescreen.reevaluate_criteria_ids.includes(c.id));
+        const partial = changed.length > 0
+          ? await evaluatePaper(state, paper, i, { signal, criteria: changed })
+          : { evaluation: null, fallback: null };
+        fallback = partial.fallback;
+        evaluation = mergeEvaluation(state.evaluationResults[i], partial.evaluation, state.generatedCriteria);
+        evaluation.hard_exclusions = evaluation.degraded
+          ? []
+          : findHardExclusions(evaluation.evaluations, state.generatedCriteria);
+        evaluation.excluded = evaluation.hard_exclusions.length > 0;
+      } else {
+        ({ evaluation, fallback } = await evaluatePaper(state, paper, i, { signal, passages }));
+      }
+      
+      // The position in inputPapers is authoritative, whatever id the model echoed back
+      evaluation.paper_id = i + 1;
+      evaluation.stage = fullText ? 'full_text' : 'abstract';
+      evaluation.groundedness = evaluation.degraded ? null : groundednessScore(evaluation.evaluations);
+      if (fullText) {
+        evaluation.abstract_evaluations = state.evaluationResults[i].evaluations;
+      }
+      
+      // Progress indicator
+      completed++;
+      reportProgress(config, {
+        type: 'paper_evaluated',
+        node: 'agent4',
+        index: i,
+        completed,
+        total,
+        paper_id: i + 1,
+        title: paper.title,
+        verdict: {
+          evaluations: evaluation.evaluations,
+          excluded: evaluation.excluded,
+          hard_exclusions: evaluation.hard_exclusions,
+          disagreement: evaluation.disagreement
+        },
+        fallback
+      });
+      if (completed % 10 === 0 || completed === total) {
+        console.log(`📊 Agent 4: Evaluated ${completed}/${total} papers`);
+      }
+      
+      return evaluation;
+    }, { signal: config && config.signal });
+    
+    recordDegradedPapers(state, 'Agent 4', evaluationResults);
+    
+    state.evaluationResults = evaluationResults;
+    state.currentStep = 'Papers Evaluated';
+    console.log("✅ Agent 4: Paper evaluation completed");
+    
+    return state;
+  } catch (error) {
+    state.errors.push(`Agent 4 Error: ${error.message}`);
+    throw error;
+  }
+}
+
+// Agent 5: Generate Statistics
+async function agent5_generateStats(state) {
+  console.log("🤖 Agent 5: Generating criteria statistics...");
+  
+  try {
+    const stats = {};
+    
+    // Initialize stats for each criterion
+    state.generatedCriteria.forEach(criterion => {
+      stats[criterion.id] = {
+        criterion: criterion.criterion,
+        description: criterion.description,
+        type: criterion.type || 'soft',
+        yes_count: 0,
+        maybe_count: 0,
+        no_count: 0,
+        yes_papers: [],
+        maybe_papers: [],
+        no_papers: []
+      };
+    });
+    
+    // Count responses for each criterion
+    state.evaluationResults.forEach(paperEval => {
+      paperEval.evaluations.forEach(eval => {
+        const criterionStat = stats[eval.criterion_id];
+        if (criterionStat) {
+          switch (eval.response) {
+            case 'Yes':
+              criterionStat.yes_count++;
+              criterionStat.yes_papers.push({
+                paper_id: paperEval.paper_id,
+                title: paperEval.title,
+                reasoning: eval.reasoning
+              });
+              break;
+            case 'Maybe':
+              criterionStat.maybe_count++;
+              criterionStat.maybe_papers.push({
+                paper_id: paperEval.paper_id,
+                title: paperEval.title,
+                reasoning: eval.reasoning
+              });
+              break;
+            case 'No':
+              criterionStat.no_count++;
+              criterionStat.no_papers.push({
+                paper_id: paperEval.paper_id,
+                title: paperEval.title,
+                reasoning: eval.reasoning
+              });
+              break;
+          }
+        }
+      });
+    });
+    
+    // Inter-rater agreement per criterion when papers were screened by an ensemble
+    if (state.ensemble) {
+      const agreement = agreementStatistics(state.evaluationResults, state.generatedCriteria, state.ensemble.raters);
+      Object.keys(stats).forEach(id => {
+        stats[id].agreement = agreement[id];
+      });
+    }
+    
+    state.criteriaStats = stats;
+    state.currentStep = 'Statistics Generated';
+    console.log("✅ Agent 5: Statistics generation completed");
+    
+    return state;
+  } catch (error) {
+    state.errors.push(`Agent 5 Error: ${error.message}`);
+    throw error;
+  }
+}
+
+// Agent 6: Select Top Papers
+async function agent6_selectTopPapers(state) {
+  // Runs stored before selection strategies existed used the ladder
+  const selection = state.options.selection || DEFAULT_SELECTION;
+  const selectAll = state.options.select_all_eligible || selection.strategy === 'all_passing';
+  // In the full-text stage only the papers selected at abstract screening are in the running
+  const stagePool = state.screeningStage === 'full_text' ? new Set(state.fullText.candidates) : null;
+  const selectionSize = resolveSelectionSize(state.options, stagePool ? stagePool.size : state.evaluationResults.length);
+  console.log(selectAll
+    ? `🤖 Agent 6: Selecting all eligible papers (${selection.strategy} strategy)...`
+    : `🤖 Agent 6: Selecting top ${selectionSize} papers (${selection.strategy} strategy)...`);
+  
+  try {
+    const unknownCriteria = findUnknownCriteria(selection, state.generatedCriteria);
+    if (unknownCriteria.length > 0) {
+      throw new Error(`Selection settings reference unknown criteria: ${unknownCriteria.join(', ')}`);
+    }
+    
+    const scoredPapers = [];
+    
+    // Score each paper with the chosen strategy; hard criteria and exclusion rules only gate inclusion
+    state.evaluationResults.forEach(paperEval => {
+      const counts = { Yes: 0, Maybe: 0, No: 0 };
+      paperEval.evaluations.forEach(eval => { counts[eval.response]++; });
+      
+      const hardExclusions = paperEval.hard_exclusions ||
+        findHardExclusions(paperEval.evaluations, state.generatedCriteria);
+      const ruleExclusions = findRuleExclusions(paperEval, selection);
+      const isExcluded = hardExclusions.length > 0 || ruleExclusions.length > 0;
+      const { score, eligible, summary } = scorePaper(paperEval, state.generatedCriteria, selection);
+      
+      scoredPapers.push({
+        paper_id: paperEval.paper_id,
+        title: paperEval.title,
+        yes_count: counts.Yes,
+        maybe_count: counts.Maybe,
+        no_count: counts.No,
+        eligibility_score: score,
+        is_eligible: eligible && !isExcluded,
+        excluded: isExcluded,
+        hard_exclusions: hardExclusions,
+        rule_exclusions: ruleExclusions,
+        score_summary: summary,
+        evaluations: paperEval.evaluations,
+        degraded: Boolean(paperEval.degraded),
+        degraded_reason: paperEval.degraded_reason,
+        groundedness: paperEval.groundedness,
+        cluster_id: state.landscape ? state.landscape.paper_clusters[paperEval.paper_id] : null,
+        original_index: paperEval.paper_id - 1
+      });
+    });
+    
+    // Sort by eligibility score (descending)
+    scoredPapers.sort((a, b) => b.eligibility_score - a.eligibility_score);
+    
+    // Never select two copies of the same work: with deduplication off, agent 1b's
+    // clusters name the copies, and only the highest-ranked copy of each is selectable
+    const clusterOf = new Map();
+    if (state.deduplication && !state.deduplication.enabled) {
+      state.deduplication.clusters.forEach(cluster => {
+        cluster.members.forEach(m => clusterOf.set(m.input_position, cluster.paper_id));
+      });
+    }
+    const firstCopies = new Map();
+    scoredPapers.forEach(p => {
+      const cluster = clusterOf.get(p.paper_id);
+      if (cluster === undefined) return;
+      if (firstCopies.has(cluster)) {
+        p.duplicate_of = firstCopies.get(cluster);
+      } else {
+        firstCopies.set(cluster, p.paper_id);
+      }
+    });
+    scoredPapers.forEach(p => {
+      p.screened_out = Boolean(stagePool && !stagePool.has(p.paper_id));
+    });
+    const candidates = scoredPapers.filter(p => !p.duplicate_of && !p.screened_out);
+    
+    // Topical diversity: papers whose topic cluster already has max_per_cluster selected are passed over
+    const maxPerCluster = selection.max_per_cluster || null;
+    const clusterCounts = new Map();
+    const takeInOrder = (papers, limit) => {
+      const taken = [];
+      for (const p of papers) {
+        if (taken.length >= limit) break;
+        if (maxPerCluster && (clusterCounts.get(p.cluster_id) || 0) >= maxPerCluster) {
+          p.cluster_full = true;
+          continue;
+        }
+        clusterCounts.set(p.cluster_id, (clusterCounts.get(p.cluster_id) || 0) + 1);
+        taken.push(p);
+      }
+      return taken;
+    };
+    
+    // Select top K eligible papers, or top K overall if not enough eligible
+    const eligiblePapers = candidates.filter(p => p.is_eligible);
+    let selectedPapers = takeInOrder(eligiblePapers, selectAll ? Infinity : selectionSize);
+    const eligibleSelected = selectedPapers.length;
+    
+    if (!selectAll && selectedPapers.length < selectionSize) {
+      // If less than K eligible, take all eligible + highest scoring non-eligible
+      // Papers failing a hard criterion or exclusion rule are never used to fill the gap
+      const nonEligible = candidates.filter(p => !p.is_eligible && !p.excluded);
+      selectedPapers = [...selectedPapers, ...takeInOrder(nonEligible, selectionSize - selectedPapers.length)];
+    }
+    
+    // Every paper's score in selection order: selected first, then the rest as they would be picked
+    const selectedIds = new Set(selectedPapers.map(p => p.paper_id));
+    const rankedPapers = [
+      ...selectedPapers,
+      ...eligiblePapers.filter(p => !selectedIds.has(p.paper_id)),
+      ...candidates.filter(p => !p.is_eligible && !selectedIds.has(p.paper_id)),
+      ...scoredPapers.filter(p => p.screened_out && !p.duplicate_of),
+      ...scoredPapers.filter(p => p.duplicate_of)
+    ];
+    
+    // Explain where each paper landed
+    rankedPapers.forEach(p => {
+      if (selectedIds.has(p.paper_id)) {
+        const rank = selectedPapers.indexOf(p) + 1;
+        p.explanation = p.is_eligible
+          ? `Selected at rank ${rank}: ${p.score_summary}.`
+          : `Selected at rank ${rank} to fill the top ${selectionSize} (only ${eligibleSelected} eligible papers could be selected): ${p.score_summary}.`;
+      } else if (p.duplicate_of) {
+        p.explanation = `Not selected: duplicate of paper ${p.duplicate_of}.`;
+      } else if (p.screened_out) {
+        p.explanation = 'Not selected: excluded at abstract screening.';
+      } else if (p.excluded) {
+        p.explanation = `Excluded: ${describeExclusions(p.hard_exclusions, p.rule_exclusions, state.generatedCriteria)}.`;
+      } else if (p.cluster_full) {
+        p.explanation = `Not selected: ${p.is_eligible ? 'eligible' : 'not eligible'} (${p.score_summary}) but topic cluster ${p.cluster_id} already has ${maxPerCluster} selected papers.`;
+      } else if (p.is_eligible) {
+        p.explanation = `Not selected: eligible (${p.score_summary}) but ranked ${eligiblePapers.indexOf(p) + 1} of ${eligiblePapers.length} eligible papers, below the top ${selectionSize}.`;
+      } else {
+        p.explanation = `Not selected: not eligible - ${p.score_summary}.`;
+      }
+    });
+    
+    state.paperScores = rankedPapers.map(p => ({
+      paper_id: p.paper_id,
+      title: p.title,
+      eligibility_score: p.eligibility_score,
+      is_eligible: p.is_eligible,
+      excluded: p.excluded,
+      selected: selectedIds.has(p.paper_id),
+      duplicate_of: p.duplicate_of || null,
+      cluster_id: p.cluster_id === undefined ? null : p.cluster_id,
+      stage: state.screeningStage,
+      explanation: p.explanation
+    }));
+    
+    // Add original paper data
+    selectedPapers = selectedPapers.map(paper => ({
+      ...paper,
+      original_paper: state.inputPapers[paper.original_index],
+      metadata: state.extractedMetadata[paper.original_index]
+    }));
+    
+    state.finalSelectedPapers = selectedPapers;
+    state.currentStep = 'Top Papers Selected';
+    console.log(`✅ Agent 6: Selected top ${selectedPapers.length} papers`);
+    
+    return state;
+  } catch (error) {
+    state.errors.push(`Agent 6 Error: ${error.message}`);
+    throw error;
+  }
+}
+
+// Agent 7: Full-Text Preparation
+// Starts the second screening stage: the papers selected at abstract screening get their
+// full text (a `full_text` field or a base64 PDF) extracted, split into sections and
+// chunked; agents 2, 4, 5 and 6 then run again over those papers.
+async function agent7_prepareFullText(state, config) {
+  console.log("🤖 Agent 7: Preparing full texts of selected papers...");
+  
+  try {
+    const candidates = state.finalSelectedPapers.map(p => p.paper_id);
+    const papers = {};
+    let completed = 0;
+    
+    for (const paperId of candidates) {
+      const paper = state.inputPapers[paperId - 1];
+      let text = null;
+      let source = null;
+      let pages = null;
+      
+      try {
+        if (typeof paper.full_text === 'string' && paper.full_text.trim().length > 0) {
+          text = paper.full_text;
+          source = 'text';
+        } else if (paper.pdf_base64) {
+          ({ text, pages } = await extractPdfText(Buffer.from(paper.pdf_base64, 'base64')));
+          source = 'pdf';
+        }
+      } catch (error) {
+        state.errors.push(`Agent 7: Paper ${paperId} full text could not be extracted - ${error.message}`);
+      }
+      
+      const chunks = text ? chunkFullText(text) : [];
+      papers[paperId] = chunks.length > 0 ? {
+        source,
+        pages,
+        characters: text.length,
+        sections: describeSections(text),
+        chunks,
+        // Evidence offsets and chunk offsets index into this text
+        text
+      } : { source: null, chunks: null };
+      
+      completed++;
+      reportProgress(config, { type: 'paper_processed', agent: 'agent7', paper_id: paperId, completed, total: candidates.length });
+    }
+    
+    // PDFs are only needed for extraction; keep them out of stored runs
+    state.inputPapers = state.inputPapers.map(({ pdf_base64, ...paper }) => paper);
+    
+    state.fullText = {
+      candidates,
+      abstract_paper_scores: state.paperScores,
+      papers
+    };
+    state.screeningStage = 'full_text';
+    state.currentStep = 'Full Texts Prepared';
+    const available = Object.values(papers).filter(p => p.chunks).length;
+    console.log(`✅ Agent 7: Prepared full texts for ${available} of ${candidates.length} selected papers`);
+    
+    return state;
+  } catch (error) {
+    state.errors.push(`Agent 7 Error: ${error.message}`);
+    throw error;
+  }
+}
+
+// Create the workflow graph. A checkpointer is only needed to pause (interruptAfter) or resume runs.
+function createWorkflow({ checkpointer, interruptAfter } = {}) {
+  // Every WorkflowState field is a last-value channel; agents return the whole state
+  const channels = Object.fromEntries(
+    Object.keys(new WorkflowState()).map(key => [key, null])
+  );
+  const workflow = new StateGraph({ channels });
+  
+  // Add nodes (agents)
+  workflow.addNode("agent1", agent1_processInput);
+  workflow.addNode("agent1b", agent1b_deduplicatePapers);
+  workflow.addNode("agent2", agent2_extractMetadata);
+  workflow.addNode("agent2b", agent2b_analyzeLandscape);
+  workflow.addNode("agent3", agent3_generateCriteria);
+  workflow.addNode("agent3b", agent3b_calibrateCriteria);
+  workflow.addNode("agent4", agent4_evaluatePapers);
+  workflow.addNode("agent5", agent5_generateStats);
+  workflow.addNode("agent6", agent6_selectTopPapers);
+  workflow.addNode("agent7", agent7_prepareFullText);
+  
+  // Define the flow: a re-screen starts from a previous run's papers, metadata and criteria
+  workflow.addConditionalEdges(START, state =>
+    state.rescreen ? "agent2" : "agent1", ["agent1", "agent2"]);
+  workflow.addEdge("agent1", "agent1b");
+  workflow.addEdge("agent1b", "agent2");
+  // The landscape describes the whole corpus, so the full-text stage goes straight back to evaluation
+  workflow.addConditionalEdges("agent2", state =>
+    state.screeningStage === 'full_text' ? "agent4" : "agent2b", ["agent2b", "agent4"]);
+  // Criteria are generated once; re-screens reuse them
+  workflow.addConditionalEdges("agent2b", state =>
+    state.rescreen ? "agent4" : "agent3", ["agent3", "agent4"]);
+  // With a labeled calibration set, criteria are checked (and refined) before screening
+  workflow.addConditionalEdges("agent3", state =>
+    state.calibration ? "agent3b" : "agent4", ["agent3b", "agent4"]);
+  workflow.addConditionalEdges("agent3b", state =>
+    state.calibration.status === 'refining' ? "agent3" : "agent4", ["agent3", "agent4"]);
+  workflow.addEdge("agent4", "agent5");
+  workflow.addEdge("agent5", "agent6");
+  // Optional second stage over the abstract-stage selection
+  workflow.addConditionalEdges("agent6", state =>
+    state.options.full_text_screening && state.screeningStage !== 'full_text' ? "agent7" : END, ["agent7", END]);
+  workflow.addEdge("agent7", "agent2");
+  
+  return workflow.compile({ checkpointer, interruptAfter });
+}
+
+// Build the initial workflow state from a screening request body, on behalf of the
+// authenticated caller (req.auth) whose tenant owns the run and whose key pays for it.
+// Returns { state } on success or { error, required_format? } for a 400 response.
+function buildInitialState(body = {}, auth = null) {
+  const { options, criteria, llm, ensemble, calibration, prompts, project_id } = body;
+  let { papers } = body;
+  let importReport = null;
+  
+  // Papers may come from a reference-manager export instead of a JSON array
+  if (!papers && body.import) {
+    const imported = importPapers(body.import.content, body.import.format);
+    if (imported.error) {
+      return { error: `Invalid input: import: ${imported.error}` };
+    }
+    papers = imported.papers;
+    importReport = { format: imported.format, imported_count: imported.papers.length, skipped: imported.skipped };
+  }
+  
+  if (!papers || !Array.isArray(papers)) {
+    return {
+      error: "Invalid input: 'papers' should be an array",
+      required_format: {
+        papers: [
+          {
+            title: "Paper title",
+            abstract: "Paper abstract"
+          }
+        ],
+        options: DEFAULT_SCREENING_OPTIONS,
+        criteria: {
+          items: ["Optional free-form criterion", { criterion: "Reports a control group", type: "hard" }],
+          pico: {
+            population: "Adults with type 2 diabetes",
+            intervention: "Telemonitoring",
+            comparison: "Usual care",
+            outcome: "HbA1c",
+            exclude_study_designs: ["case report", "editorial"]
+          },
+          fill_gaps: false,
+          target_count: 6
+        },
+        llm: { provider: PROVIDERS.join('|'), model: "optional model name", temperature: 0.3 },
+        ensemble: {
+          raters: [{ temperature: 0 }, { model: "optional second model", prompt_variant: Object.keys(PROMPT_VARIANTS).join('|') }],
+          combine: "majority|unanimity"
+        },
+        calibration: {
+          papers: [{ title: "Labeled paper title", abstract: "Labeled paper abstract", label: "include|exclude" }],
+          target_recall: 0.9,
+          max_iterations: 3
+        },
+        prompts: {
+          preset: "optional domain preset (see GET /prompts)",
+          templates: { evaluate_paper: { system: "optional override with {{persona}}", user: "optional override with the task's required {{placeholders}}" } }
+        },
+        project_id: "optional project id from POST /projects",
+        import: { format: `optional, instead of papers: ${IMPORT_FORMATS.join('|')}`, content: "raw export text" }
+      }
+    };
+  }
+  
+  if (project_id !== undefined && project_id !== null && typeof project_id !== 'string') {
+    return { error: "Invalid input: 'project_id' should be a string" };
+  }
+  
+  const resolved = resolveScreeningOptions(options);
+  if (resolved.error) {
+    return { error: `Invalid input: ${resolved.error}` };
+  }
+  if (papers.length < resolved.options.min_papers || papers.length > resolved.options.max_papers) {
+    return {
+      error: `Invalid input: expected between ${resolved.options.min_papers} and ${resolved.options.max_papers} papers, got ${papers.length}`
+    };
+  }
+  
+  const resolvedCriteria = resolveUserCriteria(criteria);
+  if (resolvedCriteria.error) {
+    return { error: `Invalid input: ${resolvedCriteria.error}` };
+  }
+  
+  // When the criteria are fixed up front, selection settings can be checked against them now
+  const criteriaAreFixed = resolvedCriteria.criteria.length > 0 && !resolvedCriteria.settings.fill_gaps;
+  const unknownCriteria = criteriaAreFixed ? findUnknownCriteria(resolved.options.selection, resolvedCriteria.criteria) : [];
+  if (unknownCriteria.length > 0) {
+    return { error: `Invalid input: 'options.selection' references unknown criteria: ${unknownCriteria.join(', ')}` };
+  }
+  
+  const resolvedLlm = resolveLlmSettings(llm);
+  if (resolvedLlm.error) {
+    return { error: `Invalid input: ${resolvedLlm.error}` };
+  }
+  
+  const resolvedEnsemble = resolveEnsemble(ensemble, llm);
+  if (resolvedEnsemble.error) {
+    return { error: `Invalid input: ${resolvedEnsemble.error}` };
+  }
+  
+  const resolvedCalibration = resolveCalibration(calibration);
+  if (resolvedCalibration.error) {
+    return { error: `Invalid input: ${resolvedCalibration.error}` };
+  }
+  
+  const resolvedPricing = resolvePricing(body.pricing);
+  if (resolvedPricing.error) {
+    return { error: `Invalid input: ${resolvedPricing.error}` };
+  }
+  
+  const resolvedPrompts = resolvePrompts(prompts);
+  if (resolvedPrompts.error) {
+    return { error: `Invalid input: ${resolvedPrompts.error}` };
+  }
+  
+  const state = new WorkflowState();
+  state.inputPapers = papers;
+  state.llm = resolvedLlm.settings;
+  state.ensemble = resolvedEnsemble.ensemble;
+  state.prompts = resolvedPrompts.prompts;
+  state.pricing = resolvedPricing.pricing;
+  state.options = resolved.options;
+  state.userCriteria = resolvedCriteria.criteria;
+  state.criteriaSettings = resolvedCriteria.settings;
+  state.calibration = resolvedCalibration.calibration;
+  state.projectId = project_id || null;
+  state.tenantId = auth ? auth.tenant : null;
+  state.apiKeyId = auth ? auth.key_id : null;
+  state.importReport = importReport;
+  
+  return { state };
+}
+
+// Build a re-screen of a completed run on behalf of `auth`: the run's papers, metadata,
+// criteria and verdicts are carried over with its settings, new `papers` (or an
+// `import`) are appended and `criteria` edits ({ update, add, remove }) applied.
+// Returns { state } on success or { error } for a 400 response.
+function buildRescreenState(run, body = {}, auth = null) {
+  const previous = run.state;
+  let papers = body.papers === undefined ? [] : body.papers;
+  let importReport = null;
+  
+  if (body.papers === undefined && body.import) {
+    const imported = importPapers(body.import.content, body.import.format);
+    if (imported.error) {
+      return { error: `Invalid input: import: ${imported.error}` };
+    }
+    papers = imported.papers;
+    importReport = { format: imported.format, imported_count: imported.papers.length, skipped: imported.skipped };
+  }
+  if (!Array.isArray(papers)) {
+    return { error: "Invalid input: 'papers' should be an array" };
+  }
+  
+  const newPapers = selectNewPapers(previous.inputPapers, papers, {
+    deduplicate: previous.options.deduplicate !== false,
+    titleThreshold: previous.options.dedup_title_threshold,
+    abstractThreshold: previous.options.dedup_abstract_threshold
+  });
+  if (newPapers.error) {
+    return { error: `Invalid input: ${newPapers.error}` };
+  }
+  const resolvedChanges = resolveCriteriaChanges(body.criteria, previous.generatedCriteria);
+  if (resolvedChanges.error) {
+    return { error: `Invalid input: ${resolvedChanges.error}` };
+  }
+  const { criteria, changes, reevaluateIds } = resolvedChanges;
+  const criteriaChanged = changes.updated.length + changes.added.length + changes.removed.length > 0;
+  if (newPapers.papers.length === 0 && !criteriaChanged) {
+    return { error: "Invalid input: nothing to re-screen: send new 'papers' and/or 'criteria' edits" };
+  }
+  
+  const totalPapers = previous.inputPapers.length + newPapers.papers.length;
+  if (totalPapers > previous.options.max_papers) {
+    return { error: `Invalid input: the re-screen would have ${totalPapers} papers, more than the run's max_papers (${previous.options.max_papers})` };
+  }
+  const unknownCriteria = findUnknownCriteria(previous.options.selection || DEFAULT_SELECTION, criteria);
+  if (unknownCriteria.length > 0) {
+    return { error: `Invalid input: the run's selection settings reference removed criteria: ${unknownCriteria.join(', ')}` };
+  }
+  
+  const state = new WorkflowState();
+  state.inputPapers = [...previous.inputPapers, ...newPapers.papers];
+  state.options = previous.options;
+  state.llm = previous.llm;
+  state.ensemble = previous.ensemble;
+  state.prompts = previous.prompts;
+  state.pricing = previous.pricing;
+  state.userCriteria = previous.userCriteria;
+  state.criteriaSettings = previous.criteriaSettings;
+  state.generatedCriteria = criteria;
+  state.calibration = previous.calibration;
+  state.extractedMetadata = previous.extractedMetadata;
+  state.evaluationResults = previous.evaluationResults;
+  state.projectId = run.project_id;
+  state.tenantId = auth ? auth.tenant : run.tenant_id || null;
+  state.apiKeyId = auth ? auth.key_id : null;
+  state.importReport = importReport;
+  state.deduplication = previous.deduplication ? {
+    ...previous.deduplication,
+    input_count: previous.deduplication.input_count + papers.length,
+    duplicates_removed: previous.deduplication.duplicates_removed + newPapers.skipped.length,
+    clusters: newPapers.clusters || previous.deduplication.clusters
+  } : null;
+  state.rescreen = {
+    previous_run_id: run.id,
+    new_paper_ids: newPapers.papers.map((_, k) => previous.inputPapers.length + k + 1),
+    skipped_duplicates: newPapers.skipped,
+    criteria_changes: changes,
+    reevaluate_criteria_ids: reevaluateIds,
+    previous: snapshotScreening(previous)
+  };
+  
+  return { state };
+}
+
+// Reject runs for projects that do not exist (or belong to another tenant) before any LLM call is made
+async function findProjectError(state, auth) {
+  if (!state.projectId) return null;
+  const project = await store.getProject(state.projectId);
+  if (!project || !canAccess(auth, project)) {
+    return `Project ${state.projectId} not found`;
+  }
+  return null;
+}
+
+// Papers as submitted, before duplicates were merged
+function inputPaperCount(state) {
+  return state.deduplication ? state.deduplication.input_count : state.inputPapers.length;
+}
+
+// Stored run record: run metadata plus the final WorkflowState it was built from
+function buildRunRecord(state, { status, startedAt, error = null }) {
+  return {
+    id: state.runId,
+    project_id: state.projectId,
+    tenant_id: state.tenantId || null,
+    previous_run_id: state.rescreen ? state.rescreen.previous_run_id : null,
+    status,
+    created_at: startedAt,
+    started_at: startedAt,
+    finished_at: new Date().toISOString(),
+    model: state.llm.model,
+    provider: state.llm.provider,
+    temperature: state.llm.temperature,
+    prompt_versions: promptVersions(state.prompts),
+    input_papers_count: inputPaperCount(state),
+    selected_papers_count: state.finalSelectedPapers.length,
+    error,
+    state
+  };
+}
+
+// Run summary for listings, without the stored state
+function describeRun(run) {
+  const { state, ...summary } = run;
+  return summary;
+}
+
+// Run the workflow and persist the outcome as a run (failed runs are kept too,
+// cancelled ones are not). Resolves with the final state and the stored run.
+async function executeScreeningRun(initialState, { signal, onProgress } = {}) {
+  const startedAt = new Date().toISOString();
+  initialState.runId = initialState.runId || crypto.randomUUID();
+  
+  let finalState;
+  try {
+    finalState = await runScreeningWorkflow(initialState, { signal, onProgress });
+  } catch (error) {
+    // A spent budget ends the run cleanly: it is stored with the usage that spent it
+    if (error.budgetExceeded) {
+      initialState.usage = error.usage;
+      console.warn(`💸 Run ${initialState.runId} stopped: ${error.message}`);
+    }
+    if (!(signal && signal.aborted)) {
+      const status = error.budgetExceeded ? 'budget_exceeded' : 'failed';
+      await store.saveRun(buildRunRecord(initialState, { status, startedAt, error: error.message }))
+        .catch(storeError => console.error("❌ Failed to store run:", storeError));
+    }
+    throw error;
+  }
+  
+  // Pause for human review when the run asked for it and there is something to review
+  if (finalState.options.review_checkpoint) {
+    const queue = buildReviewQueue(finalState);
+    if (queue.length > 0) {
+      finalState.review = {
+        checkpoint: finalState.options.review_checkpoint,
+        status: 'pending',
+        queue,
+        decisions: {},
+        requested_at: new Date().toISOString(),
+        resumed_at: null
+      };
+      const run = await store.saveRun(buildRunRecord(finalState, { status: 'awaiting_review', startedAt }));
+      console.log(`⏸️ Run ${run.id} awaiting review of ${queue.length} papers`);
+      return { finalState, run };
+    }
+    
+    // Nothing uncertain: an interrupted run just carries on
+    if (finalState.currentStep === 'Papers Evaluated') {
+      finalState = await runScreeningWorkflow(finalState, { signal, onProgress, resumeAfter: 'agent4' });
+    }
+  }
+  
+  const run = await store.saveRun(buildRunRecord(finalState, { status: 'completed', startedAt }));
+  console.log(`💾 Stored run ${run.id}`);
+  return { finalState, run };
+}
+
+// Resume a run paused for review: agents 5 and 6 are recomputed from the
+// (possibly overridden) evaluation results
+async function resumeReviewedRun(run, { signal, onProgress } = {}) {
+  const state = run.state;
+  console.log(`▶️ Resuming run ${run.id} after review`);
+  
+  const finalState = await runScreeningWorkflow(state, { signal, onProgress, resumeAfter: 'agent4' });
+  finalState.review = { ...state.review, status: 'completed', resumed_at: new Date().toISOString() };
+  
+  return {
+    ...buildRunRecord(finalState, { status: 'completed', startedAt: run.started_at }),
+    created_at: run.created_at
+  };
+}
+
+// Resume a reviewed run (already marked 'resuming', so it is not resumed twice) as a job,
+// outside the request and the run's lock. The run is stored completed, budget_exceeded
+// with the usage that spent the budget, or failed; a cancelled job or one stopped by the
+// key's quota puts it back to awaiting review, to be resumed again.
+function startResumeJob(run) {
+  const paused = { ...structuredClone(run), status: 'awaiting_review' };
+  
+  return createJob(async (job) => {
+    let resumed;
+    try {
+      resumed = await resumeReviewedRun(structuredClone(run), { signal: job.signal, onProgress: job.reportProgress });
+    } catch (error) {
+      let stopped = paused;
+      if (error.budgetExceeded) {
+        console.warn(`💸 Run ${run.id} stopped: ${error.message}`);
+        stopped = { ...paused, status: 'budget_exceeded', error: error.message, state: { ...paused.state, usage: error.usage } };
+      } else if (!job.signal.aborted && !error.quotaExceeded) {
+        stopped = { ...paused, status: 'failed', error: error.message };
+      }
+      await store.updateRun(run.id, async () => ({ run: stopped }));
+      throw error;
+    }
+    
+    await store.updateRun(run.id, async () => ({ run: resumed }));
+    console.log(`💾 Stored resumed run ${run.id}`);
+    return buildScreeningResponse(resumed.state);
+  }, { run_id: run.id, tenant_id: run.tenant_id || null });
+}
+
+// Run the compiled workflow to completion (or to its review interrupt), reporting each finished node.
+// `onProgress` also receives the per-paper events emitted by the agents.
+// With `resumeAfter` the state is treated as the output of that node and the graph continues from there.
+async function runScreeningWorkflow(initialState, { signal, onProgress, resumeAfter } = {}) {
+  const checkpoint = REVIEW_CHECKPOINTS[initialState.options.review_checkpoint];
+  const needsCheckpointer = Boolean(resumeAfter || checkpoint === 'agent4');
+  const workflow = createWorkflow(needsCheckpointer ? {
+    checkpointer: new MemorySaver(),
+    interruptAfter: resumeAfter ? [] : [checkpoint]
+  } : {});
+  let finalState = initialState;
+  
+  const config = {
+    streamMode: 'updates',
+    // Calibration rounds loop through agents 3 and 3b, on top of both screening stages
+    recursionLimit: 50,
+    signal,
+    configurable: { onProgress, thread_id: initialState.runId || crypto.randomUUID() }
+  };
+  
+  let input = initialState;
+  if (resumeAfter) {
+    await workflow.updateState(config, initialState, resumeAfter);
+    input = null;
+  }
+  
+  const stream = await workflow.stream(input, config);
+  
+  for await (const update of stream) {
+    for (const [node, nodeState] of Object.entries(update)) {
+      if (node === '__interrupt__') continue;
+      finalState = nodeState;
+      if (onProgress) {
+        onProgress({ type: 'node_completed', node, currentStep: nodeState.currentStep });
+      }
+    }
+  }
+  
+  return finalState;
+}
+
+// Every paper that fell back to placeholder metadata or verdicts, with the stage and reason
+function describeDegradedPapers(finalState) {
+  return [
+    ...finalState.extractedMetadata
+      .filter(m => m.degraded)
+      .map(m => ({ paper_id: m.paper_id, stage: 'metadata_extraction', reason: m.degraded_reason })),
+    ...finalState.evaluationResults
+      .filter(e => e.degraded)
+      .map(e => ({ paper_id: e.paper_id, stage: 'evaluation', reason: e.degraded_reason }))
+  ].sort((a, b) => a.paper_id - b.paper_id);
+}
+
+// Token usage and cost so far, with the run's budget and what is left of it
+function describeUsage(usage, options) {
+  const current = usage || createUsage();
+  const maxTokens = options.max_tokens === undefined ? null : options.max_tokens;
+  const maxCost = options.max_cost_usd === undefined ? null : options.max_cost_usd;
+  return {
+    ...current,
+    budget: {
+      max_tokens: maxTokens,
+      max_cost_usd: maxCost,
+      remaining_tokens: maxTokens === null ? null : Math.max(0, maxTokens - current.total_tokens),
+      remaining_cost_usd: maxCost === null ? null : Math.max(0, Math.round((maxCost - current.cost_usd) * 1e6) / 1e6),
+      exceeded: Boolean(budgetExceeded(current, options))
+    }
+  };
+}
+
+// The response for a run stopped by its budget
+function budgetExceededResponse(error, runId, options) {
+  return {
+    success: false,
+    status: 'budget_exceeded',
+    run_id: runId,
+    error: error.message,
+    usage: describeUsage(error.usage, options)
+  };
+}
+
+// How well verdicts are backed by quotes found in the papers, and which papers have
+// verdicts whose quotes could not be found
+function describeEvidence(finalState) {
+  const scored = finalState.evaluationResults.filter(e => typeof e.groundedness === 'number');
+  const verdicts = finalState.evaluationResults.flatMap(e => e.evaluations);
+  return {
+    policy: finalState.options.evidence_policy || 'downgrade',
+    match_threshold: finalState.options.evidence_match_threshold || 0.85,
+    mean_groundedness: scored.length > 0
+      ? Math.round(scored.reduce((sum, e) => sum + e.groundedness, 0) / scored.length * 1000) / 1000
+      : null,
+    ungrounded_verdicts: verdicts.filter(v => v.grounded === false).length,
+    downgraded_verdicts: verdicts.filter(v => v.downgraded).length,
+    ungrounded_papers: finalState.evaluationResults
+      .filter(e => e.evaluations.some(v => v.grounded === false))
+      .map(e => ({
+        paper_id: e.paper_id,
+        title: finalState.inputPapers[e.paper_id - 1].title,
+        groundedness: e.groundedness,
+        criteria: e.evaluations.filter(v => v.grounded === false).map(v => v.criterion_id)
+      }))
+  };
+}
+
+// Full-text stage summary: which papers had full text and how it was split (chunks omitted)
+function describeFullText(finalState) {
+  if (!finalState.fullText) return null;
+  const papers = Object.entries(finalState.fullText.papers).map(([paperId, paper]) => ({
+    paper_id: Number(paperId),
+    title: finalState.inputPapers[paperId - 1].title,
+    available: Boolean(paper.chunks),
+    source: paper.source,
+    pages: paper.pages || null,
+    characters: paper.characters || 0,
+    sections: paper.sections || [],
+    chunks_count: paper.chunks ? paper.chunks.length : 0
+  }));
+  return {
+    candidates_count: finalState.fullText.candidates.length,
+    available_count: papers.filter(p => p.available).length,
+    papers
+  };
+}
+
+// Research landscape for responses: clusters with their selected papers (paper-to-cluster map omitted)
+function describeLandscape(finalState) {
+  if (!finalState.landscape) return null;
+  const { paper_clusters: paperClusters, ...landscape } = finalState.landscape;
+  const selected = finalState.finalSelectedPapers || [];
+  return {
+    ...landscape,
+    max_per_cluster: (finalState.options.selection || DEFAULT_SELECTION).max_per_cluster || null,
+    clusters: landscape.clusters.map(cluster => ({
+      ...cluster,
+      selected_paper_ids: selected.filter(p => paperClusters[p.paper_id] === cluster.cluster_id).map(p => p.paper_id)
+    }))
+  };
+}
+
+// Shape the final workflow state into the /screen-papers response payload
+function buildScreeningResponse(finalState) {
+  const awaitingReview = Boolean(finalState.review && finalState.review.status === 'pending');
+  return {
+    success: true,
+    status: awaitingReview ? 'awaiting_review' : 'completed',
+    run_id: finalState.runId,
+    project_id: finalState.projectId,
+    workflow_steps: finalState.currentStep,
+    review: finalState.review ? {
+      checkpoint: finalState.review.checkpoint,
+      status: finalState.review.status,
+      queue_size: finalState.review.queue.length,
+      reviewed_count: Object.keys(finalState.review.decisions).length,
+      review_url: `/runs/${finalState.runId}/review`
+    } : null,
+    input_papers_count: inputPaperCount(finalState),
+    import: finalState.importReport,
+    deduplication: finalState.deduplication,
+    unique_papers_count: finalState.inputPapers.length,
+    rescreen: describeRescreen(finalState),
+    screening_stage: finalState.screeningStage || 'abstract',
+    full_text: describeFullText(finalState),
+    landscape: describeLandscape(finalState),
+    options: finalState.options,
+    llm: describeLlmSettings(finalState.llm),
+    prompt_templates: describePrompts(finalState.prompts),
+    ensemble: finalState.ensemble ? {
+      combine: finalState.ensemble.combine,
+      raters: finalState.ensemble.raters.map(rater => ({
+        rater_id: rater.rater_id,
+        label: rater.label,
+        prompt_variant: rater.prompt_variant,
+        llm: describeLlmSettings(rater.llm)
+      })),
+      disagreement_papers: finalState.evaluationResults
+        .filter(e => e.disagreement)
+        .map(e => ({ paper_id: e.paper_id, title: e.title, criteria: e.disagreement_criteria }))
+    } : null,
+    generated_criteria: finalState.generatedCriteria,
+    calibration: describeCalibration(finalState.calibration),
+    hard_excluded_papers_count: finalState.evaluationResults.filter(e => e.excluded).length,
+    degraded_papers: describeDegradedPapers(finalState),
+    evidence: describeEvidence(finalState),
+    usage: describeUsage(finalState.usage, finalState.options),
+    cache: {
+      enabled: finalState.options.use_cache !== false,
+      hits: Object.values(finalState.cacheStats).reduce((sum, c) => sum + c.hits, 0),
+      misses: Object.values(finalState.cacheStats).reduce((sum, c) => sum + c.misses, 0),
+      by_task: finalState.cacheStats
+    },
+    criteria_statistics: finalState.criteriaStats,
+    selection_strategy: (finalState.options.selection || DEFAULT_SELECTION).strategy,
+    selected_papers_count: finalState.finalSelectedPapers.length,
+    rejected_papers: finalState.paperScores.filter(p => !p.selected),
+    selected_papers: finalState.finalSelectedPapers.map(paper => ({
+      rank: finalState.finalSelectedPapers.indexOf(paper) + 1,
+      paper_id: paper.paper_id,
+      title: paper.title,
+      eligibility_score: paper.eligibility_score,
+      hard_exclusions: paper.hard_exclusions,
+      rule_exclusions: paper.rule_exclusions,
+      explanation: paper.explanation,
+      groundedness: paper.groundedness === undefined ? null : paper.groundedness,
+      cluster_id: paper.cluster_id === undefined ? null : paper.cluster_id,
+      criteria_results: {
+        yes_count: paper.yes_count,
+        maybe_count: paper.maybe_count,
+        no_count: paper.no_count
+      },
+      detailed_evaluations: paper.evaluations,
+      metadata: paper.metadata,
+      degraded: Boolean(paper.degraded || (paper.metadata && paper.metadata.degraded)),
+      degraded_reasons: [
+        paper.metadata && paper.metadata.degraded_reason,
+        paper.degraded_reason
+      ].filter(Boolean)
+    })),
+    errors: finalState.errors
+  };
+}
+
+// Switch the response to a Server-Sent Events stream and return a writer for it
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  let nextId = 1;
+  return (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// Stream a screening run as it happens: one event per finished node and per paper
+async function streamScreeningWorkflow(req, res, initialState) {
+  const controller = new AbortController();
+  const send = openEventStream(res);
+  
+  // Stop the run (and its LLM calls) if the client goes away
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  
+  send('started', { input_papers_count: initialState.inputPapers.length });
+  
+  try {
+    const { finalState } = await executeScreeningRun(initialState, {
+      signal: controller.signal,
+      onProgress: (event) => send(event.type, event)
+    });
+    send('result', buildScreeningResponse(finalState));
+    console.log("✅ Streamed workflow completed successfully!");
+  } catch (error) {
+    if (error.budgetExceeded) {
+      send('error', budgetExceededResponse(error, initialState.runId, initialState.options));
+    } else if (error.quotaExceeded) {
+      send('error', { success: false, run_id: initialState.runId, error: error.message, retry_after_seconds: error.retryAfter });
+    } else if (!controller.signal.aborted) {
+      console.error("❌ Streamed workflow failed:", error);
+      send('error', { success: false, error: error.message });
+    }
+  }
+  
+  res.end();
+}
+
+// Answer a run stopped by the key's LLM-call quota (429) or the run's budget (402).
+// Returns false for any other error, which is left to the caller.
+function sendRunStopped(res, error, state) {
+  if (error.quotaExceeded) {
+    res.set('Retry-After', String(error.retryAfter));
+    res.status(429).json({ success: false, run_id: state.runId, error: error.message, retry_after_seconds: error.retryAfter });
+    return true;
+  }
+  if (error.budgetExceeded) {
+    res.status(402).json(budgetExceededResponse(error, state.runId, state.options));
+    return true;
+  }
+  return false;
+}
+
+// A job as returned when it is started, with where to follow it
+function describeJobWithLinks(job) {
+  return {
+    ...describeJob(job),
+    links: {
+      status: `/jobs/${job.id}`,
+      events: `/jobs/${job.id}/events`,
+      result: `/jobs/${job.id}/result`
+    }
+  };
+}
+
+// API Routes
+app.post(['/screen-papers', '/screen-papers/stream'], async (req, res) => {
+  try {
+    console.log("🚀 Starting research paper screening workflow...");
+    
+    const { state: initialState, ...invalid } = buildInitialState(req.body, req.auth);
+    if (!initialState) {
+      return res.status(400).json(invalid);
+    }
+    
+    const projectError = await findProjectError(initialState, req.auth);
+    if (projectError) {
+      return res.status(404).json({ error: projectError });
+    }
+    
+    if (req.path === '/screen-papers/stream' || req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+      return streamScreeningWorkflow(req, res, initialState);
+    }
+    
+    // Create and run workflow
+    let finalState;
+    try {
+      ({ finalState } = await executeScreeningRun(initialState));
+    } catch (error) {
+      if (!sendRunStopped(res, error, initialState)) throw error;
+      return;
+    }
+    
+    // Prepare response
+    const response = buildScreeningResponse(finalState);
+    
+    console.log("✅ Workflow completed successfully!");
+    res.json(response);
+    
+  } catch (error) {
+    console.error("❌ Workflow failed:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Parse a reference-manager export into papers ready for /screen-papers.
+// Send the export as the raw body (format from ?format=, the Content-Type, or sniffed)
+// or as JSON { format?, content }.
+app.post('/import', (req, res) => {
+  let content;
+  let format;
+  if (typeof req.body === 'string') {
+    content = req.body;
+    format = req.query.format || CONTENT_TYPE_FORMATS[(req.get('Content-Type') || '').split(';')[0].trim()];
+  } else {
+    content = req.body && req.body.content;
+    format = (req.body && req.body.format) || req.query.format;
+  }
+
+  const imported = importPapers(content, format);
+  if (imported.error) {
+    return res.status(400).json({
+      error: `Invalid input: ${imported.error}`,
+      supported_formats: IMPORT_FORMATS
+    });
+  }
+
+  console.log(`📥 Imported ${imported.papers.length} papers from ${imported.format} (${imported.skipped.length} skipped)`);
+  res.json({
+    success: true,
+    format: imported.format,
+    papers_count: imported.papers.length,
+    skipped_count: imported.skipped.length,
+    skipped: imported.skipped,
+    papers: imported.papers
+  });
+});
+
+// Extract and chunk one paper's full text without screening: a PDF body
+// (Content-Type: application/pdf) or JSON { full_text } / { pdf_base64 }
+app.post('/full-text/extract', async (req, res) => {
+  let text;
+  let pages = null;
+  try {
+    if (Buffer.isBuffer(req.body)) {
+      ({ text, pages } = await extractPdfText(req.body));
+    } else if (req.body && typeof req.body.full_text === 'string') {
+      text = req.body.full_text;
+    } else if (req.body && typeof req.body.pdf_base64 === 'string') {
+      ({ text, pages } = await extractPdfText(Buffer.from(req.body.pdf_base64, 'base64')));
+    } else {
+      return res.status(400).json({
+        error: "Invalid input: expected a PDF body (application/pdf) or JSON with 'full_text' or 'pdf_base64'"
+      });
+    }
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid input: could not read PDF: ${error.message}` });
+  }
+
+  const chunks = chunkFullText(text);
+  console.log(`📄 Extracted ${text.length} characters in ${chunks.length} chunks`);
+  res.json({
+    success: true,
+    pages,
+    characters: text.length,
+    sections: describeSections(text),
+    chunks_count: chunks.length,
+    chunks: chunks.map(({ text: chunkText, ...chunk }) => ({ ...chunk, preview: chunkText.substring(0, 200) }))
+  });
+});
+
+// Asynchronous screening jobs
+app.post('/jobs', async (req, res) => {
+  const { state: initialState, ...invalid } = buildInitialState(req.body, req.auth);
+  if (!initialState) {
+    return res.status(400).json(invalid);
+  }
+  
+  const projectError = await findProjectError(initialState, req.auth);
+  if (projectError) {
+    return res.status(404).json({ error: projectError });
+  }
+  
+  const job = createJob(async (job) => {
+    console.log(`🚀 Job ${job.id}: Starting research paper screening workflow...`);
+    const { finalState } = await executeScreeningRun(initialState, {
+      signal: job.signal,
+      onProgress: job.reportProgress
+    });
+    console.log(`✅ Job ${job.id}: Workflow completed successfully!`);
+    return buildScreeningResponse(finalState);
+  }, { input_papers_count: initialState.inputPapers.length, tenant_id: initialState.tenantId });
+  
+  res.status(202).json(describeJobWithLinks(job));
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || !canAccess(req.auth, job.metadata)) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  }
+  res.json(describeJob(job));
+});
+
+app.get('/jobs/:id/result', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || !canAccess(req.auth, job.metadata)) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  }
+  
+  switch (job.status) {
+    case 'completed':
+      return res.json(job.result);
+    case 'failed':
+      return res.status(500).json({ success: false, job_id: job.id, error: job.error });
+    case 'cancelled':
+      return res.status(410).json({ success: false, job_id: job.id, error: "Job was cancelled" });
+    default:
+      return res.status(409).json({
+        ...describeJob(job),
+        error: "Job has not finished yet"
+      });
+  }
+});
+
+// Server-Sent Events view of a job: replays progress so far, then follows it live
+app.get('/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || !canAccess(req.auth, job.metadata)) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  }
+  
+  const send = openEventStream(res);
+  const stopFollowing = followJob(
+    job,
+    (event) => send(event.type, event),
+    (finishedJob) => {
+      if (finishedJob.status === 'completed') {
+        send('result', finishedJob.result);
+      } else {
+        send('error', { success: false, status: finishedJob.status, error: finishedJob.error || `Job ${finishedJob.status}` });
+      }
+      res.end();
+    }
+  );
+  
+  res.on('close', stopFollowing);
+});
+
+// Cancel a running job, or forget a finished one
+app.delete('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || !canAccess(req.auth, job.metadata)) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  }
+  
+  if (isFinished(job)) {
+    deleteJob(job.id);
+    return res.json({ job_id: job.id, status: job.status, deleted: true });
+  }
+  
+  cancelJob(job);
+  console.log(`🛑 Job ${job.id}: Cancelled`);
+  res.json(describeJob(job));
+});
+
+// Review projects and stored runs
+app.post('/projects', async (req, res) => {
+  const { name, description } = req.body || {};
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ error: "Invalid input: 'name' should be a non-empty string" });
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return res.status(400).json({ error: "Invalid input: 'description' should be a string" });
+  }
+  
+  const project = await store.createProject({ name, description, tenant_id: req.auth ? req.auth.tenant : null });
+  res.status(201).json(project);
+});
+
+app.get('/projects', async (req, res) => {
+  const projects = await store.listProjects();
+  res.json({ projects: projects.filter(project => canAccess(req.auth, project)) });
+});
+
+app.get('/projects/:id', async (req, res) => {
+  const project = await store.getProject(req.params.id);
+  if (!project || !canAccess(req.auth, project)) {
+    return res.status(404).json({ error: `Project ${req.params.id} not found` });
+  }
+  res.json(project);
+});
+
+app.get('/projects/:id/runs', async (req, res) => {
+  const project = await store.getProject(req.params.id);
+  if (!project || !canAccess(req.auth, project)) {
+    return res.status(404).json({ error: `Project ${req.params.id} not found` });
+  }
+  
+  const runs = await store.listProjectRuns(req.params.id);
+  if (!runs) {
+    return res.status(404).json({ error: `Project ${req.params.id} not found` });
+  }
+  res.json({ project_id: req.params.id, runs: runs.map(describeRun) });
+});
+
+// Full run: metadata, the screening result, and every paper's evaluation with reasoning
+app.get('/runs/:id', async (req, res) => {
+  const run = await store.getRun(req.params.id);
+  if (!run || !canAccess(req.auth, run)) {
+    return res.status(404).json({ error: `Run ${req.params.id} not found` });
+  }
+  
+  res.json({
+    ...describeRun(run),
+    papers: run.state.inputPapers,
+    criteria_set: run.state.generatedCriteria,
+    calibration: describeCalibration(run.state.calibration),
+    extracted_metadata: run.state.extractedMetadata,
+    evaluations: run.state.evaluationResults,
+    result: run.status === 'completed' ? buildScreeningResponse(run.state) : null
+  });
+});
+
+// Token usage and cost of a run, per agent, paper and model, against its budget
+app.get('/runs/:id/usage', async (req, res) => {
+  const run = await store.getRun(req.params.id);
+  if (!run || !canAccess(req.auth, run)) {
+    return res.status(404).json({ error: `Run ${req.params.id} not found` });
+  }
+  
+  res.json({
+    run_id: run.id,
+    status: run.status,
+    usage: describeUsage(run.state.usage, run.state.options)
+  });
+});
+
+// Topic clusters and study-type, methodology and year distributions of a run's papers
+app.get('/runs/:id/landscape', async (req, res) => {
+  const run = await store.getRun(req.params.id);
+  if (!run || !canAccess(req.auth, run)) {
+    return res.status(404).json({ error: `Run ${req.params.id} not found` });
+  }
+  if (!run.state.landscape) {
+    return res.status(404).json({ error: `Run ${run.id} has no landscape analysis` });
+  }
+  
+  res.json({
+    run_id: run.id,
+    status: run.status,
+    landscape: describeLandscape(run.state)
+  });
+});
+
+// Download a completed run as csv, ris, bibtex, prisma (JSON counts) or prisma_svg
+app.get('/runs/:id/export/:format', async (req, res) => {
+  const exportFormat = EXPORT_FORMATS[req.params.format];
+  if (!exportFormat) {
+    return res.status(400).json({ error: `Invalid input: export format should be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  
+  const run = await store.getRun(req.params.id);
+  if (!run || !canAccess(req.auth, run)) {
+    return res.status(404).json({ error: `Run ${req.params.id} not found` });
+  }
+  if (run.status !== 'completed') {
+    return res.status(409).json({ error: `Run ${run.id} is not completed (status: ${run.status})` });
+  }
+  
+  res.set({
+    'Content-Type': exportFormat.contentType,
+    'Content-Disposition': `attachment; filename="run-${run.id}-${req.params.format}.${exportFormat.extension}"`
+  });
+  res.send(exportFormat.build(run.state));
+});
+
+// Human review of uncertain papers in a paused run
+app.get('/runs/:id/review', async (req, res) => {
+  const run = await store.getRun(req.params.id);
+  if (!run || !canAccess(req.auth, run)) {
+    return res.status(404).json({ error: `Run ${req.params.id} not found` });
+  }
+  if (!run.state.review) {
+    return res.status(404).json({ error: `Run ${req.params.id} was not started with a review checkpoint` });
+  }
+  
+  const { review, evaluationResults } = run.state;
+  const withEvaluation = (item) => ({
+    ...item,
+    evaluations: evaluationResults[item.paper_id - 1].evaluations,
+    decision: review.decisions[item.paper_id] || null
+  });
+  
+  res.json({
+    run_id: run.id,
+    status: run.status,
+    checkpoint: review.checkpoint,
+    criteria: run.state.generatedCriteria,
+    pending: review.queue.filter(item => !review.decisions[item.paper_id]).map(withEvaluation),
+    reviewed: review.queue.filter(item => review.decisions[item.paper_id]).map(withEvaluation),
+    other_decisions: Object.values(review.decisions).filter(d => !review.queue.some(item => item.paper_id === d.paper_id))
+  });
+});
+
+// Post Yes/No overrides for one paper; the run resumes (as a job) once every queued paper is reviewed
+app.post('/runs/:id/review/:paperId', async (req, res) => {
+  const paperId = parseInt(req.params.paperId, 10);
+  
+  const outcome = await store.updateRun(req.params.id, async (run) => {
+    if (!canAccess(req.auth, run)) {
+      return { status: 404, body: { error: `Run ${run.id} not found` } };
+    }
+    if (run.status !== 'awaiting_review') {
+      return { status: 409, body: { error: `Run ${run.id} is not awaiting review (status: ${run.status})` } };
+    }
+    
+    const evaluation = run.state.evaluationResults.find(e => e.paper_id === paperId);
+    if (!evaluation) {
+      return { status: 404, body: { error: `Paper ${req.params.paperId} not found in run ${run.id}` } };
+    }
+    
+    const resolved = resolveOverrides(req.body || {}, run.state.generatedCriteria);
+    if (resolved.error) {
+      return { status: 400, body: { error: `Invalid input: ${resolved.error}` } };
+    }
+    
+    applyOverrides(evaluation, resolved.overrides, resolved.reviewer, run.state.generatedCriteria);
+    run.state.review.decisions[paperId] = {
+      paper_id: paperId,
+      overrides: resolved.overrides,
+      reviewer: resolved.reviewer,
+      reviewed_at: new Date().toISOString()
+    };
+    
+    const remaining = run.state.review.queue.filter(item => !run.state.review.decisions[item.paper_id]).length;
+    if (remaining === 0) {
+      run.status = 'resuming';
+    }
+    
+    return {
+      run,
+      status: remaining === 0 ? 202 : 200,
+      body: { run_id: run.id, paper_id: paperId, evaluation, remaining, resumed: remaining === 0 }
+    };
+  });
+  
+  if (!outcome) {
+    return res.status(404).json({ error: `Run ${req.params.id} not found` });
+  }
+  if (outcome.status === 202) {
+    outcome.body.job = describeJobWithLinks(startResumeJob(outcome.run));
+  }
+  res.status(outcome.status).json(outcome.body);
+});
+
+// Resume a paused run without waiting for the rest of the queue (as a job)
+app.post('/runs/:id/resume', async (req, res) => {
+  const outcome = await store.updateRun(req.params.id, async (run) => {
+    if (!canAccess(req.auth, run)) {
+      return { status: 404, body: { error: `Run ${run.id} not found` } };
+    }
+    if (run.status !== 'awaiting_review') {
+      return { status: 409, body: { error: `Run ${run.id} is not awaiting review (status: ${run.status})` } };
+    }
+    run.status = 'resuming';
+    return { run, status: 202 };
+  });
+  
+  if (!outcome) {
+    return res.status(404).json({ error: `Run ${req.params.id} not found` });
+  }
+  if (outcome.status !== 202) {
+    return res.status(outcome.status).json(outcome.body);
+  }
+  res.status(202).json({ run_id: outcome.run.id, ...describeJobWithLinks(startResumeJob(outcome.run)) });
+});
+
+// Re-screen a completed run with new papers and/or edited criteria: only what changed is
+// evaluated, the selection is recomputed and compared with the run's (a new run is stored)
+app.post('/runs/:id/rescreen', async (req, res) => {
+  try {
+    const run = await store.getRun(req.params.id);
+    if (!run || !canAccess(req.auth, run)) {
+      return res.status(404).json({ error: `Run ${req.params.id} not found` });
+    }
+    if (run.status !== 'completed') {
+      return res.status(409).json({ error: `Run ${run.id} is not completed (status: ${run.status})` });
+    }
+    if (run.state.screeningStage === 'full_text') {
+      return res.status(409).json({ error: `Run ${run.id} was screened on full text; only abstract-stage runs can be re-screened` });
+    }
+    
+    const { state: initialState, ...invalid } = buildRescreenState(run, req.body || {}, req.auth);
+    if (!initialState) {
+      return res.status(400).json(invalid);
+    }
+    
+    console.log(`🔁 Re-screening run ${run.id}: ${initialState.rescreen.new_paper_ids.length} new papers, criteria ${initialState.rescreen.reevaluate_criteria_ids.length > 0 ? `${initialState.rescreen.reevaluate_criteria_ids.join(', ')} re-evaluated` : 'unchanged'}`);
+    let finalState;
+    try {
+      ({ finalState } = await executeScreeningRun(initialState));
+    } catch (error) {
+      if (!sendRunStopped(res, error, initialState)) throw error;
+      return;
+    }
+    
+    console.log("✅ Re-screen completed successfully!");
+    res.json(buildScreeningResponse(finalState));
+  } catch (error) {
+    console.error("❌ Re-screen failed:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// LLM response cache administration
+app.get('/admin/cache', requireScope('admin'), async (req, res) => {
+  res.json(await describeCache());
+});
+
+// Invalidate the whole cache, or one task's entries with ?task=extract_metadata|evaluate_paper
+app.delete('/admin/cache', requireScope('admin'), async (req, res) => {
+  const { task } = req.query;
+  if (task !== undefined && !PROMPT_TASKS.hasOwnProperty(task)) {
+    return res.status(400).json({ error: `Invalid input: 'task' should be one of: ${Object.keys(PROMPT_TASKS).join(', ')}` });
+  }
+  
+  const removed = await clearCache(task);
+  console.log(`🧹 Cache: removed ${removed} entries${task ? ` for ${task}` : ''}`);
+  res.json({ success: true, task: task || null, removed });
+});
+
+// Prompt template registry: each task's placeholders and default template, and the domain presets
+app.get('/prompts', (req, res) => {
+  res.json(listPrompts());
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    service: 'Research Paper Screening Agent',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get workflow status
+app.get('/workflow-info', (req, res) => {
+  res.json({
+    service: "Research Paper Screening Agentic Workflow",
+    agents: [
+      { id: 1, name: "Input Processor", function: "Validate and process input papers" },
+      { id: '1b', name: "Duplicate Detector", function: "Merge duplicate records by DOI/PMID, fuzzy title and year, or abstract similarity" },
+      { id: 2, name: "Metadata Extractor", function: "Extract comprehensive metadata from papers" },
+      { id: '2b', name: "Landscape Analyzer", function: "Cluster the papers into topics by keyword similarity, count study types, methodologies and years per cluster, and summarize each cluster" },
+      { id: 3, name: "Criteria Generator", function: "Use user-supplied or PICO criteria, generating screening criteria from metadata when none (or too few) are given" },
+      { id: '3b', name: "Criteria Calibrator", function: "With a labeled calibration set, measure the criteria's recall, precision and work saved, and send them back to agent 3 for refinement until the target recall or the round limit is reached" },
+      { id: 4, name: "Paper Evaluator", function: "Evaluate each paper against criteria (Yes/Maybe/No) with supporting quotes verified against the paper text, optionally with an ensemble of raters combined by majority or unanimity" },
+      { id: 5, name: "Statistics Generator", function: "Generate statistics for criteria responses" },
+      { id: 6, name: "Top Papers Selector", function: "Select top K papers (top_k, top_percent or all eligible) based on evaluation scores" },
+      { id: 7, name: "Full-Text Preparer", function: "With full_text_screening, extract and chunk the selected papers' full texts (PDF or text) and re-run agents 2 and 4-6 on them" }
+    ],
+    model: DEFAULT_LLM_SETTINGS.model,
+    llm: {
+      ...describeLlmSettings(DEFAULT_LLM_SETTINGS),
+      available_providers: PROVIDERS
+    },
+    default_options: DEFAULT_SCREENING_OPTIONS,
+    import_formats: IMPORT_FORMATS,
+    prompt_templates: describePrompts(null),
+    authentication: AUTH_ENABLED
+      ? "API key required ('Authorization: Bearer <key>' or 'X-API-Key'); scopes: read (GET), screen (runs, jobs, projects), admin (/admin, /test-dummy)"
+      : "disabled (no API keys configured)",
+    framework: "LangGraph + LangChain"
+  });
+});
+
+// The caller's tenant, scopes and quota usage
+app.get('/auth/me', (req, res) => {
+  res.json(describeAuth(req.auth));
+});
+
+// Example endpoint for testing with dummy data (a full run of LLM calls: development or admin keys only)
+app.get('/test-dummy', requireScope('admin'), async (req, res) => {
+  if (process.env.NODE_ENV !== 'development' && !hasScope(req.auth, 'admin')) {
+    return res.status(403).json({ error: "/test-dummy is only available in development (NODE_ENV=development) or with an admin API key" });
+  }
+  
+  const count = parseInt(req.query.count, 10) || 50;
+  const dummyPapers = Array.from({ length: count }, (_, i) => ({
+    title: `Research Paper ${i + 1}: Impact of AI on Healthcare Systems`,
+    abstract: `This study examines the implementation of artificial intelligence in healthcare systems. The research focuses on efficiency improvements, cost reduction, and patient outcome enhancement. We conducted a comprehensive analysis of ${Math.floor(Math.random() * 1000) + 100} healthcare facilities over a ${Math.floor(Math.random() * 3) + 1}-year period.`,
+  }));
+  
+  try {
+    const resolvedLlm = resolveLlmSettings(req.query.provider ? { provider: req.query.provider } : undefined);
+    if (resolvedLlm.error) {
+      return res.status(400).json({ error: resolvedLlm.error });
+    }
+    
+    const workflow = createWorkflow();
+    const initialState = new WorkflowState();
+    initialState.inputPapers = dummyPapers;
+    initialState.llm = resolvedLlm.settings;
+    initialState.tenantId = req.auth ? req.auth.tenant : null;
+    initialState.apiKeyId = req.auth ? req.auth.key_id : null;
+    
+    const finalState = await workflow.invoke(initialState);
+    res.json({ message: "Test completed successfully", results: finalState });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Listen only when run directly, so tests can require the app without binding a port
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`🚀 Research Paper Screening Agent running on port ${PORT}`);
+    console.log(`📊 Workflow Info: http://localhost:${PORT}/workflow-info`);
+    console.log(`🔍 Screen Papers: POST http://localhost:${PORT}/screen-papers`);
+    console.log(`📥 Import Papers: POST http://localhost:${PORT}/import (${IMPORT_FORMATS.join(', ')})`);
+    console.log(`📄 Full-Text Extraction: POST http://localhost:${PORT}/full-text/extract`);
+    console.log(`⏳ Screening Jobs: POST http://localhost:${PORT}/jobs`);
+    console.log(`📡 Live Screening: POST http://localhost:${PORT}/screen-papers/stream`);
+    console.log(`📤 Exports: GET http://localhost:${PORT}/runs/:id/export/{${Object.keys(EXPORT_FORMATS).join(',')}}`);
+    console.log(`🗂️ Projects: POST http://localhost:${PORT}/projects (data in ${store.DATA_DIR})`);
+    console.log(`💰 Usage: GET http://localhost:${PORT}/runs/:id/usage`);
+    console.log(`🔁 Re-screen: POST http://localhost:${PORT}/runs/:id/rescreen`);
+    console.log(`🗺️ Landscape: GET http://localhost:${PORT}/runs/:id/landscape`);
+    console.log(`📝 Prompt Templates: GET http://localhost:${PORT}/prompts`);
+    console.log(`🧹 Response Cache: DELETE http://localhost:${PORT}/admin/cache`);
+    console.log(`🧪 Test Dummy: GET http://localhost:${PORT}/test-dummy`);
+    if (AUTH_ENABLED) {
+      console.log(`🔐 Authentication: API keys required (GET http://localhost:${PORT}/auth/me)`);
+    } else {
+      console.warn("⚠️ Authentication disabled: no API keys configured (API_KEYS or API_KEYS_FILE)");
+    }
+  });
+}
+
 module.exports = app;
\ No newline at end of file
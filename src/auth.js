@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+
+// API-key authentication for the HTTP API. Keys belong to a tenant, carry scopes
+// ('read' for GET routes, 'screen' for everything that starts work, 'admin' for
+// /admin and /test-dummy; admin implies the others) and optional quotas on
+// requests and LLM calls. Keys come from API_KEYS (JSON) or API_KEYS_FILE
+// (default <DATA_DIR>/api-keys.json):
+//   [{ id, key | key_sha256, tenant, scopes, quotas: { requests_per_minute, requests_per_day, llm_calls_per_day } }]
+// With no keys configured authentication is off, for local development.
+// Quota counters live in memory and reset when the process restarts.
+
+const SCOPES = ['read', 'screen', 'admin'];
+const QUOTAS = ['requests_per_minute', 'requests_per_day', 'llm_calls_per_day'];
+const PUBLIC_PATHS = ['/health', '/workflow-info'];
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Validate the configured keys; a broken configuration fails startup rather than opening the API
+function parseApiKeys(raw, source) {
+  if (!Array.isArray(raw)) {
+    throw new Error(`${source} should be a JSON array of API keys`);
+  }
+
+  return raw.map((entry, i) => {
+    const label = `${source}[${i}]`;
+    if (!entry || typeof entry.id !== 'string' || entry.id.length === 0) {
+      throw new Error(`${label}.id should be a non-empty string`);
+    }
+    if (typeof entry.tenant !== 'string' || entry.tenant.length === 0) {
+      throw new Error(`${label}.tenant should be a non-empty string`);
+    }
+    if (typeof entry.key !== 'string' && !/^[a-f0-9]{64}$/.test(entry.key_sha256 || '')) {
+      throw new Error(`${label} needs a 'key' or a hex 'key_sha256'`);
+    }
+    const scopes = entry.scopes || ['read', 'screen'];
+    if (!Array.isArray(scopes) || !scopes.every(scope => SCOPES.includes(scope))) {
+      throw new Error(`${label}.scopes should list scopes from: ${SCOPES.join(', ')}`);
+    }
+    const quotas = entry.quotas || {};
+    for (const [name, limit] of Object.entries(quotas)) {
+      if (!QUOTAS.includes(name) || !(limit === null || (Number.isInteger(limit) && limit > 0))) {
+        throw new Error(`${label}.quotas.${name} is not a known quota with a positive integer limit`);
+      }
+    }
+
+    return {
+      id: entry.id,
+      tenant: entry.tenant,
+      scopes,
+      quotas,
+      keyHash: entry.key_sha256 || sha256(entry.key)
+    };
+  });
+}
+
+function loadApiKeys() {
+  if (process.env.API_KEYS) {
+    return parseApiKeys(JSON.parse(process.env.API_KEYS), 'API_KEYS');
+  }
+  const file = path.resolve(process.env.API_KEYS_FILE || path.join(DATA_DIR, 'api-keys.json'));
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return parseApiKeys(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+}
+
+const configuredKeys = loadApiKeys();
+const apiKeys = new Map(configuredKeys.map(key => [key.keyHash, key]));
+const keysById = new Map(configuredKeys.map(key => [key.id, key]));
+const AUTH_ENABLED = apiKeys.size > 0;
+
+// --- Quotas ---
+
+const counters = new Map();
+
+function countersFor(keyId) {
+  const minute = Math.floor(Date.now() / 60000);
+  const day = new Date().toISOString().substring(0, 10);
+  let entry = counters.get(keyId);
+  if (!entry) {
+    entry = { minute, day, minute_requests: 0, day_requests: 0, day_llm_calls: 0 };
+    counters.set(keyId, entry);
+  }
+  if (entry.minute !== minute) {
+    entry.minute = minute;
+    entry.minute_requests = 0;
+  }
+  if (entry.day !== day) {
+    entry.day = day;
+    entry.day_requests = 0;
+    entry.day_llm_calls = 0;
+  }
+  return entry;
+}
+
+function secondsUntilNextMinute() {
+  return 60 - Math.floor((Date.now() % 60000) / 1000);
+}
+
+function secondsUntilNextDay() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+// Count one request against the key's quotas. Returns null, or { message, retryAfter } when over quota.
+function takeRequest(key) {
+  const entry = countersFor(key.id);
+  const { requests_per_minute: perMinute, requests_per_day: perDay } = key.quotas;
+  if (perMinute && entry.minute_requests >= perMinute) {
+    return { message: `Request quota exceeded: ${perMinute} requests per minute`, retryAfter: secondsUntilNextMinute() };
+  }
+  if (perDay && entry.day_requests >= perDay) {
+    return { message: `Request quota exceeded: ${perDay} requests per day`, retryAfter: secondsUntilNextDay() };
+  }
+  entry.minute_requests++;
+  entry.day_requests++;
+  return null;
+}
+
+// Error that stops a run once its key has used up the day's LLM calls
+function quotaError(message, retryAfter) {
+  const error = new Error(message);
+  error.quotaExceeded = true;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+// Count one LLM call made on behalf of `keyId`; throws a quota error when none are left.
+// Calls without a key (authentication off, or internal runs) are not limited.
+function takeLlmCall(keyId) {
+  if (!keyId) return;
+  const key = keysById.get(keyId);
+  if (!key) return;
+  const entry = countersFor(keyId);
+  const limit = key.quotas.llm_calls_per_day;
+  if (limit && entry.day_llm_calls >= limit) {
+    throw quotaError(`LLM call quota exceeded: ${limit} calls per day`, secondsUntilNextDay());
+  }
+  entry.day_llm_calls++;
+}
+
+// --- Middleware ---
+
+function hasScope(auth, scope) {
+  return Boolean(auth) && (auth.scopes.includes(scope) || auth.scopes.includes('admin'));
+}
+
+// Scope a request needs: admin routes, then reads, then anything that starts work.
+// Express matches routes case-insensitively and with an optional trailing slash, so
+// the path is compared the same way (/Admin/cache and /test-dummy/ are admin routes).
+function requiredScope(req) {
+  const routePath = req.path.toLowerCase().replace(/\/+$/, '');
+  if (routePath === '/admin' || routePath.startsWith('/admin/') || routePath === '/test-dummy') return 'admin';
+  if (req.method === 'GET' || req.method === 'HEAD') return 'read';
+  return 'screen';
+}
+
+function presentedKey(req) {
+  const header = req.get('Authorization') || '';
+  const bearer = header.match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : req.get('X-API-Key') || null;
+}
+
+// Log every request with its tenant once the response is sent
+function logRequest(req, res) {
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    const tenant = req.auth ? req.auth.tenant : '-';
+    console.log(`📝 [${tenant}] ${req.method} ${req.originalUrl} ${res.statusCode} ${Date.now() - startedAt}ms`);
+  });
+}
+
+function forbidden(res, keyId, scope) {
+  return res.status(403).json({ error: `API key '${keyId}' lacks the '${scope}' scope` });
+}
+
+// Authenticate the API key, check the route's scope and the key's request quotas.
+// Sets req.auth = { tenant, key_id, scopes } (null while authentication is off).
+function authenticate(req, res, next) {
+  req.auth = null;
+  logRequest(req, res);
+  if (!AUTH_ENABLED || PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const presented = presentedKey(req);
+  const key = presented ? apiKeys.get(sha256(presented)) : null;
+  if (!key) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: presented ? "Invalid API key" : "Missing API key: send 'Authorization: Bearer <key>' or 'X-API-Key'"
+    });
+  }
+  req.auth = { tenant: key.tenant, key_id: key.id, scopes: key.scopes };
+
+  const scope = requiredScope(req);
+  if (!hasScope(req.auth, scope)) {
+    return forbidden(res, key.id, scope);
+  }
+
+  const overQuota = takeRequest(key);
+  if (overQuota) {
+    res.set('Retry-After', String(overQuota.retryAfter));
+    return res.status(429).json({ error: overQuota.message, retry_after_seconds: overQuota.retryAfter });
+  }
+
+  next();
+}
+
+// Route guard for handlers that need a scope whatever path they were reached by,
+// on top of the path-based check in authenticate
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!AUTH_ENABLED || hasScope(req.auth, scope)) {
+      return next();
+    }
+    return forbidden(res, req.auth ? req.auth.key_id : '-', scope);
+  };
+}
+
+// Whether the caller may see a stored record (project, run, job) of some tenant.
+// Records from before authentication was enabled have no tenant and are admin-only.
+function canAccess(auth, record) {
+  if (!AUTH_ENABLED) return true;
+  return hasScope(auth, 'admin') || (Boolean(auth) && record.tenant_id === auth.tenant);
+}
+
+// The caller's key, quotas and what is left of them today
+function describeAuth(auth) {
+  if (!auth) {
+    return { authentication: AUTH_ENABLED ? 'required' : 'disabled', tenant: null };
+  }
+  const key = keysById.get(auth.key_id);
+  const entry = countersFor(auth.key_id);
+  return {
+    authentication: 'required',
+    tenant: auth.tenant,
+    key_id: auth.key_id,
+    scopes: auth.scopes,
+    quotas: key.quotas,
+    usage: {
+      requests_this_minute: entry.minute_requests,
+      requests_today: entry.day_requests,
+      llm_calls_today: entry.day_llm_calls
+    }
+  };
+}
+
+module.exports = {
+  AUTH_ENABLED,
+  SCOPES,
+  authenticate,
+  requireScope,
+  hasScope,
+  canAccess,
+  takeLlmCall,
+  describeAuth
+};
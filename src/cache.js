@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+
+// Content-addressed disk cache for validated LLM outputs. Entries are keyed on a
+// hash of everything that shapes the answer (task, prompt version, model settings,
+// paper text, criteria), so a changed input simply misses and stale entries are
+// never served. Layout: <CACHE_DIR>/<task>/<hash prefix>/<hash>.json
+
+const CACHE_DIR = path.resolve(process.env.CACHE_DIR || path.join(DATA_DIR, 'cache'));
+const TASK_PATTERN = /^[a-z_]+$/;
+
+// Stable JSON: object keys sorted so equal inputs always hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function cacheKey(parts) {
+  return crypto.createHash('sha256').update(canonicalJson(parts)).digest('hex');
+}
+
+function entryPath(task, key) {
+  return path.join(CACHE_DIR, task, key.substring(0, 2), `${key}.json`);
+}
+
+// Cached value for `key`, or null on a miss (unreadable entries count as misses)
+async function readCache(task, key) {
+  try {
+    const entry = JSON.parse(await fs.readFile(entryPath(task, key), 'utf8'));
+    return entry.value;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️ Cache: ignoring unreadable entry ${task}/${key}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+// Write via a temp file and rename so concurrent readers never see a partial entry
+async function writeCache(task, key, value) {
+  const file = entryPath(task, key);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify({ task, key, created_at: new Date().toISOString(), value }));
+  await fs.rename(tempFile, file);
+}
+
+async function listTasks() {
+  try {
+    return (await fs.readdir(CACHE_DIR)).filter(name => TASK_PATTERN.test(name));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function countEntries(task) {
+  let count = 0;
+  const prefixes = await fs.readdir(path.join(CACHE_DIR, task)).catch(() => []);
+  for (const prefix of prefixes) {
+    const files = await fs.readdir(path.join(CACHE_DIR, task, prefix)).catch(() => []);
+    count += files.filter(file => file.endsWith('.json')).length;
+  }
+  return count;
+}
+
+// Entry counts per task
+async function describeCache() {
+  const tasks = await listTasks();
+  const entries = {};
+  for (const task of tasks) {
+    entries[task] = await countEntries(task);
+  }
+  return { directory: CACHE_DIR, entries };
+}
+
+// Remove every entry, or only one task's. Resolves with the number of entries removed.
+async function clearCache(task) {
+  if (task !== undefined && !TASK_PATTERN.test(task)) {
+    throw new Error(`Invalid cache task '${task}'`);
+  }
+
+  const tasks = task ? [task] : await listTasks();
+  let removed = 0;
+  for (const name of tasks) {
+    removed += await countEntries(name);
+    await fs.rm(path.join(CACHE_DIR, name), { recursive: true, force: true });
+  }
+  return removed;
+}
+
+module.exports = {
+  CACHE_DIR,
+  cacheKey,
+  readCache,
+  writeCache,
+  describeCache,
+  clearCache
+};
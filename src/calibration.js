@@ -0,0 +1,210 @@
+const { findHardExclusions } = require('./criteria');
+const { scorePaper, findRuleExclusions } = require('./selection');
+
+// Criteria calibration against a labeled set: papers the reviewers have already
+// marked include or exclude are screened with the candidate criteria, and the
+// criteria are judged by how many of the includes they keep (recall), how many of
+// the papers they keep are includes (precision) and how much screening they save.
+// Agent 3 regenerates the criteria with feedback on what they got wrong until the
+// target recall is met or the iteration cap is reached.
+
+const LABELS = ['include', 'exclude'];
+const MAX_CALIBRATION_PAPERS = 100;
+const MAX_ITERATIONS = 10;
+
+const DEFAULT_CALIBRATION = {
+  target_recall: 0.9,
+  max_iterations: 3
+};
+
+// Validate the request's `calibration`: { papers: [{ title, abstract, label }], target_recall?, max_iterations? }.
+// Labels are 'include' or 'exclude'; at least one paper must be labeled include.
+// Returns { calibration } (null when not requested) or { error }.
+function resolveCalibration(raw) {
+  if (raw === undefined || raw === null) {
+    return { calibration: null };
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: "'calibration' should be an object" };
+  }
+
+  const settings = { ...DEFAULT_CALIBRATION, ...raw };
+  if (typeof settings.target_recall !== 'number' || settings.target_recall <= 0 || settings.target_recall > 1) {
+    return { error: "'calibration.target_recall' should be a number in (0, 1]" };
+  }
+  if (!Number.isInteger(settings.max_iterations) || settings.max_iterations < 1 || settings.max_iterations > MAX_ITERATIONS) {
+    return { error: `'calibration.max_iterations' should be an integer between 1 and ${MAX_ITERATIONS}` };
+  }
+  if (!Array.isArray(settings.papers) || settings.papers.length === 0 || settings.papers.length > MAX_CALIBRATION_PAPERS) {
+    return { error: `'calibration.papers' should be an array of between 1 and ${MAX_CALIBRATION_PAPERS} labeled papers` };
+  }
+
+  const papers = [];
+  for (let i = 0; i < settings.papers.length; i++) {
+    const paper = settings.papers[i] || {};
+    const label = typeof paper.label === 'string' ? paper.label.trim().toLowerCase() : paper.label;
+    if (!paper.title || !paper.abstract) {
+      return { error: `'calibration.papers[${i}]' is missing required fields: title, or abstract` };
+    }
+    if (!LABELS.includes(label)) {
+      return { error: `'calibration.papers[${i}].label' should be one of: ${LABELS.join(', ')}` };
+    }
+    papers.push({ title: paper.title, abstract: paper.abstract, label });
+  }
+  if (!papers.some(paper => paper.label === 'include')) {
+    return { error: "'calibration.papers' should contain at least one paper labeled include" };
+  }
+
+  return {
+    calibration: {
+      target_recall: settings.target_recall,
+      max_iterations: settings.max_iterations,
+      papers,
+      iterations: [],
+      status: 'pending',
+      selected_iteration: null
+    }
+  };
+}
+
+// Whether the criteria would include a paper: the same gate agent 6 applies
+// (eligible under the selection strategy, no hard criterion or exclusion rule failed)
+function predictInclusion(evaluation, criteria, selection) {
+  const excluded = findHardExclusions(evaluation.evaluations, criteria).length > 0 ||
+    findRuleExclusions(evaluation, selection).length > 0;
+  return !excluded && scorePaper(evaluation, criteria, selection).eligible;
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+// Confusion counts, recall, precision and work saved over sampling (WSS: the share of
+// papers the reviewers need not screen, less the share of includes that are lost)
+// for [{ label, predicted }] with predicted 'include' or 'exclude'
+function calibrationMetrics(results) {
+  const count = (label, predicted) => results.filter(r => r.label === label && r.predicted === predicted).length;
+  const tp = count('include', 'include');
+  const fn = count('include', 'exclude');
+  const fp = count('exclude', 'include');
+  const tn = count('exclude', 'exclude');
+  const recall = tp / (tp + fn);
+
+  return {
+    true_positives: tp,
+    false_negatives: fn,
+    false_positives: fp,
+    true_negatives: tn,
+    recall: round(recall),
+    precision: tp + fp > 0 ? round(tp / (tp + fp)) : null,
+    work_saved: round((tn + fn) / results.length - (1 - recall))
+  };
+}
+
+// Per criterion: how many included papers it did not answer Yes for, and how many
+// excluded papers it answered Yes for. Tells the refinement which criteria to loosen.
+function criterionDiagnostics(results, criteria) {
+  return criteria.map(c => {
+    const responses = label => results
+      .filter(r => r.label === label)
+      .map(r => (r.evaluations.find(e => e.criterion_id === c.id) || {}).response);
+    return {
+      criterion_id: c.id,
+      criterion: c.criterion,
+      source: c.source || 'generated',
+      includes_not_yes: responses('include').filter(response => response !== 'Yes').length,
+      excludes_yes: responses('exclude').filter(response => response === 'Yes').length
+    };
+  });
+}
+
+// Score one round of criteria on the labeled papers. `evaluations` are in calibration
+// paper order. Returns the iteration record kept in state.calibration.iterations.
+function scoreIteration(calibration, criteria, evaluations, selection) {
+  const results = calibration.papers.map((paper, i) => {
+    const evaluation = evaluations[i];
+    const failed = evaluation.evaluations
+      .filter(e => e.response !== 'Yes')
+      .map(e => ({ criterion_id: e.criterion_id, response: e.response }));
+    return {
+      calibration_paper: i + 1,
+      title: paper.title,
+      label: paper.label,
+      predicted: predictInclusion(evaluation, criteria, selection) ? 'include' : 'exclude',
+      degraded: Boolean(evaluation.degraded),
+      not_yes: failed,
+      evaluations: evaluation.evaluations
+    };
+  });
+
+  return {
+    iteration: calibration.iterations.length + 1,
+    criteria,
+    metrics: calibrationMetrics(results),
+    criteria_diagnostics: criterionDiagnostics(results, criteria),
+    papers: results
+  };
+}
+
+// Best round so far: highest recall, then precision, then work saved
+function bestIteration(iterations) {
+  const key = it => [it.metrics.recall, it.metrics.precision || 0, it.metrics.work_saved];
+  return iterations.reduce((best, it) => {
+    const [a, b] = [key(it), key(best)];
+    for (let k = 0; k < a.length; k++) {
+      if (a[k] !== b[k]) return a[k] > b[k] ? it : best;
+    }
+    return best;
+  });
+}
+
+// What the last round got wrong, for the refinement prompt
+function refinementFeedback(calibration) {
+  const last = calibration.iterations[calibration.iterations.length - 1];
+  const byIndex = i => calibration.papers[i - 1];
+  return {
+    iteration: last.iteration,
+    target_recall: calibration.target_recall,
+    metrics: last.metrics,
+    criteria_diagnostics: last.criteria_diagnostics,
+    missed_includes: last.papers
+      .filter(p => p.label === 'include' && p.predicted === 'exclude')
+      .map(p => ({ title: p.title, abstract: byIndex(p.calibration_paper).abstract, not_yes: p.not_yes })),
+    false_includes: last.papers
+      .filter(p => p.label === 'exclude' && p.predicted === 'include')
+      .map(p => ({ title: p.title, abstract: byIndex(p.calibration_paper).abstract }))
+  };
+}
+
+// Calibration report for responses: settings, outcome and every round's metrics
+function describeCalibration(calibration) {
+  if (!calibration) return null;
+  const selected = calibration.iterations.find(it => it.iteration === calibration.selected_iteration);
+  return {
+    status: calibration.status,
+    target_recall: calibration.target_recall,
+    max_iterations: calibration.max_iterations,
+    labeled_papers: {
+      include: calibration.papers.filter(p => p.label === 'include').length,
+      exclude: calibration.papers.filter(p => p.label === 'exclude').length
+    },
+    selected_iteration: calibration.selected_iteration,
+    metrics: selected ? selected.metrics : null,
+    iterations: calibration.iterations.map(it => ({
+      iteration: it.iteration,
+      criteria: it.criteria.map(c => ({ id: c.id, criterion: c.criterion, description: c.description })),
+      metrics: it.metrics,
+      criteria_diagnostics: it.criteria_diagnostics,
+      papers: it.papers.map(({ evaluations, ...paper }) => paper)
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_CALIBRATION,
+  resolveCalibration,
+  scoreIteration,
+  bestIteration,
+  refinementFeedback,
+  describeCalibration
+};
@@ -0,0 +1,187 @@
+// User-supplied screening criteria: free-form lists and PICO protocols
+
+const CRITERION_TYPES = ['hard', 'soft'];
+
+const PICO_ELEMENTS = {
+  population: {
+    label: 'Population',
+    question: (text) => `Does the study population match the protocol population: ${text}?`,
+    focus: 'study population and participants'
+  },
+  intervention: {
+    label: 'Intervention',
+    question: (text) => `Does the paper study the intervention or exposure: ${text}?`,
+    focus: 'intervention or exposure studied'
+  },
+  comparison: {
+    label: 'Comparison',
+    question: (text) => `Does the paper include the comparator or control: ${text}?`,
+    focus: 'comparator or control condition'
+  },
+  outcome: {
+    label: 'Outcome',
+    question: (text) => `Does the paper report the outcome: ${text}?`,
+    focus: 'outcomes measured and reported'
+  }
+};
+
+// Criteria may be given as a plain string or as { criterion, description, type, ... }.
+// `defaultType` applies when the entry does not set one.
+function normalizeCriterionEntry(entry, defaultType, source, label) {
+  if (typeof entry === 'string') {
+    entry = { criterion: entry };
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { error: `${label} should be a string or an object` };
+  }
+
+  const criterion = typeof entry.criterion === 'string' ? entry.criterion.trim() : '';
+  if (!criterion) {
+    return { error: `${label} is missing 'criterion' text` };
+  }
+
+  const type = entry.type || defaultType;
+  if (!CRITERION_TYPES.includes(type)) {
+    return { error: `${label} has invalid type '${type}' (expected 'hard' or 'soft')` };
+  }
+
+  return {
+    criterion: {
+      criterion,
+      description: entry.description || (criterion.endsWith('?') ? criterion : `Does the paper satisfy: ${criterion}?`),
+      evaluation_focus: entry.evaluation_focus || criterion,
+      type,
+      source
+    }
+  };
+}
+
+// Expand a PICO object into one criterion per element plus one exclusion
+// criterion per excluded study design. PICO elements default to hard.
+function expandPico(pico) {
+  const criteria = [];
+
+  for (const [key, element] of Object.entries(PICO_ELEMENTS)) {
+    let value = pico[key];
+    if (value === undefined || value === null || value === '') continue;
+
+    const entry = typeof value === 'string' ? { text: value } : value;
+    const text = typeof entry.text === 'string' ? entry.text.trim() : '';
+    if (!text) {
+      return { error: `PICO '${key}' should be a string or an object with 'text'` };
+    }
+
+    const result = normalizeCriterionEntry({
+      criterion: `${element.label}: ${text}`,
+      description: element.question(text),
+      evaluation_focus: element.focus,
+      type: entry.type
+    }, 'hard', 'pico', `PICO '${key}'`);
+    if (result.error) return result;
+
+    result.criterion.pico_element = key;
+    criteria.push(result.criterion);
+  }
+
+  const exclusions = pico.exclude_study_designs || [];
+  if (!Array.isArray(exclusions)) {
+    return { error: "PICO 'exclude_study_designs' should be an array" };
+  }
+  for (let i = 0; i < exclusions.length; i++) {
+    const entry = typeof exclusions[i] === 'string' ? { text: exclusions[i] } : exclusions[i];
+    const design = entry && typeof entry.text === 'string' ? entry.text.trim() : '';
+    if (!design) {
+      return { error: `PICO 'exclude_study_designs[${i}]' should be a string or an object with 'text'` };
+    }
+
+    const result = normalizeCriterionEntry({
+      criterion: `Study design is not: ${design}`,
+      description: `Is the study design something other than ${design}? Answer "No" if the paper is a ${design}.`,
+      evaluation_focus: 'study design',
+      type: entry.type
+    }, 'hard', 'pico', `PICO 'exclude_study_designs[${i}]'`);
+    if (result.error) return result;
+
+    result.criterion.pico_element = 'study_design_exclusion';
+    criteria.push(result.criterion);
+  }
+
+  return { criteria };
+}
+
+// Normalize the `criteria` request field.
+// Accepts either an array of free-form criteria, or an object:
+//   { items: [...], pico: {...}, fill_gaps: false, target_count: 6 }
+// Returns { criteria, settings } on success or { error } describing the first problem found.
+function resolveUserCriteria(rawCriteria) {
+  const settings = { fill_gaps: false, target_count: 6 };
+
+  if (rawCriteria === undefined || rawCriteria === null) {
+    return { criteria: [], settings };
+  }
+
+  let items = [];
+  let pico = null;
+
+  if (Array.isArray(rawCriteria)) {
+    items = rawCriteria;
+  } else if (typeof rawCriteria === 'object') {
+    items = rawCriteria.items || [];
+    pico = rawCriteria.pico || null;
+    if (rawCriteria.fill_gaps !== undefined) settings.fill_gaps = rawCriteria.fill_gaps;
+    if (rawCriteria.target_count !== undefined) settings.target_count = rawCriteria.target_count;
+
+    if (!Array.isArray(items)) {
+      return { error: "'criteria.items' should be an array" };
+    }
+    if (pico !== null && (typeof pico !== 'object' || Array.isArray(pico))) {
+      return { error: "'criteria.pico' should be an object" };
+    }
+  } else {
+    return { error: "'criteria' should be an array or an object" };
+  }
+
+  if (typeof settings.fill_gaps !== 'boolean') {
+    return { error: "'criteria.fill_gaps' should be a boolean" };
+  }
+  if (!Number.isInteger(settings.target_count) || settings.target_count < 1) {
+    return { error: "'criteria.target_count' should be a positive integer" };
+  }
+
+  const criteria = [];
+
+  if (pico) {
+    const expanded = expandPico(pico);
+    if (expanded.error) return expanded;
+    criteria.push(...expanded.criteria);
+  }
+
+  for (let i = 0; i < items.length; i++) {
+    const result = normalizeCriterionEntry(items[i], 'soft', 'user', `'criteria[${i}]'`);
+    if (result.error) return result;
+    criteria.push(result.criterion);
+  }
+
+  if (criteria.length === 0 && !settings.fill_gaps) {
+    return { error: "'criteria' was provided but contains no criteria" };
+  }
+
+  return {
+    criteria: criteria.map((c, i) => ({ id: i + 1, ...c })),
+    settings
+  };
+}
+
+// Hard criteria answered "No" for a single paper evaluation
+function findHardExclusions(evaluations, criteria) {
+  const hardIds = new Set(criteria.filter(c => c.type === 'hard').map(c => c.id));
+  return evaluations
+    .filter(e => hardIds.has(e.criterion_id) && e.response === 'No')
+    .map(e => e.criterion_id);
+}
+
+module.exports = {
+  CRITERION_TYPES,
+  resolveUserCriteria,
+  findHardExclusions
+};
@@ -0,0 +1,225 @@
+// Duplicate detection for papers pooled from several database exports. Records
+// are the same work when they share a normalized DOI or PMID, when their titles
+// are near-identical and the years agree, or when their abstracts are
+// near-identical. Duplicates are merged into one record before any LLM call, or,
+// with deduplication turned off, kept and only reported as clusters.
+
+const MIN_ABSTRACT_WORDS = 20;
+
+function normalizeDoi(value) {
+  if (!value) return null;
+  const doi = String(value).trim().toLowerCase()
+    .replace(/^(https?:\/\/)?(dx\.)?doi\.org\//, '')
+    .replace(/^doi:\s*/, '');
+  return doi.startsWith('10.') ? doi : null;
+}
+
+function normalizePmid(value) {
+  const match = String(value || '').match(/\d+/);
+  return match ? match[0].replace(/^0+/, '') : null;
+}
+
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function parseYear(value) {
+  const match = String(value || '').match(/\b(1[89]|20)\d{2}\b/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+function characterBigrams(text) {
+  const compact = text.replace(/ /g, '');
+  const bigrams = new Set();
+  for (let i = 0; i < compact.length - 1; i++) {
+    bigrams.add(compact.substring(i, i + 2));
+  }
+  return bigrams;
+}
+
+function wordShingles(text, size = 3) {
+  const words = text.split(' ').filter(Boolean);
+  const shingles = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    shingles.add(words.slice(i, i + size).join(' '));
+  }
+  return { shingles, wordCount: words.length };
+}
+
+function diceCoefficient(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => { if (b.has(item)) shared++; });
+  return (2 * shared) / (a.size + b.size);
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => { if (b.has(item)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+// Precomputed comparison keys for one paper
+function fingerprint(paper) {
+  const title = normalizeText(paper.title);
+  const abstract = wordShingles(normalizeText(paper.abstract));
+  return {
+    doi: normalizeDoi(paper.doi),
+    pmid: normalizePmid(paper.pmid),
+    year: parseYear(paper.year),
+    title,
+    // "Part 1" and "Part 2" are different works however similar the rest of the title is
+    titleNumbers: (title.match(/\b\d+\b/g) || []).join(' '),
+    titleBigrams: characterBigrams(title),
+    abstractShingles: abstract.shingles,
+    abstractWords: abstract.wordCount
+  };
+}
+
+// Why two papers are the same work, or null when they are not
+function matchReason(a, b, { titleThreshold, abstractThreshold }) {
+  if (a.doi && a.doi === b.doi) return 'doi';
+  if (a.pmid && a.pmid === b.pmid) return 'pmid';
+
+  // Different identifiers on both sides mean different records, however similar the text
+  if ((a.doi && b.doi) || (a.pmid && b.pmid)) return null;
+
+  const yearsAgree = !a.year || !b.year || a.year === b.year;
+  if (yearsAgree && a.titleNumbers === b.titleNumbers && a.title &&
+      (a.title === b.title || diceCoefficient(a.titleBigrams, b.titleBigrams) >= titleThreshold)) {
+    return 'title_year';
+  }
+
+  if (a.abstractWords >= MIN_ABSTRACT_WORDS && b.abstractWords >= MIN_ABSTRACT_WORDS &&
+      jaccard(a.abstractShingles, b.abstractShingles) >= abstractThreshold) {
+    return 'abstract';
+  }
+  return null;
+}
+
+// Number of filled-in fields, used to break ties between candidate records
+function completeness(paper) {
+  return ['title', 'abstract', 'authors', 'year', 'journal', 'doi', 'pmid', 'keywords']
+    .filter(field => (Array.isArray(paper[field]) ? paper[field].length > 0 : Boolean(paper[field])))
+    .length;
+}
+
+// Merge a cluster into the record with the fullest abstract (so title and abstract
+// stay from the same record), filling missing bibliographic fields from the others
+function mergeRecords(papers) {
+  const abstractLength = (paper) => String(paper.abstract || '').length;
+  const [primary, ...others] = [...papers].sort((a, b) =>
+    abstractLength(b) - abstractLength(a) || completeness(b) - completeness(a));
+  const merged = { ...primary };
+
+  others.forEach(paper => {
+    Object.entries(paper).forEach(([field, value]) => {
+      const current = merged[field];
+      const missing = current === undefined || current === null || current === '' ||
+        (Array.isArray(current) && current.length === 0);
+      if (missing) merged[field] = value;
+    });
+  });
+  return merged;
+}
+
+// Group matching papers (union-find over matching pairs). Returns { groups, reasons }:
+// groups of 0-based positions in first-seen order, and each paper's match reasons.
+function findDuplicates(papers, { titleThreshold = 0.9, abstractThreshold = 0.85 } = {}) {
+  const fingerprints = papers.map(fingerprint);
+
+  // Union-find over matching pairs. Each group keeps the DOI and PMID of its members,
+  // and two groups carrying different ones are never joined, even through a third
+  // record without identifiers that matches both
+  const parent = papers.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const identifiers = fingerprints.map(({ doi, pmid }) => ({ doi, pmid }));
+  const conflict = (a, b) => Boolean((a.doi && b.doi && a.doi !== b.doi) || (a.pmid && b.pmid && a.pmid !== b.pmid));
+  const reasons = papers.map(() => new Set());
+
+  for (let i = 0; i < papers.length; i++) {
+    for (let j = i + 1; j < papers.length; j++) {
+      const reason = matchReason(fingerprints[i], fingerprints[j], { titleThreshold, abstractThreshold });
+      if (!reason) continue;
+      const rootI = find(i);
+      const rootJ = find(j);
+      if (rootI !== rootJ) {
+        if (conflict(identifiers[rootI], identifiers[rootJ])) continue;
+        const root = Math.min(rootI, rootJ);
+        const other = Math.max(rootI, rootJ);
+        identifiers[root] = {
+          doi: identifiers[root].doi || identifiers[other].doi,
+          pmid: identifiers[root].pmid || identifiers[other].pmid
+        };
+        parent[other] = root;
+      }
+      reasons[i].add(reason);
+      reasons[j].add(reason);
+    }
+  }
+
+  const groups = new Map();
+  papers.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  return { groups: [...groups.values()], reasons };
+}
+
+function describeCluster(papers, members, reasons, paperId, title) {
+  return {
+    paper_id: paperId,
+    title,
+    matched_on: [...new Set(members.flatMap(i => [...reasons[i]]))],
+    members: members.map(i => ({ input_position: i + 1, title: papers[i].title }))
+  };
+}
+
+// Find duplicate clusters and merge them. Papers keep their first-seen order.
+// Returns { papers, clusters, duplicatesRemoved }; cluster members are 1-based input positions.
+function deduplicatePapers(papers, thresholds = {}) {
+  const { groups, reasons } = findDuplicates(papers, thresholds);
+
+  const uniquePapers = [];
+  const clusters = [];
+  groups.forEach(members => {
+    if (members.length === 1) {
+      uniquePapers.push(papers[members[0]]);
+      return;
+    }
+
+    const merged = mergeRecords(members.map(i => papers[i]));
+    merged.merged_from = members.map(i => i + 1);
+    uniquePapers.push(merged);
+    clusters.push(describeCluster(papers, members, reasons, uniquePapers.length, merged.title));
+  });
+
+  return {
+    papers: uniquePapers,
+    clusters,
+    duplicatesRemoved: papers.length - uniquePapers.length
+  };
+}
+
+// Find duplicate clusters without merging them (deduplication turned off): every copy
+// is kept, so input positions stay the paper ids and each cluster's paper_id is its first copy
+function clusterDuplicates(papers, thresholds = {}) {
+  const { groups, reasons } = findDuplicates(papers, thresholds);
+  return groups
+    .filter(members => members.length > 1)
+    .map(members => describeCluster(papers, members, reasons, members[0] + 1, papers[members[0]].title));
+}
+
+module.exports = {
+  findDuplicates,
+  deduplicatePapers,
+  clusterDuplicates
+};
@@ -0,0 +1,187 @@
+const { resolveLlmSettings } = require('./llm');
+
+// Multi-rater screening: several independent evaluations per paper (different
+// models, temperatures or prompt variants), combined per criterion by majority
+// vote or unanimity, with inter-rater agreement (Cohen's / Fleiss' kappa).
+
+const COMBINE_RULES = ['majority', 'unanimity'];
+const VERDICTS = ['Yes', 'Maybe', 'No'];
+
+// Screener personas layered onto the evaluation prompt
+const PROMPT_VARIANTS = {
+  standard: '',
+  strict: 'Act as a conservative screener: answer "Yes" only when the paper gives explicit evidence, and treat missing information as "No".',
+  inclusive: 'Act as an inclusive screener: do not exclude a paper for missing information; prefer "Maybe" over "No" and "Yes" when the evidence is suggestive.'
+};
+
+const MAX_RATERS = 7;
+
+function describeRater(rater) {
+  return `${rater.llm.provider}/${rater.llm.model}@${rater.llm.temperature}${rater.prompt_variant === 'standard' ? '' : ` (${rater.prompt_variant})`}`;
+}
+
+// Validate the request's `ensemble`: { raters: N | [{ provider?, model?, temperature?, prompt_variant? }], combine? }.
+// Rater settings are merged over the request's `llm`; a number N gives N raters that cycle
+// through the prompt variants. Returns { ensemble } (null when not requested) or { error }.
+function resolveEnsemble(raw, llm = {}) {
+  if (raw === undefined || raw === null) {
+    return { ensemble: null };
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: "'ensemble' should be an object" };
+  }
+
+  const combine = raw.combine || 'majority';
+  if (!COMBINE_RULES.includes(combine)) {
+    return { error: `'ensemble.combine' should be one of: ${COMBINE_RULES.join(', ')}` };
+  }
+
+  const variantNames = Object.keys(PROMPT_VARIANTS);
+  let rawRaters = raw.raters;
+  if (Number.isInteger(rawRaters)) {
+    rawRaters = Array.from({ length: rawRaters }, (_, i) => ({ prompt_variant: variantNames[i % variantNames.length] }));
+  }
+  if (!Array.isArray(rawRaters) || rawRaters.length < 2 || rawRaters.length > MAX_RATERS) {
+    return { error: `'ensemble.raters' should be a number or an array of between 2 and ${MAX_RATERS} raters` };
+  }
+
+  const raters = [];
+  for (let i = 0; i < rawRaters.length; i++) {
+    const { prompt_variant: promptVariant = 'standard', ...llmOverrides } = rawRaters[i] || {};
+    if (!PROMPT_VARIANTS.hasOwnProperty(promptVariant)) {
+      return { error: `'ensemble.raters[${i}].prompt_variant' should be one of: ${variantNames.join(', ')}` };
+    }
+    const resolved = resolveLlmSettings({ ...(llm || {}), ...llmOverrides });
+    if (resolved.error) {
+      return { error: `ensemble.raters[${i}]: ${resolved.error}` };
+    }
+    const rater = { rater_id: i + 1, llm: resolved.settings, prompt_variant: promptVariant };
+    rater.label = describeRater(rater);
+    raters.push(rater);
+  }
+
+  return { ensemble: { combine, raters } };
+}
+
+function countResponses(responses) {
+  const counts = { Yes: 0, Maybe: 0, No: 0 };
+  responses.forEach(response => { if (counts[response] !== undefined) counts[response]++; });
+  return counts;
+}
+
+// One criterion's combined verdict. Majority: the most common verdict, 'Maybe' on a tie.
+// Unanimity: 'Yes' or 'No' only when every rater agrees, 'Maybe' otherwise.
+function combineResponses(responses, rule) {
+  const counts = countResponses(responses);
+  if (rule === 'unanimity') {
+    return VERDICTS.find(v => counts[v] === responses.length) || 'Maybe';
+  }
+
+  const best = Math.max(...Object.values(counts));
+  const leaders = VERDICTS.filter(v => counts[v] === best);
+  return leaders.length === 1 ? leaders[0] : 'Maybe';
+}
+
+// Combine the raters' evaluations of one paper. `raterEvaluations` are the non-degraded
+// ones: [{ rater_id, evaluations: [{ criterion_id, response, reasoning, evidence? }] }].
+// The combined verdict carries the evidence of the first rater whose verdict it matches.
+// Returns { evaluations, disagreement_criteria }.
+function combineEvaluations(raterEvaluations, criteria, rule) {
+  const disagreementCriteria = [];
+
+  const evaluations = criteria.map(criterion => {
+    const verdicts = raterEvaluations.map(rater => rater.evaluations.find(e => e.criterion_id === criterion.id));
+    const votes = raterEvaluations.map((rater, r) => ({
+      rater_id: rater.rater_id,
+      response: verdicts[r].response,
+      reasoning: verdicts[r].reasoning
+    }));
+    const response = combineResponses(votes.map(v => v.response), rule);
+    const agreed = votes.every(v => v.response === votes[0].response);
+    if (!agreed) disagreementCriteria.push(criterion.id);
+
+    const counts = countResponses(votes.map(v => v.response));
+    const tally = VERDICTS.filter(v => counts[v] > 0).map(v => `${v} ${counts[v]}`).join(', ');
+    const supportingIndex = votes.findIndex(v => v.response === response);
+    const supporting = votes[supportingIndex];
+    let reasoning;
+    if (!supporting) {
+      reasoning = `Raters disagreed (${tally})`;
+    } else {
+      reasoning = agreed ? supporting.reasoning : `${supporting.reasoning} [${rule}: ${tally}]`;
+    }
+    return {
+      criterion_id: criterion.id,
+      response,
+      reasoning,
+      evidence: supporting ? verdicts[supportingIndex].evidence || [] : [],
+      grounded: supporting && verdicts[supportingIndex].grounded !== undefined ? verdicts[supportingIndex].grounded : null,
+      rater_responses: votes,
+      agreement: agreed
+    };
+  });
+
+  return { evaluations, disagreement_criteria: disagreementCriteria };
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+// Cohen's kappa for two raters' verdicts on the same papers; null when chance agreement is total
+function cohenKappa(first, second) {
+  const n = first.length;
+  if (n === 0) return null;
+  const observed = first.filter((response, i) => response === second[i]).length / n;
+  const firstCounts = countResponses(first);
+  const secondCounts = countResponses(second);
+  const expected = VERDICTS.reduce((sum, v) => sum + (firstCounts[v] / n) * (secondCounts[v] / n), 0);
+  return expected === 1 ? null : (observed - expected) / (1 - expected);
+}
+
+// Fleiss' kappa for m raters; `ratings` is one array of m verdicts per paper
+function fleissKappa(ratings) {
+  const n = ratings.length;
+  if (n === 0) return null;
+  const m = ratings[0].length;
+  const totals = { Yes: 0, Maybe: 0, No: 0 };
+
+  const meanAgreement = ratings.reduce((sum, responses) => {
+    const counts = countResponses(responses);
+    VERDICTS.forEach(v => { totals[v] += counts[v]; });
+    const pairs = VERDICTS.reduce((s, v) => s + counts[v] * (counts[v] - 1), 0);
+    return sum + pairs / (m * (m - 1));
+  }, 0) / n;
+
+  const expected = VERDICTS.reduce((sum, v) => sum + (totals[v] / (n * m)) ** 2, 0);
+  return expected === 1 ? null : (meanAgreement - expected) / (1 - expected);
+}
+
+// Per-criterion agreement over papers every rater evaluated successfully
+function agreementStatistics(evaluationResults, criteria, raters) {
+  const rated = evaluationResults.filter(result =>
+    Array.isArray(result.rater_evaluations) &&
+    result.rater_evaluations.filter(r => !r.degraded).length === raters.length);
+
+  return Object.fromEntries(criteria.map(criterion => {
+    const ratings = rated.map(result => result.rater_evaluations.map(rater =>
+      rater.evaluations.find(e => e.criterion_id === criterion.id).response));
+    const agreed = ratings.filter(responses => responses.every(r => r === responses[0])).length;
+
+    return [criterion.id, {
+      raters: raters.length,
+      papers_rated: ratings.length,
+      percent_agreement: ratings.length > 0 ? round(agreed / ratings.length) : null,
+      cohen_kappa: raters.length === 2 ? round(cohenKappa(ratings.map(r => r[0]), ratings.map(r => r[1]))) : null,
+      fleiss_kappa: round(fleissKappa(ratings))
+    }];
+  }));
+}
+
+module.exports = {
+  PROMPT_VARIANTS,
+  COMBINE_RULES,
+  resolveEnsemble,
+  combineEvaluations,
+  agreementStatistics
+};
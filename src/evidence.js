@@ -0,0 +1,179 @@
+// Evidence verification for criterion verdicts: every quote the model gives as
+// support is located in the paper text (exactly, or by fuzzy matching to allow
+// for small copying differences) and reported with character offsets. Verdicts
+// whose quotes cannot be found are flagged, or downgraded to 'Maybe'.
+
+const EVIDENCE_POLICIES = ['downgrade', 'flag'];
+const MIN_FUZZY_WORDS = 3;
+
+// Lowercase, straighten quotes and dashes, and collapse whitespace, keeping for each
+// normalized character the offset of the original character it came from
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let pendingSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i];
+    if (/\s/.test(char)) {
+      pendingSpace = normalized.length > 0;
+      continue;
+    }
+    if (pendingSpace) {
+      normalized += ' ';
+      offsets.push(i);
+      pendingSpace = false;
+    }
+    char = char.toLowerCase()
+      .replace(/[\u2018\u2019\u201b]/, "'")
+      .replace(/[\u201c\u201d\u201f]/, '"')
+      .replace(/[\u2010-\u2015]/, '-');
+    normalized += char;
+    offsets.push(i);
+  }
+
+  return { normalized, offsets };
+}
+
+// The quote as the model should have copied it: no wrapping quote marks or ellipses
+function cleanQuote(quote) {
+  return String(quote || '')
+    .trim()
+    .replace(/^["'\u201c\u2018]+|["'\u201d\u2019]+$/g, '')
+    .replace(/^(\.\.\.|\u2026)\s*|\s*(\.\.\.|\u2026)$/g, '')
+    .trim();
+}
+
+function bigrams(text) {
+  const counts = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.substring(i, i + 2);
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+  return counts;
+}
+
+// Dice coefficient over character bigrams
+function diceSimilarity(a, b) {
+  if (a.length < 2 || b.length < 2) return a === b ? 1 : 0;
+  const first = bigrams(a);
+  const second = bigrams(b);
+  let shared = 0;
+  first.forEach((count, gram) => {
+    shared += Math.min(count, second.get(gram) || 0);
+  });
+  return (2 * shared) / (a.length - 1 + b.length - 1);
+}
+
+// Locate `quote` in `text`. Exact (normalized) matches win; otherwise every window of
+// roughly the quote's word count is compared by bigram similarity. Returns
+// { start, end, similarity, match } with offsets into `text`, or null below `threshold`.
+function locateQuote(quote, text, threshold = 0.85) {
+  const target = normalizeWithOffsets(cleanQuote(quote)).normalized;
+  if (target.length === 0 || !text) return null;
+
+  const source = normalizeWithOffsets(text);
+  const exact = source.normalized.indexOf(target);
+  if (exact !== -1) {
+    return {
+      start: source.offsets[exact],
+      end: source.offsets[exact + target.length - 1] + 1,
+      similarity: 1,
+      match: 'exact'
+    };
+  }
+
+  const targetWords = target.split(' ').length;
+  if (targetWords < MIN_FUZZY_WORDS) return null;
+
+  const words = [];
+  const wordPattern = /\S+/g;
+  let found;
+  while ((found = wordPattern.exec(source.normalized)) !== null) {
+    words.push({ start: found.index, end: found.index + found[0].length });
+  }
+
+  let best = null;
+  for (let size = Math.max(1, targetWords - 1); size <= targetWords + 1; size++) {
+    for (let w = 0; w + size <= words.length; w++) {
+      const start = words[w].start;
+      const end = words[w + size - 1].end;
+      const similarity = diceSimilarity(target, source.normalized.substring(start, end));
+      if (!best || similarity > best.similarity) {
+        best = { start, end, similarity };
+      }
+    }
+  }
+
+  if (!best || best.similarity < threshold) return null;
+  return {
+    start: source.offsets[best.start],
+    end: source.offsets[best.end - 1] + 1,
+    similarity: Math.round(best.similarity * 1000) / 1000,
+    match: 'fuzzy'
+  };
+}
+
+// Find one quote in the paper's sources ([{ field, text, offset? }]): the best match
+// across sources, with offsets into that field (offset shifts a passage into its document)
+function verifyQuote(quote, sources, threshold) {
+  let best = null;
+  for (const source of sources) {
+    const located = locateQuote(quote, source.text, threshold);
+    if (located && (!best || located.similarity > best.similarity)) {
+      const offset = source.offset || 0;
+      best = {
+        ...located,
+        field: source.field,
+        start: located.start + offset,
+        end: located.end + offset,
+        text: source.text.substring(located.start, located.end)
+      };
+    }
+  }
+
+  return best
+    ? { quote, found: true, match: best.match, similarity: best.similarity, field: best.field, start: best.start, end: best.end, text: best.text }
+    : { quote, found: false, match: null, similarity: null, field: null, start: null, end: null, text: null };
+}
+
+// Check every verdict's quotes against the sources and record the outcome on the
+// verdict: `evidence` (one entry per quote) and `grounded` (true when a quote was
+// found; null for a 'No' or 'Maybe' given without quotes: missing or unclear
+// information has nothing to quote, so it is not a grounding failure). Ungrounded
+// verdicts are downgraded to 'Maybe' under the 'downgrade' policy, keeping
+// `original_response`. Mutates and returns `evaluations`.
+function verifyEvidence(evaluations, sources, { policy = 'downgrade', threshold = 0.85 } = {}) {
+  evaluations.forEach(verdict => {
+    const quotes = (Array.isArray(verdict.quotes) ? verdict.quotes : [])
+      .filter(quote => typeof quote === 'string' && cleanQuote(quote).length > 0);
+    verdict.evidence = quotes.map(quote => verifyQuote(quote, sources, threshold));
+    delete verdict.quotes;
+
+    if (verdict.evidence.length === 0 && (verdict.response === 'No' || verdict.response === 'Maybe')) {
+      verdict.grounded = null;
+      return;
+    }
+    verdict.grounded = verdict.evidence.some(e => e.found);
+    if (!verdict.grounded && policy === 'downgrade' && verdict.response !== 'Maybe') {
+      verdict.original_response = verdict.response;
+      verdict.response = 'Maybe';
+      verdict.downgraded = true;
+    }
+  });
+  return evaluations;
+}
+
+// Share of a paper's verdicts that needed evidence and had it; null when none needed any
+function groundednessScore(evaluations) {
+  const assessed = evaluations.filter(e => e.grounded === true || e.grounded === false);
+  if (assessed.length === 0) return null;
+  return Math.round((assessed.filter(e => e.grounded).length / assessed.length) * 1000) / 1000;
+}
+
+module.exports = {
+  EVIDENCE_POLICIES,
+  locateQuote,
+  verifyEvidence,
+  groundednessScore
+};
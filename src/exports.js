@@ -0,0 +1,287 @@
+// Exports of a completed run, all derived from the stored workflow state
+// (evaluationResults, criteriaStats, finalSelectedPapers): a per-paper CSV,
+// RIS/BibTeX of the included papers and PRISMA 2020 flow counts (JSON and SVG).
+
+const NOT_SPECIFIED = 'Not specified';
+
+// Bibliographic record for a paper: input fields first, extracted metadata as a fallback
+function bibliographicRecord(state, paperId) {
+  const paper = state.inputPapers[paperId - 1] || {};
+  const metadata = state.extractedMetadata[paperId - 1] || {};
+  const pick = (field) => {
+    const value = paper[field] !== undefined && paper[field] !== null && paper[field] !== '' ? paper[field] : metadata[field];
+    return value === NOT_SPECIFIED ? null : value;
+  };
+
+  const authors = pick('authors');
+  const keywords = pick('keywords');
+  return {
+    paper_id: paperId,
+    title: paper.title || metadata.title || '',
+    abstract: paper.abstract || '',
+    authors: Array.isArray(authors) ? authors : [],
+    year: pick('year'),
+    journal: pick('journal'),
+    doi: pick('doi'),
+    pmid: pick('pmid'),
+    keywords: Array.isArray(keywords) ? keywords : []
+  };
+}
+
+// --- CSV ---
+
+// Text starting with =, +, - or @ would be run as a formula by spreadsheet apps,
+// so it is prefixed with an apostrophe (numbers are left as they are)
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per screened paper, with a verdict and a reasoning column per criterion
+function buildCsv(state) {
+  const criteria = state.generatedCriteria;
+  const selected = new Map(state.finalSelectedPapers.map((paper, index) => [paper.paper_id, index + 1]));
+  const scores = new Map(state.paperScores.map(score => [score.paper_id, score]));
+
+  const header = [
+    'paper_id', 'title', 'authors', 'year', 'journal', 'doi', 'pmid',
+    'included', 'rank', 'eligibility_score', 'hard_exclusions', 'explanation', 'degraded', 'groundedness',
+    ...criteria.flatMap(c => [`C${c.id} ${c.criterion} - verdict`, `C${c.id} ${c.criterion} - reasoning`, `C${c.id} ${c.criterion} - evidence`])
+  ];
+
+  const rows = state.evaluationResults.map(evaluation => {
+    const record = bibliographicRecord(state, evaluation.paper_id);
+    const verdicts = new Map(evaluation.evaluations.map(e => [e.criterion_id, e]));
+    return [
+      evaluation.paper_id,
+      record.title,
+      record.authors.join('; '),
+      record.year,
+      record.journal,
+      record.doi,
+      record.pmid,
+      selected.has(evaluation.paper_id) ? 'Yes' : 'No',
+      selected.get(evaluation.paper_id) || '',
+      scores.has(evaluation.paper_id) ? scores.get(evaluation.paper_id).eligibility_score : '',
+      (evaluation.hard_exclusions || []).map(id => `C${id}`).join('; '),
+      scores.has(evaluation.paper_id) ? scores.get(evaluation.paper_id).explanation : '',
+      evaluation.degraded ? 'Yes' : 'No',
+      evaluation.groundedness === undefined || evaluation.groundedness === null ? '' : evaluation.groundedness,
+      ...criteria.flatMap(c => {
+        const verdict = verdicts.get(c.id);
+        if (!verdict) return ['', '', ''];
+        const evidence = (verdict.evidence || []).filter(e => e.found).map(e => e.text).join(' | ');
+        return [verdict.downgraded ? `${verdict.response} (downgraded from ${verdict.original_response})` : verdict.response, verdict.reasoning, evidence];
+      })
+    ];
+  });
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// --- RIS / BibTeX of the included papers ---
+
+function includedRecords(state) {
+  return state.finalSelectedPapers.map(paper => bibliographicRecord(state, paper.paper_id));
+}
+
+function buildRis(state) {
+  return includedRecords(state).map(record => {
+    const lines = ['TY  - JOUR', `TI  - ${record.title}`];
+    record.authors.forEach(author => lines.push(`AU  - ${author}`));
+    if (record.year) lines.push(`PY  - ${record.year}`);
+    if (record.journal) lines.push(`JO  - ${record.journal}`);
+    if (record.doi) lines.push(`DO  - ${record.doi}`);
+    if (record.pmid) lines.push(`AN  - ${record.pmid}`);
+    record.keywords.forEach(keyword => lines.push(`KW  - ${keyword}`));
+    if (record.abstract) lines.push(`AB  - ${record.abstract}`);
+    lines.push('ER  - ');
+    return lines.join('\r\n');
+  }).join('\r\n\r\n') + '\r\n';
+}
+
+function bibtexValue(value) {
+  return String(value).replace(/[{}]/g, '').replace(/([&%$#_])/g, '\\$1');
+}
+
+// Citation keys like smith2021, made unique with a/b/c suffixes
+function bibtexKeys(records) {
+  const used = new Map();
+  return records.map(record => {
+    const surname = (record.authors[0] || '').split(/[,\s]/)[0].toLowerCase().replace(/[^a-z]/g, '');
+    const base = `${surname || 'paper'}${record.year || record.paper_id}`;
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    return count === 0 ? base : `${base}${String.fromCharCode(96 + count)}`;
+  });
+}
+
+function buildBibtex(state) {
+  const records = includedRecords(state);
+  const keys = bibtexKeys(records);
+
+  return records.map((record, index) => {
+    const fields = [
+      ['title', record.title],
+      ['author', record.authors.join(' and ')],
+      ['year', record.year],
+      ['journal', record.journal],
+      ['doi', record.doi],
+      ['pmid', record.pmid],
+      ['keywords', record.keywords.join(', ')],
+      ['abstract', record.abstract]
+    ].filter(([, value]) => value);
+    const body = fields.map(([name, value]) => `  ${name} = {${bibtexValue(value)}}`).join(',\n');
+    return `@article{${keys[index]},\n${body}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+// --- PRISMA 2020 ---
+
+// Flow counts for the screening stage. Papers not included either failed a hard
+// criterion or ranked below the selection cutoff; the per-criterion counts say how
+// many non-included papers each criterion was answered 'No' for (a paper can count
+// under several criteria). Runs with a full-text stage also report eligibility:
+// the reports sought for the abstract-stage selection and why assessed ones were excluded.
+function buildPrismaCounts(state) {
+  const included = new Set(state.finalSelectedPapers.map(p => p.paper_id));
+  const passedScreening = state.fullText ? new Set(state.fullText.candidates) : included;
+  const screened = state.evaluationResults;
+  const notIncluded = screened.filter(e => !passedScreening.has(e.paper_id));
+  const hardExcluded = notIncluded.filter(e => e.excluded);
+
+  let eligibility;
+  if (state.fullText) {
+    const assessed = screened.filter(e => passedScreening.has(e.paper_id) && e.stage === 'full_text');
+    const assessedExcluded = assessed.filter(e => !included.has(e.paper_id));
+    const assessedHardExcluded = assessedExcluded.filter(e => e.excluded);
+    eligibility = {
+      reports_sought: passedScreening.size,
+      reports_not_retrieved: passedScreening.size - assessed.length,
+      reports_assessed: assessed.length,
+      reports_excluded: assessedExcluded.length,
+      excluded_by_reason: {
+        failed_hard_criteria: assessedHardExcluded.length,
+        below_selection_cutoff: assessedExcluded.length - assessedHardExcluded.length
+      }
+    };
+  }
+
+  return {
+    identification: {
+      records_identified: state.deduplication ? state.deduplication.input_count : state.inputPapers.length,
+      duplicates_removed: state.deduplication ? state.deduplication.duplicates_removed : 0
+    },
+    screening: {
+      records_screened: screened.length,
+      records_excluded: notIncluded.length,
+      excluded_by_reason: {
+        failed_hard_criteria: hardExcluded.length,
+        below_selection_cutoff: notIncluded.length - hardExcluded.length
+      },
+      exclusion_reasons_by_criterion: Object.entries(state.criteriaStats).map(([id, stat]) => ({
+        criterion_id: parseInt(id, 10),
+        criterion: stat.criterion,
+        type: stat.type,
+        papers_failed: stat.no_papers.filter(p => !passedScreening.has(p.paper_id)).length
+      }))
+    },
+    ...(eligibility ? { eligibility } : {}),
+    included: {
+      studies_included: included.size
+    }
+  };
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+function svgBox(x, y, width, lines) {
+  const height = 16 + lines.length * 18;
+  const text = lines.map((line, i) => `<text x="${x + 10}" y="${y + 24 + i * 18}"${i === 0 ? ' font-weight="bold"' : ''}>${escapeXml(line)}</text>`).join('');
+  return { height, svg: `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#fff" stroke="#333"/>${text}` };
+}
+
+function svgArrow(x1, y1, x2, y2) {
+  return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#333" marker-end="url(#arrow)"/>`;
+}
+
+// PRISMA 2020 flow diagram: main boxes down the left, exclusions to the right
+function buildPrismaSvg(counts) {
+  const left = 20;
+  const right = 400;
+  const width = 320;
+  const gap = 40;
+  const parts = [];
+  let y = 20;
+
+  const identified = svgBox(left, y, width, ['Identification', `Records identified (n = ${counts.identification.records_identified})`]);
+  const removed = svgBox(right, y, width, ['Records removed before screening', `Duplicate records (n = ${counts.identification.duplicates_removed})`]);
+  parts.push(identified.svg, removed.svg, svgArrow(left + width, y + identified.height / 2, right, y + identified.height / 2));
+  y += Math.max(identified.height, removed.height) + gap;
+  parts.push(svgArrow(left + width / 2, y - gap, left + width / 2, y));
+
+  const { screening } = counts;
+  const screenedBox = svgBox(left, y, width, ['Screening', `Records screened (n = ${screening.records_screened})`]);
+  const excludedBox = svgBox(right, y, width, [
+    `Records excluded (n = ${screening.records_excluded})`,
+    `Failed a hard criterion (n = ${screening.excluded_by_reason.failed_hard_criteria})`,
+    `Below selection cutoff (n = ${screening.excluded_by_reason.below_selection_cutoff})`,
+    ...screening.exclusion_reasons_by_criterion
+      .filter(reason => reason.papers_failed > 0)
+      .map(reason => `C${reason.criterion_id} ${reason.criterion.substring(0, 32)}: ${reason.papers_failed}`)
+  ]);
+  parts.push(screenedBox.svg, excludedBox.svg, svgArrow(left + width, y + screenedBox.height / 2, right, y + screenedBox.height / 2));
+  y += Math.max(screenedBox.height, excludedBox.height) + gap;
+  parts.push(svgArrow(left + width / 2, y - gap, left + width / 2, y));
+
+  const { eligibility } = counts;
+  if (eligibility) {
+    const soughtBox = svgBox(left, y, width, ['Eligibility', `Reports sought for retrieval (n = ${eligibility.reports_sought})`]);
+    const notRetrievedBox = svgBox(right, y, width, [`Reports not retrieved (n = ${eligibility.reports_not_retrieved})`]);
+    parts.push(soughtBox.svg, notRetrievedBox.svg, svgArrow(left + width, y + soughtBox.height / 2, right, y + soughtBox.height / 2));
+    y += Math.max(soughtBox.height, notRetrievedBox.height) + gap;
+    parts.push(svgArrow(left + width / 2, y - gap, left + width / 2, y));
+
+    const assessedBox = svgBox(left, y, width, [`Reports assessed for eligibility (n = ${eligibility.reports_assessed})`]);
+    const reportsExcludedBox = svgBox(right, y, width, [
+      `Reports excluded (n = ${eligibility.reports_excluded})`,
+      `Failed a hard criterion (n = ${eligibility.excluded_by_reason.failed_hard_criteria})`,
+      `Below selection cutoff (n = ${eligibility.excluded_by_reason.below_selection_cutoff})`
+    ]);
+    parts.push(assessedBox.svg, reportsExcludedBox.svg, svgArrow(left + width, y + assessedBox.height / 2, right, y + assessedBox.height / 2));
+    y += Math.max(assessedBox.height, reportsExcludedBox.height) + gap;
+    parts.push(svgArrow(left + width / 2, y - gap, left + width / 2, y));
+  }
+
+  const includedBox = svgBox(left, y, width, ['Included', `Studies included in review (n = ${counts.included.studies_included})`]);
+  parts.push(includedBox.svg);
+  y += includedBox.height + 20;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${right + width + 20}" height="${y}" font-family="Arial, sans-serif" font-size="13">`,
+    '<defs><marker id="arrow" markerWidth="10" markerHeight="10" refX="9" refY="5" orient="auto"><path d="M0,0 L10,5 L0,10 z" fill="#333"/></marker></defs>',
+    ...parts,
+    '</svg>'
+  ].join('\n') + '\n';
+}
+
+// Export formats: content type, file extension and builder
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', build: buildCsv },
+  ris: { contentType: 'application/x-research-info-systems; charset=utf-8', extension: 'ris', build: buildRis },
+  bibtex: { contentType: 'application/x-bibtex; charset=utf-8', extension: 'bib', build: buildBibtex },
+  prisma: { contentType: 'application/json; charset=utf-8', extension: 'json', build: state => JSON.stringify(buildPrismaCounts(state), null, 2) },
+  prisma_svg: { contentType: 'image/svg+xml; charset=utf-8', extension: 'svg', build: state => buildPrismaSvg(buildPrismaCounts(state)) }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildCsv,
+  buildRis,
+  buildBibtex,
+  buildPrismaCounts,
+  buildPrismaSvg
+};
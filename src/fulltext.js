@@ -0,0 +1,155 @@
+const pdfParse = require('pdf-parse');
+
+// Full-text handling: local PDF text extraction, splitting into sections
+// (methods, results, limitations, ...) and chunks with character offsets, and
+// picking the chunks most relevant to a criterion or to metadata extraction.
+
+const MAX_CHUNK_CHARS = 1200;
+
+// Section headings as they appear in papers, mapped to canonical section names
+const SECTION_HEADINGS = [
+  { section: 'abstract', pattern: /^(abstract|summary)$/ },
+  { section: 'introduction', pattern: /^(introduction|background)$/ },
+  { section: 'methods', pattern: /^((materials and |patients and |subjects and )?methods?|methodology|study design|design and methods|participants|data and methods|experimental( setup| procedures)?)$/ },
+  { section: 'results', pattern: /^(results|findings|results and discussion)$/ },
+  { section: 'discussion', pattern: /^(discussion|general discussion)$/ },
+  { section: 'limitations', pattern: /^((study |strengths and )?limitations( of (the|this) study)?|strengths and weaknesses)$/ },
+  { section: 'conclusion', pattern: /^(conclusions?|concluding remarks)$/ },
+  { section: 'references', pattern: /^(references|bibliography|acknowledge?ments?|funding|conflicts? of interest)$/ }
+];
+
+// Which sections answer which kind of question
+const SECTION_HINTS = [
+  { pattern: /sample|participant|patient|cohort|enrol|recruit|design|method|random|blind|control|setting|population|intervention|protocol|measure/i, sections: ['methods'] },
+  { pattern: /outcome|result|effect|finding|efficacy|accuracy|improv|reduc|signific/i, sections: ['results'] },
+  { pattern: /limitation|bias|weakness|confound|generaliz/i, sections: ['limitations', 'discussion'] }
+];
+
+function headingSection(line) {
+  const heading = line.trim()
+    .replace(/^(\d+(\.\d+)*\.?|[IVX]+\.)\s+/, '')
+    .replace(/[:.]$/, '')
+    .toLowerCase();
+  if (heading.length === 0 || heading.length > 60) return null;
+  const match = SECTION_HEADINGS.find(h => h.pattern.test(heading));
+  return match ? match.section : null;
+}
+
+// Extract plain text from a PDF buffer. Resolves with { text, pages }.
+// Small Buffers are views into a shared pool and pdf.js reads the whole underlying
+// ArrayBuffer, so the bytes are copied into an array of their own first.
+async function extractPdfText(buffer) {
+  const result = await pdfParse(new Uint8Array(buffer));
+  return { text: result.text, pages: result.numpages };
+}
+
+// Split full text into sections at recognised headings. Text before the first
+// heading is 'front_matter'. Offsets index into `text`.
+function splitSections(text) {
+  const sections = [];
+  let current = { section: 'front_matter', start: 0 };
+  let offset = 0;
+
+  text.split('\n').forEach(line => {
+    const section = headingSection(line);
+    if (section) {
+      if (offset > current.start) sections.push({ ...current, end: offset });
+      current = { section, start: offset };
+    }
+    offset += line.length + 1;
+  });
+  if (text.length > current.start) sections.push({ ...current, end: text.length });
+
+  return sections;
+}
+
+// Split each section into chunks of at most MAX_CHUNK_CHARS on paragraph or sentence
+// boundaries: [{ chunk_id, section, start, end, text }]
+function chunkFullText(text) {
+  const chunks = [];
+  const counters = {};
+
+  splitSections(text)
+    .filter(section => section.section !== 'references')
+    .forEach(section => {
+      let start = section.start;
+      while (start < section.end) {
+        let end = Math.min(section.end, start + MAX_CHUNK_CHARS);
+        if (end < section.end) {
+          const window = text.substring(start, end);
+          const breakAt = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('. '));
+          if (breakAt > MAX_CHUNK_CHARS / 2) end = start + breakAt + 1;
+        }
+
+        const chunkText = text.substring(start, end).replace(/\s+/g, ' ').trim();
+        if (chunkText.length > 0) {
+          counters[section.section] = (counters[section.section] || 0) + 1;
+          chunks.push({
+            chunk_id: `${section.section}-${counters[section.section]}`,
+            section: section.section,
+            start,
+            end,
+            text: chunkText
+          });
+        }
+        start = end;
+      }
+    });
+
+  return chunks;
+}
+
+function terms(text) {
+  return new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 3));
+}
+
+// Sections a query is most likely answered in
+function preferredSections(query) {
+  return SECTION_HINTS.filter(hint => hint.pattern.test(query)).flatMap(hint => hint.sections);
+}
+
+// The `limit` chunks most relevant to `query`: term overlap, boosted for the
+// sections that usually answer that kind of question. Returned in document order.
+function selectChunks(chunks, query, limit = 3) {
+  const queryTerms = terms(query);
+  const preferred = new Set(preferredSections(query));
+
+  return chunks
+    .map(chunk => {
+      const chunkTerms = terms(chunk.text);
+      const overlap = [...queryTerms].filter(term => chunkTerms.has(term)).length;
+      return { chunk, score: overlap + (preferred.has(chunk.section) ? 2 : 0) };
+    })
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(item => item.chunk)
+    .sort((a, b) => a.start - b.start);
+}
+
+// Methods, results and limitations chunks for metadata extraction, within a character budget
+function metadataChunks(chunks, maxChars = 6000) {
+  const picked = [];
+  let used = 0;
+  for (const section of ['methods', 'results', 'limitations', 'discussion']) {
+    for (const chunk of chunks.filter(c => c.section === section)) {
+      if (used + chunk.text.length > maxChars) break;
+      picked.push(chunk);
+      used += chunk.text.length;
+    }
+  }
+  return picked.sort((a, b) => a.start - b.start);
+}
+
+function describeSections(text) {
+  return splitSections(text).map(({ section, start, end }) => ({ section, start, end }));
+}
+
+module.exports = {
+  extractPdfText,
+  splitSections,
+  describeSections,
+  chunkFullText,
+  selectChunks,
+  metadataChunks
+};
@@ -0,0 +1,399 @@
+// Import papers from reference-manager and database exports: RIS, BibTeX,
+// PubMed XML, MEDLINE (.nbib) and CSV. Every parser maps records to the paper
+// shape used by the workflow: { title, abstract, authors, year, journal, doi, pmid, keywords }.
+
+const IMPORT_FORMATS = ['ris', 'bibtex', 'pubmed_xml', 'medline', 'csv'];
+
+// Content types accepted as raw upload bodies, mapped to their format
+const CONTENT_TYPE_FORMATS = {
+  'application/x-research-info-systems': 'ris',
+  'application/x-bibtex': 'bibtex',
+  'text/x-bibtex': 'bibtex',
+  'application/xml': 'pubmed_xml',
+  'text/xml': 'pubmed_xml',
+  'application/nbib': 'medline',
+  'text/csv': 'csv'
+};
+
+function cleanText(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+function parseYear(value) {
+  const match = String(value || '').match(/\b(1[89]|20)\d{2}\b/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+function normalizeDoi(value) {
+  const match = String(value || '').match(/10\.\d{4,9}\/\S+/);
+  return match ? match[0].replace(/[.,;]+$/, '') : null;
+}
+
+function buildPaper(fields) {
+  return {
+    title: cleanText(fields.title),
+    abstract: cleanText(fields.abstract),
+    authors: (fields.authors || []).map(cleanText).filter(Boolean),
+    year: parseYear(fields.year),
+    journal: cleanText(fields.journal) || null,
+    doi: normalizeDoi(fields.doi),
+    pmid: cleanText(fields.pmid) || null,
+    keywords: (fields.keywords || []).map(cleanText).filter(Boolean)
+  };
+}
+
+// --- RIS and MEDLINE: tagged line formats ---
+
+// Split tagged lines into [tag, value] pairs, folding continuation lines into the previous value
+function parseTaggedLines(content, linePattern) {
+  const records = [];
+  let current = null;
+  let lastEntry = null;
+
+  content.split(/\r?\n/).forEach(line => {
+    const match = line.match(linePattern);
+    if (match) {
+      const [, tag, value] = match;
+      if (!current) current = [];
+      lastEntry = [tag.trim(), value.trim()];
+      current.push(lastEntry);
+      return;
+    }
+    if (line.trim() === '') {
+      lastEntry = null;
+      return;
+    }
+    if (lastEntry) {
+      lastEntry[1] = `${lastEntry[1]} ${line.trim()}`;
+    }
+  });
+
+  if (current) records.push(current);
+  return records;
+}
+
+function groupRecords(entries, startTag, endTag) {
+  const records = [];
+  let current = null;
+
+  entries.forEach(([tag, value]) => {
+    if (tag === startTag) {
+      if (current && current.length > 0 && !endTag) records.push(current);
+      current = [];
+    }
+    if (endTag && tag === endTag) {
+      if (current) records.push(current);
+      current = null;
+      return;
+    }
+    if (!current) current = [];
+    current.push([tag, value]);
+  });
+
+  if (current && current.length > 0) records.push(current);
+  return records;
+}
+
+function collectTags(record, tags) {
+  return record.filter(([tag]) => tags.includes(tag)).map(([, value]) => value);
+}
+
+function firstTag(record, tags) {
+  for (const wanted of tags) {
+    const entry = record.find(([tag]) => tag === wanted);
+    if (entry) return entry[1];
+  }
+  return '';
+}
+
+function parseRis(content) {
+  const [entries = []] = parseTaggedLines(content, /^([A-Z][A-Z0-9])  - ?(.*)$/);
+  return groupRecords(entries, 'TY', 'ER').map(record => buildPaper({
+    title: firstTag(record, ['TI', 'T1', 'CT']),
+    abstract: collectTags(record, ['AB', 'N2']).join(' '),
+    authors: collectTags(record, ['AU', 'A1']),
+    year: firstTag(record, ['PY', 'Y1', 'DA']),
+    journal: firstTag(record, ['JO', 'JF', 'T2', 'JA', 'J2']),
+    doi: firstTag(record, ['DO']),
+    pmid: firstTag(record, ['AN']).match(/^\d+$/) ? firstTag(record, ['AN']) : '',
+    keywords: collectTags(record, ['KW'])
+  }));
+}
+
+function parseMedline(content) {
+  const [entries = []] = parseTaggedLines(content, /^([A-Z][A-Z0-9 ]{1,3})- (.*)$/);
+  return groupRecords(entries, 'PMID').map(record => {
+    const doiEntry = [...collectTags(record, ['AID', 'LID'])].find(value => /\[doi\]/.test(value));
+    return buildPaper({
+      title: firstTag(record, ['TI']),
+      abstract: collectTags(record, ['AB']).join(' '),
+      authors: collectTags(record, ['FAU']).length > 0 ? collectTags(record, ['FAU']) : collectTags(record, ['AU']),
+      year: firstTag(record, ['DP']),
+      journal: firstTag(record, ['JT', 'TA']),
+      doi: doiEntry,
+      pmid: firstTag(record, ['PMID']),
+      keywords: collectTags(record, ['OT']).length > 0 ? collectTags(record, ['OT']) : collectTags(record, ['MH'])
+    });
+  });
+}
+
+// --- BibTeX ---
+
+// Combining marks for the common LaTeX accent commands (\"u, \'e, ...)
+const LATEX_ACCENTS = { '"': '\u0308', "'": '\u0301', '`': '\u0300', '^': '\u0302', '~': '\u0303', '=': '\u0304', '.': '\u0307' };
+
+function stripLatex(value) {
+  return String(value || '')
+    .replace(/\\(["'`^~=.])\{?([a-zA-Z])\}?/g, (_, accent, letter) => `${letter}${LATEX_ACCENTS[accent]}`.normalize('NFC'))
+    .replace(/\\[a-zA-Z]+\s*\{([^{}]*)\}/g, '$1')
+    .replace(/\\([&%$#_])/g, '$1')
+    .replace(/[{}]/g, '');
+}
+
+// Read one field value starting at `index`: {braced}, "quoted", or a bare word/number
+function readBibtexValue(body, index) {
+  const char = body[index];
+
+  if (char === '{') {
+    let depth = 0;
+    for (let i = index; i < body.length; i++) {
+      if (body[i] === '{') depth++;
+      else if (body[i] === '}' && --depth === 0) return { value: body.substring(index + 1, i), end: i + 1 };
+    }
+    return { value: body.substring(index + 1), end: body.length };
+  }
+
+  if (char === '"') {
+    let depth = 0;
+    for (let i = index + 1; i < body.length; i++) {
+      if (body[i] === '{') depth++;
+      else if (body[i] === '}') depth--;
+      else if (body[i] === '"' && depth === 0 && body[i - 1] !== '\\') return { value: body.substring(index + 1, i), end: i + 1 };
+    }
+    return { value: body.substring(index + 1), end: body.length };
+  }
+
+  const match = body.substring(index).match(/^[^,}\s]+/);
+  return { value: match ? match[0] : '', end: index + (match ? match[0].length : 0) };
+}
+
+function parseBibtexFields(body) {
+  const fields = {};
+  const fieldPattern = /([A-Za-z][\w-]*)\s*=\s*/g;
+  let match;
+
+  while ((match = fieldPattern.exec(body)) !== null) {
+    const { value, end } = readBibtexValue(body, fieldPattern.lastIndex);
+    fields[match[1].toLowerCase()] = value;
+    fieldPattern.lastIndex = end;
+  }
+  return fields;
+}
+
+function parseBibtex(content) {
+  const papers = [];
+  const entryPattern = /@(\w+)\s*\{/g;
+  let match;
+
+  while ((match = entryPattern.exec(content)) !== null) {
+    const type = match[1].toLowerCase();
+    const start = entryPattern.lastIndex;
+    const { value: body, end } = readBibtexValue(content, start - 1);
+    entryPattern.lastIndex = end;
+    if (['comment', 'preamble', 'string'].includes(type)) continue;
+
+    // Skip the citation key before the first field
+    const fields = parseBibtexFields(body.substring(body.indexOf(',') + 1));
+    papers.push(buildPaper({
+      title: stripLatex(fields.title),
+      abstract: stripLatex(fields.abstract),
+      authors: stripLatex(fields.author).split(/\s+and\s+/i),
+      year: fields.year || fields.date,
+      journal: stripLatex(fields.journal || fields.journaltitle || fields.booktitle),
+      doi: fields.doi,
+      pmid: fields.pmid,
+      keywords: stripLatex(fields.keywords).split(/[,;]/)
+    }));
+  }
+
+  return papers;
+}
+
+// --- PubMed XML ---
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(value) {
+  return String(value || '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name]);
+}
+
+function xmlElements(xml, tag) {
+  const pattern = new RegExp(`<${tag}(\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+  const elements = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    elements.push({ attributes: match[1] || '', content: match[2] });
+  }
+  return elements;
+}
+
+function xmlText(xml, tag) {
+  const [element] = xmlElements(xml, tag);
+  return element ? decodeXml(element.content) : '';
+}
+
+function parsePubmedXml(content) {
+  return xmlElements(content, 'PubmedArticle').map(({ content: article }) => {
+    const abstract = xmlElements(article, 'AbstractText').map(({ attributes, content: text }) => {
+      const label = attributes.match(/Label="([^"]*)"/);
+      return label ? `${label[1]}: ${decodeXml(text)}` : decodeXml(text);
+    }).join(' ');
+
+    const authors = xmlElements(article, 'Author').map(({ content: author }) => {
+      const collective = xmlText(author, 'CollectiveName');
+      if (collective) return collective;
+      return [xmlText(author, 'LastName'), xmlText(author, 'ForeName') || xmlText(author, 'Initials')]
+        .filter(Boolean).join(', ');
+    });
+
+    const doi = xmlElements(article, 'ArticleId').find(({ attributes }) => /IdType="doi"/.test(attributes));
+    const [pubDate] = xmlElements(article, 'PubDate');
+    const [journal] = xmlElements(article, 'Journal');
+
+    return buildPaper({
+      title: xmlText(article, 'ArticleTitle'),
+      abstract,
+      authors,
+      year: pubDate ? (xmlText(pubDate.content, 'Year') || xmlText(pubDate.content, 'MedlineDate')) : '',
+      journal: journal ? xmlText(journal.content, 'Title') : '',
+      doi: doi ? decodeXml(doi.content) : '',
+      pmid: xmlText(article, 'PMID'),
+      keywords: xmlElements(article, 'Keyword').map(({ content: keyword }) => decodeXml(keyword))
+    });
+  });
+}
+
+// --- CSV ---
+
+// RFC 4180 rows: quoted fields may contain commas, quotes ("") and newlines
+function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+  return rows;
+}
+
+const CSV_COLUMNS = {
+  title: ['title', 'article title', 'document title', 'ti'],
+  abstract: ['abstract', 'ab'],
+  authors: ['authors', 'author', 'author full names', 'au'],
+  year: ['year', 'publication year', 'py', 'date'],
+  journal: ['journal', 'source title', 'source', 'publication title', 'journal/book'],
+  doi: ['doi'],
+  pmid: ['pmid', 'pubmed id'],
+  keywords: ['keywords', 'author keywords', 'kw']
+};
+
+function parseCsv(content) {
+  const [header, ...rows] = parseCsvRows(content.replace(/^﻿/, ''));
+  if (!header) return [];
+
+  const headerNames = header.map(name => name.trim().toLowerCase());
+  const columnIndex = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([field, names]) => [
+    field,
+    headerNames.findIndex(name => names.includes(name))
+  ]));
+  const cell = (row, field) => (columnIndex[field] >= 0 ? row[columnIndex[field]] || '' : '');
+  const splitList = (value) => (value.includes(';') ? value.split(';') : value.split(/\s+and\s+/i));
+
+  return rows.map(row => buildPaper({
+    title: cell(row, 'title'),
+    abstract: cell(row, 'abstract'),
+    authors: cell(row, 'authors') ? splitList(cell(row, 'authors')) : [],
+    year: cell(row, 'year'),
+    journal: cell(row, 'journal'),
+    doi: cell(row, 'doi'),
+    pmid: cell(row, 'pmid'),
+    keywords: cell(row, 'keywords') ? cell(row, 'keywords').split(/[;,]/) : []
+  }));
+}
+
+const PARSERS = {
+  ris: parseRis,
+  bibtex: parseBibtex,
+  pubmed_xml: parsePubmedXml,
+  medline: parseMedline,
+  csv: parseCsv
+};
+
+// Guess the export format from its content
+function detectFormat(content) {
+  const text = content.trimStart();
+  if (/^<(\?xml|!DOCTYPE PubmedArticleSet|PubmedArticleSet)/i.test(text) || /<PubmedArticle[\s>]/.test(text)) return 'pubmed_xml';
+  if (/^TY  - /m.test(text)) return 'ris';
+  if (/^PMID- /m.test(text)) return 'medline';
+  if (/^@\w+\s*\{/m.test(text)) return 'bibtex';
+  return 'csv';
+}
+
+// Parse an export into papers. Records without a title or abstract cannot be
+// screened and are reported in `skipped` instead.
+// Returns { format, papers, skipped } or { error }.
+function importPapers(content, format) {
+  if (typeof content !== 'string' || content.trim() === '') {
+    return { error: 'Import content should be a non-empty string' };
+  }
+
+  const resolvedFormat = format || detectFormat(content);
+  if (!PARSERS[resolvedFormat]) {
+    return { error: `Unsupported import format '${resolvedFormat}' (expected one of: ${IMPORT_FORMATS.join(', ')})` };
+  }
+
+  const papers = [];
+  const skipped = [];
+  PARSERS[resolvedFormat](content).forEach((paper, index) => {
+    const missing = ['title', 'abstract'].filter(field => !paper[field]);
+    if (missing.length > 0) {
+      skipped.push({ record: index + 1, title: paper.title || null, reason: `missing ${missing.join(' and ')}` });
+    } else {
+      papers.push(paper);
+    }
+  });
+
+  return { format: resolvedFormat, papers, skipped };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  CONTENT_TYPE_FORMATS,
+  detectFormat,
+  importPapers
+};
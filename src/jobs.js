@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// In-memory registry of screening jobs that run outside the HTTP request
+const jobs = new Map();
+
+// Finished jobs are kept this long so clients can still fetch their results
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS, 10) || 60 * 60 * 1000;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const [id, job] of jobs) {
+    if (isFinished(job) && new Date(job.finished_at).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+// Keep an event in the job's history and hand it to live subscribers
+function recordEvent(job, event) {
+  job.events.push(event);
+  job.emitter.emit('event', event);
+}
+
+// Record a progress event reported by the workflow runner or an agent
+function applyProgress(job, event) {
+  recordEvent(job, event);
+
+  if (event.currentStep) {
+    job.currentStep = event.currentStep;
+  }
+  if (event.node && event.completed !== undefined) {
+    job.progress[event.node] = {
+      processed: event.completed,
+      total: event.total
+    };
+  }
+  job.updated_at = new Date().toISOString();
+}
+
+// Tell followers the job has finished. A cancelled job's task settles after the
+// cancellation was announced, so this only emits the first time.
+function announceFinished(job) {
+  if (job.announced) return;
+  job.announced = true;
+  job.emitter.emit('finished', job);
+}
+
+// Create a job and start `task(job)` on the next tick.
+// The task receives the job (for `job.signal` and `job.reportProgress`) and resolves with the result.
+function createJob(task, metadata = {}) {
+  pruneFinishedJobs();
+
+  const now = new Date().toISOString();
+  const controller = new AbortController();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    currentStep: '',
+    progress: {},
+    metadata,
+    created_at: now,
+    updated_at: now,
+    started_at: null,
+    finished_at: null,
+    result: null,
+    error: null,
+    events: [],
+    emitter: new EventEmitter(),
+    announced: false,
+    controller,
+    signal: controller.signal
+  };
+  job.reportProgress = (event) => applyProgress(job, event);
+
+  jobs.set(job.id, job);
+
+  setImmediate(async () => {
+    if (job.status === 'cancelled') return;
+
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+
+    try {
+      const result = await task(job);
+      if (job.status === 'running') {
+        job.status = 'completed';
+        job.result = result;
+      }
+    } catch (error) {
+      if (job.status === 'running') {
+        job.status = 'failed';
+        job.error = error.message;
+      }
+    } finally {
+      job.finished_at = job.finished_at || new Date().toISOString();
+      job.updated_at = job.finished_at;
+      announceFinished(job);
+    }
+  });
+
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Cancel a queued or running job. Returns false if the job had already finished.
+function cancelJob(job) {
+  if (isFinished(job)) {
+    return false;
+  }
+
+  job.status = 'cancelled';
+  job.finished_at = new Date().toISOString();
+  job.updated_at = job.finished_at;
+  job.controller.abort();
+  announceFinished(job);
+  return true;
+}
+
+// Replay a job's past events to `onEvent`, then follow it live until it finishes.
+// Returns a function that stops following.
+function followJob(job, onEvent, onFinished) {
+  job.events.forEach(onEvent);
+
+  if (isFinished(job)) {
+    onFinished(job);
+    return () => {};
+  }
+
+  const handleFinished = () => {
+    unsubscribe();
+    onFinished(job);
+  };
+  const unsubscribe = () => {
+    job.emitter.off('event', onEvent);
+    job.emitter.off('finished', handleFinished);
+  };
+
+  job.emitter.on('event', onEvent);
+  job.emitter.once('finished', handleFinished);
+  return unsubscribe;
+}
+
+function deleteJob(id) {
+  return jobs.delete(id);
+}
+
+// Public view of a job, without internal handles or the (possibly large) result
+function describeJob(job) {
+  return {
+    job_id: job.id,
+    status: job.status,
+    currentStep: job.currentStep,
+    progress: job.progress,
+    metadata: job.metadata,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    updated_at: job.updated_at,
+    error: job.error
+  };
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  deleteJob,
+  describeJob,
+  followJob,
+  isFinished
+};
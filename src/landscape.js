@@ -0,0 +1,215 @@
+// Research-landscape analysis of a corpus: papers are grouped into topic clusters
+// by lexical similarity (TF-IDF vectors over extracted keywords, research domain,
+// title and abstract, clustered with spherical k-means), and the study types,
+// methodologies and publication years of the corpus and of each cluster are
+// counted. Everything here is local and deterministic; the per-cluster summaries
+// are written by the model in agent 2b.
+
+const MAX_CLUSTERS = 10;
+const MAX_ITERATIONS = 25;
+const LABEL_TERMS = 3;
+const CLUSTER_TERMS = 8;
+
+const STOPWORDS = new Set([
+  'about', 'across', 'after', 'also', 'among', 'analysis', 'based', 'been', 'between', 'both',
+  'data', 'does', 'during', 'each', 'from', 'have', 'into', 'more', 'most', 'other', 'over',
+  'paper', 'results', 'same', 'show', 'shows', 'some', 'such', 'than', 'that', 'their', 'them',
+  'there', 'these', 'they', 'this', 'those', 'through', 'under', 'using', 'were', 'what',
+  'when', 'where', 'which', 'while', 'with', 'within', 'would', 'study', 'studies', 'specified',
+  'research', 'found', 'used', 'year', 'years'
+]);
+
+const NOT_SPECIFIED = 'Not specified';
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9-]+/)
+    .map(word => word.replace(/^-+|-+$/g, ''))
+    .filter(word => word.length > 3 && !STOPWORDS.has(word) && !/^\d+$/.test(word));
+}
+
+// Term counts for one paper; extracted keywords and the research domain count double
+function paperTerms(paper, metadata = {}) {
+  const counts = new Map();
+  const add = (text, weight) => tokenize(text).forEach(term => counts.set(term, (counts.get(term) || 0) + weight));
+  (Array.isArray(metadata.keywords) ? metadata.keywords : []).forEach(keyword => add(keyword, 2));
+  add(metadata.research_domain, 2);
+  add(paper.title, 1);
+  add(paper.abstract, 1);
+  return counts;
+}
+
+// L2-normalised TF-IDF vectors (Maps of term -> weight). Terms found in a single
+// paper are dropped when there is more than one paper: they cannot link papers.
+function tfidfVectors(termCounts) {
+  const documentFrequency = new Map();
+  termCounts.forEach(counts => counts.forEach((_, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+
+  const total = termCounts.length;
+  return termCounts.map(counts => {
+    const vector = new Map();
+    counts.forEach((count, term) => {
+      const df = documentFrequency.get(term);
+      if (total > 1 && df < 2) return;
+      vector.set(term, (1 + Math.log(count)) * Math.log((1 + total) / (1 + df)) + 1e-9);
+    });
+    return normalize(vector);
+  });
+}
+
+function normalize(vector) {
+  let norm = 0;
+  vector.forEach(weight => { norm += weight * weight; });
+  norm = Math.sqrt(norm);
+  if (norm > 0) vector.forEach((weight, term) => vector.set(term, weight / norm));
+  return vector;
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.forEach((weight, term) => {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  });
+  return dot;
+}
+
+function centroid(vectors) {
+  const sum = new Map();
+  vectors.forEach(vector => vector.forEach((weight, term) => sum.set(term, (sum.get(term) || 0) + weight)));
+  return normalize(sum);
+}
+
+// Default cluster count: about sqrt(n / 2), at least 1 and at most MAX_CLUSTERS
+function defaultClusterCount(paperCount) {
+  return Math.max(1, Math.min(MAX_CLUSTERS, paperCount, Math.round(Math.sqrt(paperCount / 2))));
+}
+
+// Spherical k-means with farthest-first seeding from the most central paper, so the
+// same corpus always gives the same clusters. Returns one cluster index per vector.
+function kMeans(vectors, k) {
+  const n = vectors.length;
+  if (k <= 1 || n <= 1) return vectors.map(() => 0);
+
+  const mean = centroid(vectors);
+  const seeds = [vectors.reduce((best, v, i) => (cosine(v, mean) > cosine(vectors[best], mean) ? i : best), 0)];
+  while (seeds.length < k) {
+    let farthest = -1;
+    let farthestSimilarity = Infinity;
+    vectors.forEach((vector, i) => {
+      if (seeds.includes(i)) return;
+      const similarity = Math.max(...seeds.map(s => cosine(vector, vectors[s])));
+      if (similarity < farthestSimilarity) {
+        farthest = i;
+        farthestSimilarity = similarity;
+      }
+    });
+    if (farthest === -1) break;
+    seeds.push(farthest);
+  }
+
+  let centroids = seeds.map(i => vectors[i]);
+  let assignment = vectors.map(() => -1);
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const next = vectors.map(vector => {
+      let best = 0;
+      let bestSimilarity = -1;
+      centroids.forEach((c, j) => {
+        const similarity = cosine(vector, c);
+        if (similarity > bestSimilarity) {
+          best = j;
+          bestSimilarity = similarity;
+        }
+      });
+      return best;
+    });
+    if (next.every((cluster, i) => cluster === assignment[i])) break;
+    assignment = next;
+    centroids = centroids.map((c, j) => {
+      const members = vectors.filter((_, i) => assignment[i] === j);
+      return members.length > 0 ? centroid(members) : c;
+    });
+  }
+  return assignment;
+}
+
+// Counts of a metadata field's values, most common first: [{ value, count }]
+function distribution(values) {
+  const counts = new Map();
+  values.forEach(value => {
+    const key = value === undefined || value === null || String(value).trim() === '' ? NOT_SPECIFIED : String(value).trim();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+function publicationYear(paper, metadata) {
+  const year = parseInt(paper.year || metadata.year, 10);
+  return Number.isInteger(year) && year > 1000 ? year : null;
+}
+
+// Study types, methodologies and publication years of a set of papers (by index)
+function distributions(indices, papers, metadata) {
+  const years = indices.map(i => publicationYear(papers[i], metadata[i] || {}));
+  const known = years.filter(year => year !== null);
+  return {
+    study_types: distribution(indices.map(i => (metadata[i] || {}).study_type)),
+    methodologies: distribution(indices.map(i => (metadata[i] || {}).methodology)),
+    years: distribution(years).sort((a, b) => (a.value === NOT_SPECIFIED) - (b.value === NOT_SPECIFIED) || Number(a.value) - Number(b.value)),
+    year_range: known.length > 0 ? { from: Math.min(...known), to: Math.max(...known) } : null
+  };
+}
+
+// Cluster the papers (paper ids are 1-based positions) and describe the landscape:
+// { cluster_count, clusters: [{ cluster_id, label, terms, paper_ids, size, distributions, name, summary }],
+//   paper_clusters: { paper_id: cluster_id }, distributions }. The model-written name and
+// summary start out null.
+function analyzeLandscape(papers, metadata, { clusters: requested = null } = {}) {
+  const vectors = tfidfVectors(papers.map((paper, i) => paperTerms(paper, metadata[i] || {})));
+  const k = requested === null ? defaultClusterCount(papers.length) : Math.min(requested, papers.length);
+  const assignment = kMeans(vectors, k);
+
+  // Number clusters by size so cluster 1 is the largest topic
+  const groups = [...new Set(assignment)]
+    .map(cluster => assignment.map((c, i) => (c === cluster ? i : -1)).filter(i => i !== -1))
+    .sort((a, b) => b.length - a.length || a[0] - b[0]);
+
+  const clusters = groups.map((indices, j) => {
+    const terms = [...centroid(indices.map(i => vectors[i])).entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, CLUSTER_TERMS)
+      .map(([term]) => term);
+    return {
+      cluster_id: j + 1,
+      label: terms.slice(0, LABEL_TERMS).join(', ') || 'miscellaneous',
+      terms,
+      paper_ids: indices.map(i => i + 1),
+      size: indices.length,
+      distributions: distributions(indices, papers, metadata),
+      name: null,
+      summary: null
+    };
+  });
+
+  const paperClusters = {};
+  clusters.forEach(cluster => cluster.paper_ids.forEach(id => { paperClusters[id] = cluster.cluster_id; }));
+
+  return {
+    method: 'tfidf_kmeans',
+    cluster_count: clusters.length,
+    clusters,
+    paper_clusters: paperClusters,
+    distributions: distributions(papers.map((_, i) => i), papers, metadata)
+  };
+}
+
+module.exports = {
+  MAX_CLUSTERS,
+  analyzeLandscape
+};
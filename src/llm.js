@@ -0,0 +1,420 @@
+const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
+const { getScheduler } = require('./scheduler');
+
+// LLM provider layer. Agents ask for a model by settings ({ provider, model, temperature })
+// and call `invoke(messages, { task, input, signal })`. Every provider resolves to
+// { content, usage_metadata } so the agents never care which backend answered.
+// Provider clients are shared per provider, model and endpoint; the rest of the
+// settings (temperature, canned fake responses) travel with each call.
+
+const PROVIDERS = ['gemini', 'openai', 'ollama', 'fake'];
+
+const PROVIDER_DEFAULT_MODELS = {
+  gemini: 'gemini-2.0-flash',
+  openai: 'gpt-4o-mini',
+  ollama: 'llama3.1',
+  fake: 'fake-deterministic'
+};
+
+// Defaults from the environment; a misconfigured provider or temperature fails startup
+// rather than the first request
+const DEFAULT_LLM_SETTINGS = (() => {
+  const provider = process.env.LLM_PROVIDER || 'gemini';
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`LLM_PROVIDER should be one of: ${PROVIDERS.join(', ')} (got '${provider}')`);
+  }
+  const temperature = process.env.LLM_TEMPERATURE !== undefined ? parseFloat(process.env.LLM_TEMPERATURE) : 0.3;
+  if (Number.isNaN(temperature) || temperature < 0 || temperature > 2) {
+    throw new Error(`LLM_TEMPERATURE should be a number between 0 and 2 (got '${process.env.LLM_TEMPERATURE}')`);
+  }
+  return {
+    provider,
+    model: process.env.LLM_MODEL || PROVIDER_DEFAULT_MODELS[provider],
+    temperature
+  };
+})();
+
+// Merge request `llm` settings over the configured defaults.
+// Endpoints and API keys only ever come from the environment, never from a request.
+// Returns { settings } on success or { error } describing the first problem found.
+function resolveLlmSettings(rawSettings) {
+  if (rawSettings === undefined || rawSettings === null) {
+    return { settings: { ...DEFAULT_LLM_SETTINGS } };
+  }
+  if (typeof rawSettings !== 'object' || Array.isArray(rawSettings)) {
+    return { error: "'llm' should be an object" };
+  }
+
+  const provider = rawSettings.provider || DEFAULT_LLM_SETTINGS.provider;
+  if (!PROVIDERS.includes(provider)) {
+    return { error: `'llm.provider' should be one of: ${PROVIDERS.join(', ')}` };
+  }
+
+  const settings = {
+    provider,
+    model: rawSettings.model ||
+      (provider === DEFAULT_LLM_SETTINGS.provider ? DEFAULT_LLM_SETTINGS.model : PROVIDER_DEFAULT_MODELS[provider]),
+    temperature: rawSettings.temperature !== undefined ? rawSettings.temperature : DEFAULT_LLM_SETTINGS.temperature
+  };
+
+  if (typeof settings.model !== 'string' || !settings.model) {
+    return { error: "'llm.model' should be a non-empty string" };
+  }
+  if (typeof settings.temperature !== 'number' || settings.temperature < 0 || settings.temperature > 2) {
+    return { error: "'llm.temperature' should be a number between 0 and 2" };
+  }
+
+  if (rawSettings.responses !== undefined) {
+    if (provider !== 'fake') {
+      return { error: "'llm.responses' is only supported by the 'fake' provider" };
+    }
+    if (typeof rawSettings.responses !== 'object' || Array.isArray(rawSettings.responses)) {
+      return { error: "'llm.responses' should be an object keyed by task" };
+    }
+    settings.responses = rawSettings.responses;
+  }
+
+  return { settings };
+}
+
+// Convert LangChain messages to the { role, content } shape used by chat HTTP APIs
+function toChatMessages(messages) {
+  const roles = { system: 'system', human: 'user', ai: 'assistant' };
+  return messages.map(message => ({
+    role: roles[message.getType()] || 'user',
+    content: message.content
+  }));
+}
+
+async function postJson(url, body, { headers = {}, signal } = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    const error = new Error(`LLM request failed with status ${response.status}: ${text.substring(0, 200)}`);
+    error.status = response.status;
+    const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+    if (!Number.isNaN(retryAfter)) {
+      error.retryAfterMs = retryAfter * 1000;
+    }
+    throw error;
+  }
+
+  return response.json();
+}
+
+// Base URL of a provider's HTTP API (null for Gemini, which the SDK addresses itself)
+function providerEndpoint(provider) {
+  if (provider === 'openai') return (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  if (provider === 'ollama') return (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/$/, '');
+  return null;
+}
+
+// The SDK fixes the temperature per instance, so the instance is built per call (it holds no connection)
+function createGeminiModel(model) {
+  return {
+    async invoke(messages, settings, { signal } = {}) {
+      const chatModel = new ChatGoogleGenerativeAI({
+        model,
+        temperature: settings.temperature,
+        apiKey: process.env.GOOGLE_API_KEY
+      });
+      const response = await chatModel.invoke(messages, { signal });
+      return { content: response.content, usage_metadata: response.usage_metadata };
+    }
+  };
+}
+
+function createOpenAICompatibleModel(model, baseUrl) {
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  return {
+    async invoke(messages, settings, { signal } = {}) {
+      const data = await postJson(`${baseUrl}/chat/completions`, {
+        model,
+        temperature: settings.temperature,
+        messages: toChatMessages(messages)
+      }, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        signal
+      });
+
+      const usage = data.usage || {};
+      return {
+        content: data.choices && data.choices[0] ? data.choices[0].message.content : '',
+        usage_metadata: {
+          input_tokens: usage.prompt_tokens || 0,
+          output_tokens: usage.completion_tokens || 0,
+          total_tokens: usage.total_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+function createOllamaModel(model, baseUrl) {
+  return {
+    async invoke(messages, settings, { signal } = {}) {
+      const data = await postJson(`${baseUrl}/api/chat`, {
+        model,
+        stream: false,
+        options: { temperature: settings.temperature },
+        messages: toChatMessages(messages)
+      }, { signal });
+
+      const inputTokens = data.prompt_eval_count || 0;
+      const outputTokens = data.eval_count || 0;
+      return {
+        content: data.message ? data.message.content : '',
+        usage_metadata: {
+          input_tokens: inputTokens,
+          output_tokens: outputTokens,
+          total_tokens: inputTokens + outputTokens
+        }
+      };
+    }
+  };
+}
+
+// --- Deterministic fake model ---------------------------------------------------
+
+const STOPWORDS = new Set([
+  'about', 'above', 'after', 'again', 'also', 'among', 'been', 'being', 'between', 'both', 'does',
+  'during', 'each', 'from', 'have', 'having', 'into', 'more', 'most', 'only', 'other', 'over',
+  'paper', 'papers', 'same', 'should', 'some', 'such', 'than', 'that', 'their', 'them', 'then',
+  'there', 'these', 'they', 'this', 'those', 'through', 'under', 'using', 'very', 'were', 'what',
+  'when', 'where', 'which', 'while', 'will', 'with', 'within', 'would', 'your', 'study', 'studies',
+  'research', 'clearly', 'criterion', 'satisfy', 'relevance', 'relevant', 'directly', 'address',
+  'addresses', 'describe', 'described', 'report', 'reported', 'discuss', 'discussed', 'state'
+]);
+
+const STUDY_TYPE_RULES = [
+  { pattern: /systematic review|meta-analys/i, study_type: 'review', methodology: 'systematic review' },
+  { pattern: /randomi[sz]ed|controlled trial|experiment/i, study_type: 'experimental', methodology: 'controlled experiment' },
+  { pattern: /cohort|longitudinal|cross-sectional|observational/i, study_type: 'observational', methodology: 'observational analysis' },
+  { pattern: /survey|questionnaire|interview/i, study_type: 'survey', methodology: 'survey' },
+  { pattern: /simulation|model(l)?ing/i, study_type: 'computational', methodology: 'simulation and modelling' },
+  { pattern: /review/i, study_type: 'review', methodology: 'literature review' }
+];
+
+const GENERIC_CRITERIA = [
+  { criterion: 'Clear research question statement', description: 'Does the paper clearly state its research question or hypothesis?', evaluation_focus: 'clarity and specificity of research objectives' },
+  { criterion: 'Described methodology', description: 'Does the paper describe its methodology or study design?', evaluation_focus: 'methodological transparency' },
+  { criterion: 'Reported results', description: 'Does the paper report concrete results or findings?', evaluation_focus: 'reporting of outcomes' },
+  { criterion: 'Sample or data description', description: 'Does the paper describe its sample, participants or data?', evaluation_focus: 'data and sample description' },
+  { criterion: 'Discussed limitations', description: 'Does the paper discuss limitations of its approach?', evaluation_focus: 'critical appraisal' },
+  { criterion: 'Practical implications', description: 'Does the paper discuss practical implications or applications?', evaluation_focus: 'applicability' }
+];
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9-]+/)
+    .filter(word => word.length > 3 && !STOPWORDS.has(word));
+}
+
+function topTerms(texts, count) {
+  const frequencies = new Map();
+  texts.forEach(text => tokenize(text).forEach(word => {
+    frequencies.set(word, (frequencies.get(word) || 0) + 1);
+  }));
+  return [...frequencies.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, count)
+    .map(([word]) => word);
+}
+
+function firstSentence(text) {
+  const match = String(text || '').match(/[^.!?]+[.!?]/);
+  return match ? match[0].trim() : String(text || '').substring(0, 200);
+}
+
+function fakeExtractMetadata({ paper, passages = [] }) {
+  const text = [paper.title, paper.abstract, ...passages.map(p => p.text)].join(' ');
+  const rule = STUDY_TYPE_RULES.find(r => r.pattern.test(text));
+  const keywords = topTerms([paper.title, paper.abstract], 5);
+  const year = text.match(/\b(19|20)\d{2}\b/);
+  const sampleSize = text.match(/\b(\d[\d,]*)\s+(participants|patients|subjects|respondents|samples|facilities|users)\b/i);
+  const results = passages.filter(p => p.section === 'results').map(p => p.text).join(' ');
+  const findings = String(results || paper.abstract || '').match(/[^.!?]*\b(found|show|shows|showed|demonstrate|results?)\b[^.!?]*[.!?]/i);
+
+  return {
+    title: paper.title,
+    authors: Array.isArray(paper.authors) ? paper.authors : [],
+    journal: paper.journal || 'Not specified',
+    year: paper.year || (year ? parseInt(year[0], 10) : 'Not specified'),
+    keywords,
+    research_domain: keywords[0] || 'Not specified',
+    methodology: rule ? rule.methodology : 'Not specified',
+    sample_size: sampleSize ? sampleSize[0] : 'Not specified',
+    study_type: rule ? rule.study_type : 'Not specified',
+    main_findings: findings ? findings[0].trim() : 'Not specified',
+    limitations: /limitation/i.test(text) ? 'Limitations discussed' : 'Not specified',
+    abstract_summary: firstSentence(paper.abstract)
+  };
+}
+
+// Topical criteria come from the corpus keywords or, when refining after a calibration
+// round, from the included papers the previous criteria missed
+function fakeGenerateCriteria({ count, metadataSummary, calibrationFeedback }) {
+  const missed = calibrationFeedback ? calibrationFeedback.missed_includes : [];
+  const corpusTerms = missed.length > 0
+    ? topTerms(missed.map(p => `${p.title} ${p.abstract}`), Math.ceil(count / 2))
+    : topTerms(
+      metadataSummary.map(m => [m.research_domain, ...(Array.isArray(m.keywords) ? m.keywords : [])].join(' ')),
+      Math.ceil(count / 2)
+    );
+
+  const topical = corpusTerms.map(term => ({
+    criterion: `Relevance to ${term}`,
+    description: `Does the paper directly address ${term}?`,
+    evaluation_focus: `topical relevance to ${term}`
+  }));
+
+  return [...topical, ...GENERIC_CRITERIA]
+    .slice(0, count)
+    .map((c, i) => ({ id: i + 1, ...c }));
+}
+
+// Yes when two criterion terms (or every term of a shorter criterion) appear in the paper,
+// Maybe for a partial match, No otherwise. The strict and inclusive screener variants
+// resolve partial matches to No and Yes respectively. With full-text passages the
+// verdict cites the passage sharing the most criterion terms. The first sentence that
+// mentions a matched term is quoted as evidence.
+const FAKE_PARTIAL_MATCH = { strict: 'No', inclusive: 'Yes' };
+
+function fakeEvaluatePaper({ paper, paperId, criteria, promptVariant, passages = [] }) {
+  const paperTerms = new Set(tokenize([paper.title, paper.abstract, ...passages.map(p => p.text)].join(' ')));
+  const passageTerms = passages.map(p => ({ passage: p, terms: new Set(tokenize(p.text)) }));
+  const sentences = [paper.title, paper.abstract, ...passages.map(p => p.text)]
+    .flatMap(text => String(text || '').match(/[^.!?]+[.!?]?/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+  return {
+    paper_id: paperId,
+    title: paper.title,
+    evaluations: criteria.map(c => {
+      const terms = [...new Set(tokenize(`${c.criterion} ${c.description}`))];
+      const matched = terms.filter(term => paperTerms.has(term));
+      const yesThreshold = Math.max(1, Math.min(2, terms.length));
+      const partial = FAKE_PARTIAL_MATCH[promptVariant] || 'Maybe';
+      const response = matched.length >= yesThreshold ? 'Yes' : matched.length > 0 ? partial : 'No';
+      const reasoning = matched.length > 0
+        ? `Paper mentions: ${matched.join(', ')}`
+        : 'Paper does not mention any criterion terms';
+      const quoted = sentences.find(sentence => tokenize(sentence).some(term => matched.includes(term)));
+      const quotes = quoted ? [quoted] : [];
+      if (passageTerms.length === 0) {
+        return { criterion_id: c.id, response, quotes, reasoning };
+      }
+
+      const best = passageTerms
+        .map(({ passage, terms: chunkTerms }) => ({ passage, hits: matched.filter(term => chunkTerms.has(term)).length }))
+        .sort((a, b) => b.hits - a.hits)[0];
+      if (best.hits === 0) {
+        return { criterion_id: c.id, response, quotes, passage_id: null, reasoning };
+      }
+      return {
+        criterion_id: c.id,
+        response,
+        quotes,
+        passage_id: best.passage.chunk_id,
+        reasoning: `${reasoning} [${best.passage.chunk_id}]`
+      };
+    })
+  };
+}
+
+// Name from the cluster's top terms; summary from its size and most common study type
+function fakeSummarizeCluster({ terms, papers }) {
+  const studyTypes = topTerms(papers.map(p => p.study_type), 1);
+  return {
+    name: terms.slice(0, 2).join(' and ') || 'Miscellaneous',
+    summary: `${papers.length} papers on ${terms.slice(0, 3).join(', ') || 'mixed topics'}${studyTypes.length > 0 ? `, mostly ${studyTypes[0]} studies` : ''}.`
+  };
+}
+
+const FAKE_TASKS = {
+  extract_metadata: fakeExtractMetadata,
+  generate_criteria: fakeGenerateCriteria,
+  evaluate_paper: fakeEvaluatePaper,
+  summarize_cluster: fakeSummarizeCluster
+};
+
+// Offline model: canned responses per task when given, rule-based JSON otherwise
+function createFakeModel() {
+  return {
+    async invoke(messages, settings, { task, input } = {}) {
+      const responses = settings.responses || {};
+      let content;
+      if (responses[task] !== undefined) {
+        content = typeof responses[task] === 'string' ? responses[task] : JSON.stringify(responses[task]);
+      } else if (FAKE_TASKS[task] && input) {
+        content = JSON.stringify(FAKE_TASKS[task](input));
+      } else {
+        content = '{}';
+      }
+
+      const inputTokens = Math.ceil(messages.reduce((sum, m) => sum + String(m.content).length, 0) / 4);
+      const outputTokens = Math.ceil(content.length / 4);
+      return {
+        content,
+        usage_metadata: {
+          input_tokens: inputTokens,
+          output_tokens: outputTokens,
+          total_tokens: inputTokens + outputTokens
+        }
+      };
+    }
+  };
+}
+
+const MODEL_FACTORIES = {
+  gemini: createGeminiModel,
+  openai: createOpenAICompatibleModel,
+  ollama: createOllamaModel,
+  fake: createFakeModel
+};
+
+// Provider clients are created lazily and reused per provider, model and endpoint.
+// Every call goes through the provider's shared scheduler (concurrency, rate limit, retries).
+const modelCache = new Map();
+
+function getModel(settings = DEFAULT_LLM_SETTINGS) {
+  const endpoint = providerEndpoint(settings.provider);
+  const key = `${settings.provider}|${settings.model}|${endpoint || ''}`;
+  if (!modelCache.has(key)) {
+    modelCache.set(key, MODEL_FACTORIES[settings.provider](settings.model, endpoint));
+  }
+  const client = modelCache.get(key);
+  const scheduler = getScheduler(settings.provider);
+  return {
+    invoke: (messages, options = {}) => scheduler.schedule(
+      callSignal => client.invoke(messages, settings, { ...options, signal: callSignal }),
+      { signal: options.signal }
+    )
+  };
+}
+
+// Settings as reported to clients (canned fake responses omitted)
+function describeLlmSettings(settings = DEFAULT_LLM_SETTINGS) {
+  return {
+    provider: settings.provider,
+    model: settings.model,
+    temperature: settings.temperature
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_LLM_SETTINGS,
+  resolveLlmSettings,
+  describeLlmSettings,
+  getModel
+};
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Prompt template registry. Every LLM task has a named, versioned template on disk
+// (a system message and a user message with {{placeholder}} slots the agents fill in):
+//   <PROMPTS_DIR>/templates/<task>.json  { version, system, user }
+//   <PROMPTS_DIR>/presets/<name>.json    { description, templates: { <task>: { version, system?, user? } } }
+// A domain preset replaces some of the default templates; a request can override
+// any template on top of that. `user` may be a string or an array of lines. Every
+// template is checked against its task's placeholders, so a template cannot drop
+// what an agent depends on (the paper, the criteria, the response format).
+
+const PROMPTS_DIR = path.resolve(process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts'));
+const MAX_TEMPLATE_LENGTH = 20000;
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+// Placeholders each task fills in; `required` ones must appear in its template
+const PROMPT_TASKS = {
+  extract_metadata: {
+    description: 'Agent 2: extract metadata from a paper',
+    required: ['title', 'abstract'],
+    optional: ['known_details', 'passage_details']
+  },
+  summarize_cluster: {
+    description: 'Agent 2b: name and summarise a topic cluster',
+    required: ['terms', 'papers'],
+    optional: ['size', 'papers_heading']
+  },
+  generate_criteria: {
+    description: 'Agent 3: generate screening criteria from the papers\' metadata',
+    required: ['count', 'metadata_summary', 'existing_criteria', 'calibration_feedback'],
+    optional: ['paper_count', 'remaining_count']
+  },
+  evaluate_paper: {
+    description: 'Agent 4: evaluate a paper against the criteria',
+    required: ['criteria', 'title', 'abstract', 'passages', 'response_format', 'persona'],
+    optional: ['criteria_count', 'paper_id', 'quote_sources', 'passage_guideline']
+  }
+};
+
+function placeholders(text) {
+  return [...new Set([...text.matchAll(PLACEHOLDER)].map(match => match[1]))];
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// A template's system or user text: a string, or an array of lines
+function templateText(value) {
+  if (Array.isArray(value) && value.every(line => typeof line === 'string')) {
+    value = value.join('\n');
+  }
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_TEMPLATE_LENGTH ? value : null;
+}
+
+// Check a complete template against its task's placeholders. Returns an error message or null.
+function placeholderError(task, template) {
+  const { required, optional } = PROMPT_TASKS[task];
+  const used = placeholders(`${template.system}\n${template.user}`);
+  const unknown = used.filter(name => !required.includes(name) && !optional.includes(name));
+  if (unknown.length > 0) {
+    return `uses unknown placeholders: ${unknown.map(name => `{{${name}}}`).join(', ')} (available: ${required.concat(optional).join(', ')})`;
+  }
+  const missing = required.filter(name => !used.includes(name));
+  if (missing.length > 0) {
+    return `is missing required placeholders: ${missing.map(name => `{{${name}}}`).join(', ')}`;
+  }
+  return null;
+}
+
+// Lay `entry` ({ version?, system?, user? }) over `base` and check the result.
+// Returns { template } or { error } (the message names the template by `label`).
+function layerTemplate(task, base, entry, { name, source, label, version }) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { error: `${label} should be an object with 'system' and/or 'user'` };
+  }
+  const fields = {};
+  for (const field of ['system', 'user']) {
+    if (entry[field] === undefined) continue;
+    fields[field] = templateText(entry[field]);
+    if (fields[field] === null) {
+      return { error: `${label}.${field} should be a non-empty string (at most ${MAX_TEMPLATE_LENGTH} characters) or an array of lines` };
+    }
+  }
+  if (!base && (!fields.system || !fields.user)) {
+    return { error: `${label} needs both 'system' and 'user'` };
+  }
+
+  const template = {
+    task,
+    name,
+    source,
+    version,
+    system: fields.system || base.system,
+    user: fields.user || base.user
+  };
+  const error = placeholderError(task, template);
+  if (error) {
+    return { error: `${label} ${error}` };
+  }
+  template.sha256 = sha256(`${template.system}\n${template.user}`).substring(0, 16);
+  return { template };
+}
+
+// --- Templates on disk ---
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Load and check the default templates and the presets; a broken template fails startup
+function loadRegistry() {
+  const defaults = {};
+  for (const task of Object.keys(PROMPT_TASKS)) {
+    const file = path.join(PROMPTS_DIR, 'templates', `${task}.json`);
+    const raw = readJson(file);
+    if (typeof raw.version !== 'string' || raw.version.length === 0) {
+      throw new Error(`${file}: 'version' should be a non-empty string`);
+    }
+    const resolved = layerTemplate(task, null, raw, { name: 'default', source: 'default', label: file, version: raw.version });
+    if (resolved.error) throw new Error(resolved.error);
+    defaults[task] = resolved.template;
+  }
+
+  const presets = {};
+  const presetDir = path.join(PROMPTS_DIR, 'presets');
+  const files = fs.existsSync(presetDir) ? fs.readdirSync(presetDir).filter(file => file.endsWith('.json')).sort() : [];
+  for (const file of files) {
+    const name = path.basename(file, '.json');
+    const raw = readJson(path.join(presetDir, file));
+    const templates = {};
+    for (const [task, entry] of Object.entries(raw.templates || {})) {
+      const label = `${path.join(presetDir, file)}: templates.${task}`;
+      if (!PROMPT_TASKS.hasOwnProperty(task)) {
+        throw new Error(`${label} is not a prompt task (tasks: ${Object.keys(PROMPT_TASKS).join(', ')})`);
+      }
+      if (!entry || typeof entry.version !== 'string' || entry.version.length === 0) {
+        throw new Error(`${label}.version should be a non-empty string`);
+      }
+      const resolved = layerTemplate(task, defaults[task], entry, { name, source: 'preset', label, version: entry.version });
+      if (resolved.error) throw new Error(resolved.error);
+      templates[task] = resolved.template;
+    }
+    presets[name] = { description: raw.description || '', templates };
+  }
+
+  return { defaults, presets };
+}
+
+const registry = loadRegistry();
+
+// --- Per-request templates ---
+
+// Validate the request's `prompts`: { preset?, templates?: { <task>: { system?, user?, version? } } }.
+// Overrides are laid over the preset's (or default) template and must keep its required
+// placeholders. Returns { prompts: { preset, templates: { <task>: template } } } or { error }.
+function resolvePrompts(raw) {
+  if (raw === undefined || raw === null) {
+    raw = {};
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: "'prompts' should be an object with 'preset' and/or 'templates'" };
+  }
+
+  const preset = raw.preset === undefined || raw.preset === null ? null : raw.preset;
+  if (preset !== null && !registry.presets.hasOwnProperty(preset)) {
+    return { error: `'prompts.preset' should be one of: ${Object.keys(registry.presets).join(', ')}` };
+  }
+  const overrides = raw.templates || {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { error: "'prompts.templates' should be an object keyed by task" };
+  }
+
+  const templates = {};
+  for (const task of Object.keys(PROMPT_TASKS)) {
+    templates[task] = (preset && registry.presets[preset].templates[task]) || registry.defaults[task];
+  }
+  for (const [task, entry] of Object.entries(overrides)) {
+    if (!PROMPT_TASKS.hasOwnProperty(task)) {
+      return { error: `'prompts.templates.${task}' is not a prompt task (tasks: ${Object.keys(PROMPT_TASKS).join(', ')})` };
+    }
+    if (entry && entry.version !== undefined && (typeof entry.version !== 'string' || entry.version.length === 0 || entry.version.length > 64)) {
+      return { error: `'prompts.templates.${task}.version' should be a non-empty string of at most 64 characters` };
+    }
+    const base = templates[task];
+    const resolved = layerTemplate(task, base, entry, {
+      name: 'override',
+      source: 'override',
+      label: `'prompts.templates.${task}'`,
+      version: (entry && entry.version) || `${base.version}+custom`
+    });
+    if (resolved.error) {
+      return { error: resolved.error };
+    }
+    templates[task] = resolved.template;
+  }
+
+  return { prompts: { preset, templates } };
+}
+
+// The template a run uses for `task`; runs from before the registry use the defaults
+function promptTemplate(prompts, task) {
+  return (prompts && prompts.templates[task]) || registry.defaults[task];
+}
+
+// Fill a template's placeholders. Values are inserted as-is, so text that itself
+// looks like a placeholder (in an abstract, say) is never expanded.
+function renderPrompt(template, values) {
+  const fill = text => text.replace(PLACEHOLDER, (match, name) => (
+    values[name] === undefined || values[name] === null ? '' : String(values[name])
+  ));
+  return { system: fill(template.system), user: fill(template.user) };
+}
+
+// Which template every task used, for responses and stored runs
+function describePrompts(prompts) {
+  return {
+    preset: prompts ? prompts.preset : null,
+    templates: Object.fromEntries(Object.keys(PROMPT_TASKS).map(task => {
+      const { name, source, version, sha256: hash } = promptTemplate(prompts, task);
+      return [task, { name, source, version, sha256: hash }];
+    }))
+  };
+}
+
+// Template version per task
+function promptVersions(prompts) {
+  return Object.fromEntries(Object.keys(PROMPT_TASKS).map(task => [task, promptTemplate(prompts, task).version]));
+}
+
+// The registry for GET /prompts: tasks and placeholders, default templates and presets
+function listPrompts() {
+  return {
+    tasks: Object.fromEntries(Object.entries(PROMPT_TASKS).map(([task, spec]) => [task, {
+      ...spec,
+      default: registry.defaults[task]
+    }])),
+    presets: Object.fromEntries(Object.entries(registry.presets).map(([name, preset]) => [name, {
+      description: preset.description,
+      templates: preset.templates
+    }]))
+  };
+}
+
+module.exports = {
+  PROMPTS_DIR,
+  PROMPT_TASKS,
+  resolvePrompts,
+  promptTemplate,
+  renderPrompt,
+  describePrompts,
+  promptVersions,
+  listPrompts
+};
@@ -0,0 +1,250 @@
+const { CRITERION_TYPES, resolveUserCriteria } = require('./criteria');
+const { findDuplicates, clusterDuplicates } = require('./dedup');
+
+// Incremental re-screening for living reviews: a completed run is screened again
+// with new search hits and/or edited criteria. The run's criteria are reused
+// (edited criteria keep their ids, so rankings stay comparable), only new papers
+// and new or reworded criteria are evaluated, and the outcome is compared with
+// the previous run.
+
+const TEXT_FIELDS = ['criterion', 'description', 'evaluation_focus'];
+
+// Apply criteria edits to the previous run's criteria:
+//   { update: [{ id, criterion?, description?, evaluation_focus?, type? }], add: [...], remove: [ids] }
+// `add` takes the same entries as the `criteria` request field; added criteria are
+// numbered after the existing ones. Only reworded or added criteria need evaluating
+// again; a type change just changes how the existing verdicts are applied.
+// Returns { criteria, changes: { updated, added, removed }, reevaluateIds } or { error }.
+function resolveCriteriaChanges(raw, previousCriteria) {
+  const unchanged = { criteria: previousCriteria, changes: { updated: [], added: [], removed: [] }, reevaluateIds: [] };
+  if (raw === undefined || raw === null) {
+    return unchanged;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: "'criteria' should be an object with 'update', 'add' and/or 'remove'" };
+  }
+
+  const { update = [], add = [], remove = [] } = raw;
+  if (!Array.isArray(update) || !Array.isArray(add) || !Array.isArray(remove)) {
+    return { error: "'criteria.update', 'criteria.add' and 'criteria.remove' should be arrays" };
+  }
+
+  const byId = new Map(previousCriteria.map(c => [c.id, c]));
+  for (let i = 0; i < remove.length; i++) {
+    if (!byId.has(remove[i])) {
+      return { error: `'criteria.remove[${i}]' is not a criterion id of the previous run` };
+    }
+  }
+
+  const updated = new Map();
+  const reevaluateIds = [];
+  for (let i = 0; i < update.length; i++) {
+    const entry = update[i] || {};
+    const previous = byId.get(entry.id);
+    if (!previous) {
+      return { error: `'criteria.update[${i}].id' is not a criterion id of the previous run` };
+    }
+    if (remove.includes(entry.id)) {
+      return { error: `'criteria.update[${i}]' edits criterion ${entry.id}, which is also removed` };
+    }
+    for (const field of TEXT_FIELDS) {
+      if (entry[field] !== undefined && (typeof entry[field] !== 'string' || entry[field].trim().length === 0)) {
+        return { error: `'criteria.update[${i}].${field}' should be a non-empty string` };
+      }
+    }
+    if (entry.type !== undefined && !CRITERION_TYPES.includes(entry.type)) {
+      return { error: `'criteria.update[${i}].type' should be one of: ${CRITERION_TYPES.join(', ')}` };
+    }
+
+    const revised = { ...previous };
+    TEXT_FIELDS.concat('type').forEach(field => {
+      if (entry[field] !== undefined) revised[field] = entry[field].trim();
+    });
+    if (TEXT_FIELDS.some(field => revised[field] !== previous[field])) {
+      reevaluateIds.push(previous.id);
+    }
+    if (TEXT_FIELDS.concat('type').some(field => revised[field] !== previous[field])) {
+      updated.set(previous.id, revised);
+    }
+  }
+
+  let added = [];
+  if (add.length > 0) {
+    const resolved = resolveUserCriteria(add);
+    if (resolved.error) {
+      return { error: resolved.error.replace(/'criteria\[/g, "'criteria.add[") };
+    }
+    const nextId = Math.max(0, ...previousCriteria.map(c => c.id)) + 1;
+    added = resolved.criteria.map((c, i) => ({ ...c, id: nextId + i }));
+  }
+
+  const criteria = [
+    ...previousCriteria.filter(c => !remove.includes(c.id)).map(c => updated.get(c.id) || c),
+    ...added
+  ];
+  if (criteria.length === 0) {
+    return { error: "'criteria' edits would leave no criteria" };
+  }
+
+  return {
+    criteria,
+    changes: { updated: [...updated.keys()], added: added.map(c => c.id), removed: [...remove] },
+    reevaluateIds: [...reevaluateIds, ...added.map(c => c.id)]
+  };
+}
+
+// New papers for a re-screen. The run's duplicate detection (agent 1b: identifiers,
+// fuzzy title and year, abstract similarity) is applied to the previous and new
+// papers together. With `deduplicate`, new copies of papers already screened or
+// submitted earlier in the batch are skipped; without it every paper is kept and
+// `clusters` (as agent 1b reports them) replace the previous run's, so agent 6 still
+// selects one copy of each work. Papers get the ids after the previous run's.
+// Returns { papers, skipped: [{ index, title, duplicate_of, matched_on }], clusters } or { error }.
+function selectNewPapers(previousPapers, papers, { deduplicate = true, titleThreshold, abstractThreshold } = {}) {
+  for (let i = 0; i < papers.length; i++) {
+    const paper = papers[i];
+    if (!paper || !paper.title || !paper.abstract) {
+      return { error: `Paper ${i + 1} missing required fields: title, or abstract` };
+    }
+  }
+
+  const allPapers = [...previousPapers, ...papers];
+  const thresholds = { titleThreshold, abstractThreshold };
+  if (!deduplicate) {
+    return { papers, skipped: [], clusters: clusterDuplicates(allPapers, thresholds) };
+  }
+
+  // Earliest copy (position among previous + new papers) of each new paper that is a duplicate
+  const offset = previousPapers.length;
+  const firstCopy = new Map();
+  const { groups, reasons } = findDuplicates(allPapers, thresholds);
+  groups.forEach(([first, ...copies]) => copies
+    .filter(position => position >= offset)
+    .forEach(position => firstCopy.set(position - offset, { position: first, matched_on: [...reasons[position]] })));
+
+  const accepted = [];
+  const acceptedIds = new Map();
+  const skipped = [];
+  papers.forEach((paper, i) => {
+    const copy = firstCopy.get(i);
+    if (copy) {
+      const duplicateOf = copy.position < offset ? copy.position + 1 : acceptedIds.get(copy.position - offset);
+      skipped.push({ index: i, title: paper.title, duplicate_of: duplicateOf, matched_on: copy.matched_on });
+      return;
+    }
+    accepted.push(paper);
+    acceptedIds.set(i, offset + accepted.length);
+  });
+
+  return { papers: accepted, skipped, clusters: null };
+}
+
+// A previous evaluation with the re-evaluated criteria's verdicts (`partial`, or null
+// when nothing was re-evaluated) merged in, in the order of `criteria`. Verdicts on
+// removed criteria are dropped. Hard exclusions are left for the caller to recompute.
+function mergeEvaluation(previous, partial, criteria) {
+  const freshIds = new Set(partial ? partial.evaluations.map(e => e.criterion_id) : []);
+  // `fresh` is null or undefined when nothing was re-evaluated (only new papers were added)
+  const merge = (own, fresh) => {
+    const ownById = new Map(own.map(e => [e.criterion_id, e]));
+    const freshById = new Map((fresh || []).map(e => [e.criterion_id, e]));
+    return criteria.map(c => freshById.get(c.id) || ownById.get(c.id)).filter(Boolean);
+  };
+
+  const merged = { ...previous, evaluations: merge(previous.evaluations, partial && partial.evaluations) };
+  if (previous.rater_evaluations) {
+    merged.rater_evaluations = previous.rater_evaluations.map(rater => {
+      const fresh = partial && partial.rater_evaluations
+        ? partial.rater_evaluations.find(r => r.rater_id === rater.rater_id)
+        : null;
+      return { ...rater, evaluations: merge(rater.evaluations, fresh && fresh.evaluations) };
+    });
+  }
+  if (previous.disagreement_criteria || (partial && partial.disagreement_criteria)) {
+    merged.disagreement_criteria = [
+      ...(previous.disagreement_criteria || []).filter(id => !freshIds.has(id) && criteria.some(c => c.id === id)),
+      ...((partial && partial.disagreement_criteria) || [])
+    ].sort((a, b) => a - b);
+    merged.disagreement = merged.disagreement_criteria.length > 0;
+  }
+  if (partial && partial.degraded) {
+    merged.degraded = true;
+    merged.degraded_reason = partial.degraded_reason;
+  }
+  return merged;
+}
+
+// What the previous run decided, kept with the re-screen to diff against
+function snapshotScreening(state) {
+  return {
+    selected: state.finalSelectedPapers.map(p => p.paper_id),
+    verdicts: Object.fromEntries(state.evaluationResults.map(e => [
+      e.paper_id,
+      Object.fromEntries(e.evaluations.map(v => [v.criterion_id, v.response]))
+    ]))
+  };
+}
+
+// Compare a re-screen with the run it started from: papers newly included (new or
+// earlier ones), papers dropped from the selection, and per-paper verdict changes on
+// criteria (a criterion added since has no previous verdict)
+function diffScreening(previous, state) {
+  const previousCount = Object.keys(previous.verdicts).length;
+  const previouslySelected = new Set(previous.selected);
+  const selected = state.finalSelectedPapers;
+  const selectedIds = new Set(selected.map(p => p.paper_id));
+  const scoreOf = id => state.paperScores.find(p => p.paper_id === id) || {};
+
+  const verdictChanges = state.evaluationResults
+    .filter(e => previous.verdicts[e.paper_id])
+    .map(e => ({
+      paper_id: e.paper_id,
+      title: e.title,
+      changes: e.evaluations
+        .filter(v => previous.verdicts[e.paper_id][v.criterion_id] !== v.response)
+        .map(v => ({
+          criterion_id: v.criterion_id,
+          previous: previous.verdicts[e.paper_id][v.criterion_id] || null,
+          current: v.response
+        }))
+    }))
+    .filter(paper => paper.changes.length > 0);
+
+  return {
+    newly_included: selected
+      .filter(p => !previouslySelected.has(p.paper_id))
+      .map(p => ({
+        paper_id: p.paper_id,
+        title: p.title,
+        rank: selected.indexOf(p) + 1,
+        new_paper: p.paper_id > previousCount
+      })),
+    dropped: previous.selected
+      .filter(id => !selectedIds.has(id))
+      .map(id => ({ paper_id: id, title: scoreOf(id).title, previous_rank: previous.selected.indexOf(id) + 1, explanation: scoreOf(id).explanation })),
+    verdict_changes: verdictChanges
+  };
+}
+
+// Re-screen summary for responses: where it started, what changed and the diff
+function describeRescreen(state) {
+  const rescreen = state.rescreen;
+  if (!rescreen) return null;
+  const diff = state.currentStep === 'Top Papers Selected' ? diffScreening(rescreen.previous, state) : null;
+  return {
+    previous_run_id: rescreen.previous_run_id,
+    new_paper_ids: rescreen.new_paper_ids,
+    skipped_duplicates: rescreen.skipped_duplicates,
+    criteria_changes: rescreen.criteria_changes,
+    reevaluated_criteria: rescreen.reevaluate_criteria_ids,
+    diff
+  };
+}
+
+module.exports = {
+  resolveCriteriaChanges,
+  selectNewPapers,
+  mergeEvaluation,
+  snapshotScreening,
+  describeRescreen
+};
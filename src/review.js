@@ -0,0 +1,113 @@
+const { findHardExclusions } = require('./criteria');
+
+// Human-in-the-loop review: which papers need a human look, and how reviewer
+// Yes/No overrides are folded back into the evaluation results.
+
+const REVIEW_CHECKPOINTS = {
+  after_evaluation: 'agent4',
+  after_selection: 'agent6'
+};
+
+const OVERRIDE_RESPONSES = ['Yes', 'No'];
+
+// Papers ranked within `margin` places of the selection cutoff. Agent 6 keeps
+// `paperScores` in selection order, so the cutoff sits after the selected prefix.
+function findBorderlinePapers(state, margin) {
+  if (!margin) return new Set();
+
+  const ranked = (state.paperScores || []).filter(p => !p.excluded && !p.duplicate_of);
+  const selectedCount = ranked.filter(p => p.selected).length;
+  return new Set(
+    ranked
+      .slice(Math.max(0, selectedCount - margin), selectedCount + margin)
+      .map(p => p.paper_id)
+  );
+}
+
+// Build the review queue: degraded papers, papers the ensemble raters disagreed on,
+// papers with at least `maybe_threshold` Maybe verdicts and, after selection,
+// papers on either side of the cutoff.
+function buildReviewQueue(state) {
+  const { review_maybe_threshold, review_borderline_margin, review_checkpoint } = state.options;
+  const borderline = review_checkpoint === 'after_selection'
+    ? findBorderlinePapers(state, review_borderline_margin)
+    : new Set();
+
+  return state.evaluationResults
+    .map(evaluation => {
+      const maybeCount = evaluation.evaluations.filter(e => e.response === 'Maybe').length;
+      const reasons = [];
+      if (evaluation.degraded) reasons.push('degraded');
+      if (evaluation.disagreement) reasons.push(`rater disagreement on criteria ${evaluation.disagreement_criteria.join(', ')}`);
+      const ungrounded = evaluation.evaluations.filter(e => e.grounded === false).map(e => e.criterion_id);
+      if (ungrounded.length > 0) reasons.push(`evidence not found in the paper for criteria ${ungrounded.join(', ')}`);
+      if (maybeCount >= review_maybe_threshold) reasons.push(`${maybeCount} Maybe verdicts`);
+      if (borderline.has(evaluation.paper_id)) reasons.push('near the selection cutoff');
+
+      return reasons.length > 0
+        ? { paper_id: evaluation.paper_id, title: evaluation.title, reasons, maybe_count: maybeCount }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+// Validate an override request body: { overrides: [{ criterion_id, response, note? }], note?, reviewer? }
+// A single { criterion_id, response, note } is accepted as shorthand.
+function resolveOverrides(body, criteria) {
+  const raw = Array.isArray(body.overrides) ? body.overrides : [body];
+  const criterionIds = new Set(criteria.map(c => c.id));
+  const overrides = [];
+
+  for (let i = 0; i < raw.length; i++) {
+    const entry = raw[i] || {};
+    if (!criterionIds.has(entry.criterion_id)) {
+      return { error: `overrides[${i}].criterion_id should be one of: ${[...criterionIds].join(', ')}` };
+    }
+    if (!OVERRIDE_RESPONSES.includes(entry.response)) {
+      return { error: `overrides[${i}].response should be 'Yes' or 'No'` };
+    }
+    if (entry.note !== undefined && typeof entry.note !== 'string') {
+      return { error: `overrides[${i}].note should be a string` };
+    }
+    overrides.push({ criterion_id: entry.criterion_id, response: entry.response, note: entry.note || body.note || '' });
+  }
+
+  if (overrides.length === 0) {
+    return { error: "'overrides' should contain at least one override" };
+  }
+  if (body.reviewer !== undefined && typeof body.reviewer !== 'string') {
+    return { error: "'reviewer' should be a string" };
+  }
+
+  return { overrides, reviewer: body.reviewer || null };
+}
+
+// Apply reviewer overrides to one paper's evaluation in place. The model's own
+// verdict and reasoning are kept alongside for the audit trail.
+function applyOverrides(evaluation, overrides, reviewer, criteria) {
+  overrides.forEach(override => {
+    const verdict = evaluation.evaluations.find(e => e.criterion_id === override.criterion_id);
+    if (!verdict) return;
+
+    if (verdict.model_response === undefined) {
+      verdict.model_response = verdict.response;
+      verdict.model_reasoning = verdict.reasoning;
+    }
+    verdict.response = override.response;
+    verdict.reasoning = override.note ? `Reviewer override: ${override.note}` : 'Reviewer override';
+    verdict.overridden = true;
+    verdict.reviewer = reviewer;
+  });
+
+  evaluation.hard_exclusions = findHardExclusions(evaluation.evaluations, criteria);
+  evaluation.excluded = evaluation.hard_exclusions.length > 0;
+  evaluation.reviewed = true;
+  return evaluation;
+}
+
+module.exports = {
+  REVIEW_CHECKPOINTS,
+  buildReviewQueue,
+  resolveOverrides,
+  applyOverrides
+};
@@ -0,0 +1,228 @@
+// Shared scheduler for LLM calls: bounded concurrency, token-bucket rate limiting,
+// per-call timeouts and exponential-backoff retries on transient failures.
+
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const TRANSIENT_MESSAGE = /fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|Too Many Requests|RESOURCE_EXHAUSTED|UNAVAILABLE|timed out/i;
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Scheduler settings for a provider; `<PROVIDER>_*` variables override the `LLM_*` ones
+function schedulerConfigFor(provider) {
+  const prefix = provider.toUpperCase();
+  return {
+    concurrency: envInt(`${prefix}_CONCURRENCY`, envInt('LLM_CONCURRENCY', 4)),
+    requestsPerMinute: envInt(`${prefix}_RATE_LIMIT_RPM`, envInt('LLM_RATE_LIMIT_RPM', provider === 'fake' ? 0 : 60)),
+    burst: envInt(`${prefix}_RATE_LIMIT_BURST`, envInt('LLM_RATE_LIMIT_BURST', 0)),
+    maxRetries: envInt(`${prefix}_MAX_RETRIES`, envInt('LLM_MAX_RETRIES', 3)),
+    baseDelayMs: envInt('LLM_RETRY_BASE_DELAY_MS', 1000),
+    maxDelayMs: envInt('LLM_RETRY_MAX_DELAY_MS', 30000),
+    timeoutMs: envInt(`${prefix}_TIMEOUT_MS`, envInt('LLM_TIMEOUT_MS', 60000))
+  };
+}
+
+function isTransientError(error) {
+  if (error.timedOut) return true;
+  if (TRANSIENT_STATUSES.includes(error.status)) return true;
+  return TRANSIENT_MESSAGE.test(error.message || '');
+}
+
+function abortError(signal) {
+  const error = new Error(signal && signal.reason && signal.reason.message ? signal.reason.message : "Workflow cancelled");
+  error.name = 'AbortError';
+  return error;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError(signal));
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Token bucket refilled continuously at requestsPerMinute; a rate of 0 disables limiting
+function createTokenBucket(requestsPerMinute, burst) {
+  if (!requestsPerMinute) {
+    return { take: async () => {} };
+  }
+
+  const capacity = burst || Math.max(1, Math.ceil(requestsPerMinute / 60));
+  const refillPerMs = requestsPerMinute / 60000;
+  let tokens = capacity;
+  let lastRefill = Date.now();
+
+  return {
+    async take(signal) {
+      for (;;) {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + (now - lastRefill) * refillPerMs);
+        lastRefill = now;
+
+        if (tokens >= 1) {
+          tokens -= 1;
+          return;
+        }
+        await sleep(Math.ceil((1 - tokens) / refillPerMs), signal);
+      }
+    }
+  };
+}
+
+function createScheduler(name, config) {
+  const bucket = createTokenBucket(config.requestsPerMinute, config.burst);
+  const waiting = [];
+  let active = 0;
+
+  // Queued calls sharing a signal (every paper of a run does) share one abort listener,
+  // removed once none of them is waiting, so a long run never piles listeners onto it
+  const watched = new Map();
+
+  function watchSignal(entry) {
+    let watch = watched.get(entry.signal);
+    if (!watch) {
+      watch = { entries: new Set() };
+      watch.onAbort = () => {
+        watched.delete(entry.signal);
+        watch.entries.forEach(waiter => {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          waiter.reject(abortError(waiter.signal));
+        });
+      };
+      watched.set(entry.signal, watch);
+      entry.signal.addEventListener('abort', watch.onAbort, { once: true });
+    }
+    watch.entries.add(entry);
+  }
+
+  function unwatchSignal(entry) {
+    const watch = watched.get(entry.signal);
+    if (!watch) return;
+    watch.entries.delete(entry);
+    if (watch.entries.size === 0) {
+      watched.delete(entry.signal);
+      entry.signal.removeEventListener('abort', watch.onAbort);
+    }
+  }
+
+  function acquireSlot(signal) {
+    if (active < config.concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, signal };
+      waiting.push(entry);
+      if (signal) watchSignal(entry);
+    });
+  }
+
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+      if (next.signal) unwatchSignal(next);
+      next.resolve();
+    } else {
+      active--;
+    }
+  }
+
+  // Run `call(callSignal)` once, failing with a transient error after timeoutMs
+  async function runWithTimeout(call, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`LLM call timed out after ${config.timeoutMs}ms`);
+        error.timedOut = true;
+        controller.abort(error);
+        reject(error);
+      }, config.timeoutMs);
+    });
+
+    try {
+      return await Promise.race([call(controller.signal), timeout]);
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // Schedule one LLM call. `call` receives an AbortSignal covering both the
+  // caller's cancellation and the per-call timeout.
+  async function schedule(call, { signal } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      if (signal && signal.aborted) throw abortError(signal);
+
+      await acquireSlot(signal);
+      let result;
+      try {
+        await bucket.take(signal);
+        result = await runWithTimeout(call, signal);
+      } catch (error) {
+        releaseSlot();
+        if (signal && signal.aborted) throw abortError(signal);
+        if (attempt >= config.maxRetries || !isTransientError(error)) throw error;
+
+        const backoff = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+        const delay = error.retryAfterMs || Math.round(backoff / 2 + Math.random() * backoff / 2);
+        console.warn(`⚠️ ${name}: ${error.message} - retrying in ${delay}ms (attempt ${attempt + 2}/${config.maxRetries + 1})`);
+        await sleep(delay, signal);
+        continue;
+      }
+      releaseSlot();
+      return result;
+    }
+  }
+
+  return { name, config, schedule };
+}
+
+// One scheduler per provider, shared by every workflow run in the process
+const schedulers = new Map();
+
+function getScheduler(provider) {
+  if (!schedulers.has(provider)) {
+    schedulers.set(provider, createScheduler(`LLM scheduler (${provider})`, schedulerConfigFor(provider)));
+  }
+  return schedulers.get(provider);
+}
+
+// Run `fn(item, index, signal)` for every item and resolve with results in input order.
+// The first failure cancels the remaining items and rejects with that error.
+async function mapInOrder(items, fn, { signal } = {}) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    return await Promise.all(items.map(async (item, index) => {
+      try {
+        return await fn(item, index, controller.signal);
+      } catch (error) {
+        controller.abort(error);
+        throw error;
+      }
+    }));
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+module.exports = {
+  getScheduler,
+  mapInOrder,
+  isTransientError
+};
@@ -0,0 +1,267 @@
+// Scoring and selection strategies for agent 6. A strategy turns one paper's
+// Yes/Maybe/No verdicts into a ranking score, an eligibility decision and a
+// human-readable summary of both. Exclusion rules ("any No on criterion 2
+// excludes") apply on top of whichever strategy is chosen.
+
+const SELECTION_STRATEGIES = ['ladder', 'weighted', 'min_yes', 'lexicographic', 'all_passing'];
+const VERDICTS = ['Yes', 'Maybe', 'No'];
+
+const DEFAULT_SELECTION = {
+  strategy: 'ladder',
+  // weighted: per-criterion weights (default 1 for soft criteria, 0 for hard ones)
+  weights: {},
+  // weighted, min_yes, all_passing: credit for a Maybe relative to a Yes
+  maybe_credit: 0.5,
+  // weighted: minimum weighted score in [0, 1] for a paper to be eligible
+  min_score: 0.5,
+  // min_yes: minimum number of Yes verdicts for a paper to be eligible
+  min_yes: null,
+  // lexicographic: criterion ids in priority order
+  priority: [],
+  exclusion_rules: [],
+  // Topical diversity: at most this many selected papers per topic cluster (needs options.landscape)
+  max_per_cluster: null
+};
+
+function isCriterionId(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Validate `options.selection`. Criterion ids can only be checked against the
+// criteria once they are known (see findUnknownCriteria).
+// Returns { selection } or { error }.
+function resolveSelection(raw = {}) {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    return { error: "'options.selection' should be an object" };
+  }
+
+  const selection = { ...DEFAULT_SELECTION, ...raw };
+
+  if (!SELECTION_STRATEGIES.includes(selection.strategy)) {
+    return { error: `'options.selection.strategy' should be one of: ${SELECTION_STRATEGIES.join(', ')}` };
+  }
+  if (typeof selection.weights !== 'object' || selection.weights === null || Array.isArray(selection.weights)) {
+    return { error: "'options.selection.weights' should be an object mapping criterion ids to weights" };
+  }
+  for (const [id, weight] of Object.entries(selection.weights)) {
+    if (!isCriterionId(Number(id)) || typeof weight !== 'number' || weight < 0) {
+      return { error: `'options.selection.weights.${id}' should be a non-negative number keyed by criterion id` };
+    }
+  }
+  if (typeof selection.maybe_credit !== 'number' || selection.maybe_credit < 0 || selection.maybe_credit > 1) {
+    return { error: "'options.selection.maybe_credit' should be a number in [0, 1]" };
+  }
+  if (typeof selection.min_score !== 'number' || selection.min_score < 0 || selection.min_score > 1) {
+    return { error: "'options.selection.min_score' should be a number in [0, 1]" };
+  }
+  if (selection.strategy === 'min_yes' && !isCriterionId(selection.min_yes)) {
+    return { error: "'options.selection.min_yes' should be a positive integer for the min_yes strategy" };
+  }
+  if (!Array.isArray(selection.priority) || !selection.priority.every(isCriterionId)) {
+    return { error: "'options.selection.priority' should be an array of criterion ids" };
+  }
+  if (selection.strategy === 'lexicographic' && selection.priority.length === 0) {
+    return { error: "'options.selection.priority' should list at least one criterion id for the lexicographic strategy" };
+  }
+  if (selection.max_per_cluster !== null && !(Number.isInteger(selection.max_per_cluster) && selection.max_per_cluster > 0)) {
+    return { error: "'options.selection.max_per_cluster' should be a positive integer" };
+  }
+  if (!Array.isArray(selection.exclusion_rules)) {
+    return { error: "'options.selection.exclusion_rules' should be an array" };
+  }
+
+  const exclusionRules = [];
+  for (let i = 0; i < selection.exclusion_rules.length; i++) {
+    const rule = selection.exclusion_rules[i] || {};
+    const responses = rule.responses || (rule.response ? [rule.response] : ['No']);
+    if (!isCriterionId(rule.criterion_id)) {
+      return { error: `'options.selection.exclusion_rules[${i}].criterion_id' should be a criterion id` };
+    }
+    if (!Array.isArray(responses) || responses.length === 0 || !responses.every(r => VERDICTS.includes(r))) {
+      return { error: `'options.selection.exclusion_rules[${i}].responses' should list verdicts from: ${VERDICTS.join(', ')}` };
+    }
+    exclusionRules.push({ criterion_id: rule.criterion_id, responses });
+  }
+
+  return { selection: { ...selection, exclusion_rules: exclusionRules } };
+}
+
+// Criterion ids referenced by the selection settings that do not exist
+function findUnknownCriteria(selection, criteria) {
+  const ids = new Set(criteria.map(c => c.id));
+  const referenced = [
+    ...Object.keys(selection.weights).map(Number),
+    ...selection.priority,
+    ...selection.exclusion_rules.map(rule => rule.criterion_id)
+  ];
+  return [...new Set(referenced.filter(id => !ids.has(id)))];
+}
+
+function describeCriterion(criterion) {
+  return `C${criterion.id} "${criterion.criterion}"`;
+}
+
+function countVerdicts(verdicts) {
+  const counts = { Yes: 0, Maybe: 0, No: 0 };
+  verdicts.forEach(v => { if (counts[v.response] !== undefined) counts[v.response]++; });
+  return counts;
+}
+
+// --- Strategies: (verdicts by criterion id, criteria, selection) -> { score, eligible, summary } ---
+
+// The original ladder: all-Yes > one Maybe > two Maybe > half Yes, over soft criteria only,
+// plus 10 points per Yes and 5 per Maybe across all criteria. When every criterion is hard
+// the ladder climbs the hard ones instead, so Maybes on them still rank papers.
+function scoreLadder(verdicts, criteria) {
+  const soft = criteria.filter(c => c.type !== 'hard');
+  const kind = soft.length > 0 ? 'soft' : 'hard';
+  const rungs = soft.length > 0 ? soft : criteria;
+  const rungCounts = countVerdicts(rungs.map(c => verdicts.get(c.id)).filter(Boolean));
+  const counts = countVerdicts([...verdicts.values()]);
+  const total = rungs.length;
+
+  let tier = 0;
+  let description;
+  if (rungCounts.Yes === total) {
+    tier = 1000;
+    description = `all ${total} ${kind} criteria Yes`;
+  } else if (rungCounts.Yes === total - 1 && rungCounts.Maybe === 1) {
+    tier = 900;
+    description = `all ${kind} criteria Yes but one Maybe`;
+  } else if (rungCounts.Yes === total - 2 && rungCounts.Maybe === 2) {
+    tier = 800;
+    description = `all ${kind} criteria Yes but two Maybe`;
+  } else if (rungCounts.Yes >= Math.ceil(total / 2) && (rungCounts.Yes + rungCounts.Maybe) >= total - 1) {
+    tier = 700;
+    description = `${rungCounts.Yes}/${total} ${kind} criteria Yes with at most one No`;
+  } else {
+    description = `only ${rungCounts.Yes}/${total} ${kind} criteria Yes and ${rungCounts.No} No`;
+  }
+
+  const score = tier + counts.Yes * 10 + counts.Maybe * 5;
+  return {
+    score,
+    eligible: tier > 0,
+    summary: `${description} (ladder score ${score})`
+  };
+}
+
+function criterionWeight(criterion, selection) {
+  const weight = selection.weights[criterion.id];
+  if (weight !== undefined) return weight;
+  return criterion.type === 'hard' ? 0 : 1;
+}
+
+function verdictCredit(response, selection) {
+  if (response === 'Yes') return 1;
+  if (response === 'Maybe') return selection.maybe_credit;
+  return 0;
+}
+
+function scoreWeighted(verdicts, criteria, selection) {
+  const weighted = criteria
+    .map(c => ({ criterion: c, weight: criterionWeight(c, selection), verdict: verdicts.get(c.id) }))
+    .filter(item => item.weight > 0);
+  const totalWeight = weighted.reduce((sum, item) => sum + item.weight, 0);
+  const earned = weighted.reduce((sum, item) => sum + item.weight * verdictCredit(item.verdict && item.verdict.response, selection), 0);
+  const score = totalWeight > 0 ? Math.round((earned / totalWeight) * 1000) / 1000 : 0;
+  const breakdown = weighted
+    .map(item => `C${item.criterion.id} ${item.verdict ? item.verdict.response : 'missing'} x${item.weight}`)
+    .join(', ');
+
+  return {
+    score,
+    eligible: score >= selection.min_score,
+    summary: `weighted score ${score.toFixed(3)} ${score >= selection.min_score ? 'meets' : 'is below'} the minimum ${selection.min_score} (${breakdown})`
+  };
+}
+
+function scoreMinYes(verdicts, criteria, selection) {
+  const counts = countVerdicts([...verdicts.values()]);
+  const eligible = counts.Yes >= selection.min_yes;
+  return {
+    score: counts.Yes + counts.Maybe * selection.maybe_credit,
+    eligible,
+    summary: `${counts.Yes} Yes verdicts ${eligible ? 'meet' : 'fall short of'} the minimum of ${selection.min_yes} (${counts.Maybe} Maybe, ${counts.No} No)`
+  };
+}
+
+// Papers are ordered by their verdict on the first priority criterion, ties broken by
+// the next one, and so on. Encoding Yes/Maybe/No as base-3 digits keeps that order numeric.
+function scoreLexicographic(verdicts, criteria, selection) {
+  const byId = new Map(criteria.map(c => [c.id, c]));
+  const digits = { Yes: 2, Maybe: 1, No: 0 };
+  let score = 0;
+  const failed = [];
+  const parts = selection.priority.map(id => {
+    const response = verdicts.get(id) ? verdicts.get(id).response : 'No';
+    score = score * 3 + digits[response];
+    if (response === 'No') failed.push(describeCriterion(byId.get(id)));
+    return `C${id} ${response}`;
+  });
+
+  return {
+    score,
+    eligible: failed.length === 0,
+    summary: failed.length === 0
+      ? `priority verdicts ${parts.join(' > ')}`
+      : `priority criteria answered No: ${failed.join(', ')} (${parts.join(' > ')})`
+  };
+}
+
+function scoreAllPassing(verdicts, criteria, selection) {
+  const counts = countVerdicts([...verdicts.values()]);
+  const failed = criteria.filter(c => verdicts.get(c.id) && verdicts.get(c.id).response === 'No');
+  return {
+    score: counts.Yes + counts.Maybe * selection.maybe_credit,
+    eligible: failed.length === 0,
+    summary: failed.length === 0
+      ? `passes every criterion (${counts.Yes} Yes, ${counts.Maybe} Maybe)`
+      : `fails ${failed.map(describeCriterion).join(', ')}`
+  };
+}
+
+const STRATEGIES = {
+  ladder: scoreLadder,
+  weighted: scoreWeighted,
+  min_yes: scoreMinYes,
+  lexicographic: scoreLexicographic,
+  all_passing: scoreAllPassing
+};
+
+// Score one paper's evaluation with the chosen strategy
+function scorePaper(evaluation, criteria, selection) {
+  const verdicts = new Map(evaluation.evaluations.map(e => [e.criterion_id, e]));
+  return STRATEGIES[selection.strategy](verdicts, criteria, selection);
+}
+
+// Exclusion rules that fire for one paper: [{ criterion_id, response }]
+function findRuleExclusions(evaluation, selection) {
+  return selection.exclusion_rules
+    .map(rule => {
+      const verdict = evaluation.evaluations.find(e => e.criterion_id === rule.criterion_id);
+      return verdict && rule.responses.includes(verdict.response)
+        ? { criterion_id: rule.criterion_id, response: verdict.response }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+// Why a paper was excluded outright, in words
+function describeExclusions(hardExclusions, ruleExclusions, criteria) {
+  const byId = new Map(criteria.map(c => [c.id, c]));
+  return [
+    ...hardExclusions.map(id => `hard criterion ${describeCriterion(byId.get(id))} answered No`),
+    ...ruleExclusions.map(rule => `exclusion rule on ${describeCriterion(byId.get(rule.criterion_id))} (answered ${rule.response})`)
+  ].join('; ');
+}
+
+module.exports = {
+  SELECTION_STRATEGIES,
+  DEFAULT_SELECTION,
+  resolveSelection,
+  findUnknownCriteria,
+  scorePaper,
+  findRuleExclusions,
+  describeExclusions
+};
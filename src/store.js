@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// JSON-file store for review projects and screening runs.
+// Layout: <DATA_DIR>/projects/<id>.json and <DATA_DIR>/runs/<id>.json
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+function recordPath(collection, id) {
+  // Ids are generated by us, but reject anything that could escape the data directory
+  if (!/^[A-Za-z0-9-]+$/.test(id)) {
+    return null;
+  }
+  return path.join(DATA_DIR, collection, `${id}.json`);
+}
+
+async function readRecord(collection, id) {
+  const file = recordPath(collection, id);
+  if (!file) return null;
+
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Write via a temp file and rename so readers never see a half-written record
+async function writeRecord(collection, record) {
+  const file = recordPath(collection, record.id);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(record, null, 2));
+  await fs.rename(tempFile, file);
+  return record;
+}
+
+async function listRecords(collection) {
+  let files;
+  try {
+    files = await fs.readdir(path.join(DATA_DIR, collection));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const records = await Promise.all(files
+    .filter(file => file.endsWith('.json'))
+    .map(file => readRecord(collection, path.basename(file, '.json'))));
+  return records.filter(Boolean);
+}
+
+// Serialize read-modify-write updates of the same record within this process
+const locks = new Map();
+
+function withLock(key, fn) {
+  const previous = locks.get(key) || Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+  locks.set(key, next);
+  next.finally(() => {
+    if (locks.get(key) === next) locks.delete(key);
+  }).catch(() => {});
+  return next;
+}
+
+// --- Projects ---
+
+async function createProject({ name, description = '', tenant_id = null }) {
+  const now = new Date().toISOString();
+  return writeRecord('projects', {
+    id: crypto.randomUUID(),
+    name,
+    description,
+    tenant_id,
+    created_at: now,
+    updated_at: now,
+    run_ids: []
+  });
+}
+
+function getProject(id) {
+  return readRecord('projects', id);
+}
+
+async function listProjects() {
+  const projects = await listRecords('projects');
+  return projects.sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+// --- Runs ---
+
+// Save a run and, when it belongs to a project, add it to the project's run list
+async function saveRun(run) {
+  const record = { ...run, id: run.id || crypto.randomUUID() };
+  await writeRecord('runs', record);
+
+  if (record.project_id) {
+    await withLock(`projects/${record.project_id}`, async () => {
+      const project = await getProject(record.project_id);
+      if (project && !project.run_ids.includes(record.id)) {
+        project.run_ids.push(record.id);
+        project.updated_at = new Date().toISOString();
+        await writeRecord('projects', project);
+      }
+    });
+  }
+
+  return record;
+}
+
+function getRun(id) {
+  return readRecord('runs', id);
+}
+
+// Read-modify-write a run under its lock. `fn(run)` resolves with { run?, ...rest };
+// a returned `run` is written back. Resolves with null when the run does not exist.
+function updateRun(id, fn) {
+  return withLock(`runs/${id}`, async () => {
+    const run = await getRun(id);
+    if (!run) return null;
+
+    const outcome = await fn(run);
+    if (outcome.run) {
+      await writeRecord('runs', outcome.run);
+    }
+    return outcome;
+  });
+}
+
+async function listProjectRuns(projectId) {
+  const project = await getProject(projectId);
+  if (!project) return null;
+
+  const runs = await Promise.all(project.run_ids.map(getRun));
+  return runs.filter(Boolean);
+}
+
+module.exports = {
+  DATA_DIR,
+  createProject,
+  getProject,
+  listProjects,
+  saveRun,
+  getRun,
+  updateRun,
+  listProjectRuns
+};
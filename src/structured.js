@@ -0,0 +1,301 @@
+const { AIMessage, HumanMessage } = require('@langchain/core/messages');
+
+// Structured LLM output: JSON schemas for what each agent expects back, tolerant
+// extraction of JSON from model text, and a re-ask loop that feeds validation
+// errors back to the model before anyone falls back to placeholder values.
+
+// Re-asks per call; LLM_MAX_REPAIRS=0 turns the re-ask loop off
+const MAX_REPAIRS = (() => {
+  const raw = process.env.LLM_MAX_REPAIRS;
+  const value = raw === undefined || raw.trim() === '' ? NaN : Number(raw);
+  return Number.isInteger(value) && value >= 0 ? value : 2;
+})();
+
+const METADATA_SCHEMA = {
+  type: 'object',
+  required: ['title', 'keywords', 'research_domain', 'methodology', 'study_type'],
+  properties: {
+    title: { type: 'string' },
+    authors: { type: 'array', items: { type: 'string' } },
+    journal: { type: 'string' },
+    year: { type: ['integer', 'string'] },
+    keywords: { type: 'array', items: { type: 'string' } },
+    research_domain: { type: 'string' },
+    methodology: { type: 'string' },
+    sample_size: { type: ['string', 'number'] },
+    study_type: { type: 'string' },
+    main_findings: { type: 'string' },
+    limitations: { type: 'string' },
+    abstract_summary: { type: 'string' }
+  }
+};
+
+// Optional metadata details a model may return as null when the paper does not give them
+const NULLABLE_METADATA_FIELDS = ['journal', 'year', 'sample_size', 'main_findings', 'limitations', 'abstract_summary'];
+
+// Record unknown details the way the extraction prompt asks for them ("Not specified")
+// rather than re-asking the model over a null
+function normalizeMetadata(metadata) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) return metadata;
+  const normalized = { ...metadata };
+  NULLABLE_METADATA_FIELDS.forEach(field => {
+    if (normalized[field] === null) normalized[field] = 'Not specified';
+  });
+  return normalized;
+}
+
+const CLUSTER_SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['name', 'summary'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    summary: { type: 'string', minLength: 1 }
+  }
+};
+
+function criteriaSchema(count) {
+  return {
+    type: 'array',
+    minItems: count,
+    maxItems: count,
+    items: {
+      type: 'object',
+      required: ['criterion', 'description'],
+      properties: {
+        id: { type: 'integer' },
+        criterion: { type: 'string', minLength: 1 },
+        description: { type: 'string', minLength: 1 },
+        evaluation_focus: { type: 'string' }
+      }
+    }
+  };
+}
+
+function evaluationSchema(criteria) {
+  const ids = criteria.map(c => c.id);
+  return {
+    type: 'object',
+    required: ['evaluations'],
+    properties: {
+      paper_id: { type: 'integer' },
+      title: { type: 'string' },
+      evaluations: {
+        type: 'array',
+        minItems: ids.length,
+        maxItems: ids.length,
+        uniqueBy: 'criterion_id',
+        items: {
+          type: 'object',
+          required: ['criterion_id', 'response', 'reasoning'],
+          properties: {
+            criterion_id: { type: 'integer', enum: ids },
+            response: { type: 'string', enum: ['Yes', 'Maybe', 'No'] },
+            reasoning: { type: 'string' },
+            // Spans copied from the paper that support the verdict
+            quotes: { type: 'array', items: { type: 'string' } },
+            // Full-text stage: label of the passage the verdict rests on
+            passage_id: { type: ['string', 'null'] }
+          }
+        }
+      }
+    }
+  };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Validate `value` against the small JSON Schema subset used above.
+// Returns a list of human-readable errors (empty when valid).
+function validate(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} should be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' && value.trim().length < schema.minLength) {
+    errors.push(`${path} should not be empty`);
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items, got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+    }
+    if (schema.uniqueBy) {
+      const seen = new Set();
+      value.forEach((item, i) => {
+        const key = item && item[schema.uniqueBy];
+        if (seen.has(key)) {
+          errors.push(`${path}[${i}].${schema.uniqueBy} duplicates ${JSON.stringify(key)}`);
+        }
+        seen.add(key);
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Find the first balanced JSON object or array in `text`, ignoring brackets inside strings
+function findBalancedJson(text) {
+  const start = text.search(/[[{]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return null;
+      if (stack.length === 0) return text.substring(start, i + 1);
+    }
+  }
+  return null;
+}
+
+// Drop trailing commas before a closing bracket, leaving string contents untouched
+function stripTrailingCommas(text) {
+  let result = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      result += char;
+      if (char === '\\') result += text[++i] || '';
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') {
+      inString = true;
+    } else if (char === ',') {
+      const next = text.substring(i + 1).search(/\S/);
+      if (next !== -1 && /[}\]]/.test(text[i + 1 + next])) continue;
+    }
+    result += char;
+  }
+  return result;
+}
+
+// Parse JSON out of model output that may be wrapped in ```json fences or prose.
+// Throws a SyntaxError when no JSON can be recovered.
+function extractJson(content) {
+  const text = String(content || '').trim();
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fenced ? fenced[1].trim() : null, text];
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      const balanced = findBalancedJson(candidate);
+      if (balanced) {
+        try {
+          return JSON.parse(stripTrailingCommas(balanced));
+        } catch (innerError) {
+          // try the next candidate
+        }
+      }
+    }
+  }
+
+  throw new SyntaxError(`No valid JSON found in model output: ${text.substring(0, 100)}`);
+}
+
+function contentToText(content) {
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+  return String(content || '');
+}
+
+// Invoke `model` and return JSON that satisfies `schema`. On unparseable or invalid
+// output the model is re-asked with the validation errors, up to `maxRepairs` times.
+// `normalize` may tidy the parsed value (e.g. casing) before it is validated.
+// Resolves with { value, attempts }; rejects with an error carrying `validationErrors`.
+async function invokeStructured(model, messages, { schema, normalize, maxRepairs = MAX_REPAIRS, ...invokeOptions }) {
+  const conversation = [...messages];
+  let lastErrors = [];
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    const response = await model.invoke(conversation, invokeOptions);
+    const text = contentToText(response.content);
+
+    let value;
+    try {
+      value = extractJson(text);
+      if (normalize) value = normalize(value);
+      lastErrors = validate(value, schema);
+    } catch (parseError) {
+      lastErrors = [parseError.message];
+    }
+
+    if (lastErrors.length === 0) {
+      return { value, attempts: attempt };
+    }
+
+    conversation.push(
+      new AIMessage(text),
+      new HumanMessage(`Your previous response was not valid. Fix these problems and return only the corrected JSON, with no code fences or commentary:\n- ${lastErrors.slice(0, 10).join('\n- ')}`)
+    );
+  }
+
+  const error = new Error(`Invalid structured output after ${maxRepairs + 1} attempts: ${lastErrors.slice(0, 3).join('; ')}`);
+  error.validationErrors = lastErrors;
+  throw error;
+}
+
+module.exports = {
+  METADATA_SCHEMA,
+  normalizeMetadata,
+  CLUSTER_SUMMARY_SCHEMA,
+  criteriaSchema,
+  evaluationSchema,
+  validate,
+  extractJson,
+  invokeStructured
+};
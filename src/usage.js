@@ -0,0 +1,138 @@
+// Token usage and cost accounting. Every model call's usage_metadata is recorded
+// against the agent that made it, the paper it was about and the model used, and
+// priced from a per-model table (USD per million tokens). A run may carry a budget
+// in tokens and/or dollars; once it is spent, further calls fail with a budget
+// error and the workflow stops.
+
+// USD per million input/output tokens. Override or extend with LLM_PRICING
+// (JSON, same shape) or per request with `pricing`.
+const DEFAULT_PRICING = {
+  'gemini-2.0-flash': { input_per_million: 0.10, output_per_million: 0.40 },
+  'gemini-2.0-flash-lite': { input_per_million: 0.075, output_per_million: 0.30 },
+  'gemini-1.5-flash': { input_per_million: 0.075, output_per_million: 0.30 },
+  'gemini-1.5-pro': { input_per_million: 1.25, output_per_million: 5.00 },
+  'gpt-4o-mini': { input_per_million: 0.15, output_per_million: 0.60 },
+  'gpt-4o': { input_per_million: 2.50, output_per_million: 10.00 }
+};
+
+// Local models cost nothing, whatever their name
+const FREE_PROVIDERS = ['ollama', 'fake'];
+
+// Error that stops a run once its budget is spent; carries the usage so far
+function budgetError(message, usage) {
+  const error = new Error(message);
+  error.budgetExceeded = true;
+  error.usage = usage;
+  return error;
+}
+
+function isPrice(value) {
+  return value && typeof value === 'object' &&
+    ['input_per_million', 'output_per_million'].every(key => typeof value[key] === 'number' && value[key] >= 0);
+}
+
+// Validate a pricing table { model: { input_per_million, output_per_million } }.
+// Returns { pricing } or { error }.
+function validatePricing(raw, label) {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    return { error: `'${label}' should be an object keyed by model name` };
+  }
+  for (const [model, price] of Object.entries(raw)) {
+    if (!isPrice(price)) {
+      return { error: `'${label}.${model}' should be { input_per_million, output_per_million } with non-negative numbers` };
+    }
+  }
+  return { pricing: raw };
+}
+
+function environmentPricing() {
+  if (!process.env.LLM_PRICING) return {};
+  try {
+    const validated = validatePricing(JSON.parse(process.env.LLM_PRICING), 'LLM_PRICING');
+    if (validated.error) throw new Error(validated.error);
+    return validated.pricing;
+  } catch (error) {
+    console.warn(`⚠️ Ignoring LLM_PRICING: ${error.message}`);
+    return {};
+  }
+}
+
+const CONFIGURED_PRICING = { ...DEFAULT_PRICING, ...environmentPricing() };
+
+// The configured pricing with a request's `pricing` merged over it. Returns { pricing } or { error }.
+function resolvePricing(raw) {
+  if (raw === undefined || raw === null) {
+    return { pricing: { ...CONFIGURED_PRICING } };
+  }
+  const validated = validatePricing(raw, 'pricing');
+  if (validated.error) return validated;
+  return { pricing: { ...CONFIGURED_PRICING, ...validated.pricing } };
+}
+
+// Dollar cost of one call, or null when the model has no price
+function callCost(llm, tokens, pricing) {
+  if (FREE_PROVIDERS.includes(llm.provider)) return 0;
+  const price = pricing[llm.model];
+  if (!price) return null;
+  return (tokens.input_tokens * price.input_per_million + tokens.output_tokens * price.output_per_million) / 1e6;
+}
+
+function emptyTotals() {
+  return { calls: 0, input_tokens: 0, output_tokens: 0, total_tokens: 0, cost_usd: 0, unpriced_calls: 0 };
+}
+
+function addTo(totals, tokens, cost) {
+  totals.calls++;
+  totals.input_tokens += tokens.input_tokens;
+  totals.output_tokens += tokens.output_tokens;
+  totals.total_tokens += tokens.total_tokens;
+  if (cost === null) {
+    totals.unpriced_calls++;
+  } else {
+    totals.cost_usd = Math.round((totals.cost_usd + cost) * 1e6) / 1e6;
+  }
+}
+
+// Usage accumulator kept in the workflow state (plain data, so it is stored with the run)
+function createUsage() {
+  return { ...emptyTotals(), by_agent: {}, by_paper: {}, by_model: {} };
+}
+
+// Record one model call's usage_metadata under its agent, paper (if any) and model
+function recordUsage(usage, { agent, paperId, llm }, usageMetadata, pricing) {
+  const metadata = usageMetadata || {};
+  const tokens = {
+    input_tokens: metadata.input_tokens || 0,
+    output_tokens: metadata.output_tokens || 0,
+    total_tokens: metadata.total_tokens || (metadata.input_tokens || 0) + (metadata.output_tokens || 0)
+  };
+  const cost = callCost(llm, tokens, pricing);
+  const modelKey = `${llm.provider}/${llm.model}`;
+
+  addTo(usage, tokens, cost);
+  addTo(usage.by_agent[agent] || (usage.by_agent[agent] = emptyTotals()), tokens, cost);
+  addTo(usage.by_model[modelKey] || (usage.by_model[modelKey] = emptyTotals()), tokens, cost);
+  if (paperId) {
+    addTo(usage.by_paper[paperId] || (usage.by_paper[paperId] = emptyTotals()), tokens, cost);
+  }
+}
+
+// Why the budget is spent, or null while there is budget left
+function budgetExceeded(usage, { max_tokens: maxTokens, max_cost_usd: maxCost }) {
+  if (maxTokens !== null && maxTokens !== undefined && usage.total_tokens >= maxTokens) {
+    return `Token budget exceeded: ${usage.total_tokens} of ${maxTokens} tokens used`;
+  }
+  if (maxCost !== null && maxCost !== undefined && usage.cost_usd >= maxCost) {
+    return `Cost budget exceeded: $${usage.cost_usd.toFixed(4)} of $${maxCost} spent`;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_PRICING,
+  budgetError,
+  resolvePricing,
+  createUsage,
+  recordUsage,
+  budgetExceeded
+};
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Each test file runs in its own process: an offline model and a throwaway data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'screening-app-'));
+process.env.DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'fake';
+delete process.env.API_KEYS;
+// The agents' progress logs would interleave with the test runner's output on stdout
+test.mock.method(console, 'log', () => {});
+
+const app = require('../src/app');
+const store = require('../src/store');
+
+const papers = [
+  { title: 'Deep learning for diabetic retinopathy screening', abstract: 'We conducted a randomized controlled trial with 420 patients. Deep learning models showed improved sensitivity compared to ophthalmologists.' },
+  { title: 'Telemonitoring in type 2 diabetes: a systematic review', abstract: 'This systematic review of 35 trials found telemonitoring reduced HbA1c in adults with type 2 diabetes.' },
+  { title: 'Machine learning triage in emergency departments', abstract: 'A retrospective cohort study of 12,000 patients shows that machine learning triage predicts admission better than nurse triage.' }
+];
+
+let server;
+let base;
+test.before(async () => {
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function post(route, body) {
+  return fetch(`${base}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+test('requiring the app does not start listening', async () => {
+  const response = await fetch(`${base}/health`);
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).status, 'healthy');
+});
+
+test('invalid screening requests are rejected before any LLM call', async () => {
+  const response = await post('/screen-papers', { papers, options: { top_k: 0 } });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /'options.top_k' should be a positive integer/);
+});
+
+test('a screening run is stored and can be exported', async () => {
+  const response = await post('/screen-papers', { papers, options: { top_k: 2 } });
+  assert.equal(response.status, 200);
+  const result = await response.json();
+  assert.equal(result.success, true);
+  assert.equal(result.selected_papers_count, 2);
+
+  const run = await (await fetch(`${base}/runs/${result.run_id}`)).json();
+  assert.equal(run.status, 'completed');
+
+  const csv = await (await fetch(`${base}/runs/${result.run_id}/export/csv`)).text();
+  assert.match(csv, /Deep learning for diabetic retinopathy screening/);
+});
+
+// Polls a job until it has finished
+async function finishedJob(links) {
+  for (;;) {
+    const job = await (await fetch(`${base}${links.status}`)).json();
+    if (!['queued', 'running'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+async function pausedRun() {
+  const response = await post('/screen-papers', { papers, options: { top_k: 2, review_checkpoint: 'after_selection' } });
+  const result = await response.json();
+  assert.equal(result.status, 'awaiting_review');
+  return result.run_id;
+}
+
+test('a reviewed run resumes as a job, outside the request', async () => {
+  const runId = await pausedRun();
+  const response = await post(`/runs/${runId}/resume`, {});
+  assert.equal(response.status, 202);
+  const started = await response.json();
+  assert.equal(started.run_id, runId);
+  assert.equal((await post(`/runs/${runId}/resume`, {})).status, 409);
+
+  assert.equal((await finishedJob(started.links)).status, 'completed');
+  const result = await (await fetch(`${base}${started.links.result}`)).json();
+  assert.equal(result.selected_papers_count, 2);
+  const run = await (await fetch(`${base}/runs/${runId}`)).json();
+  assert.equal(run.status, 'completed');
+});
+
+test('a resume that fails is stored as failed instead of staying paused', async () => {
+  const runId = await pausedRun();
+  await store.updateRun(runId, async (run) => {
+    run.state.evaluationResults = null;
+    return { run };
+  });
+
+  const started = await (await post(`/runs/${runId}/resume`, {})).json();
+  assert.equal((await finishedJob(started.links)).status, 'failed');
+  const run = await (await fetch(`${base}/runs/${runId}`)).json();
+  assert.equal(run.status, 'failed');
+  assert.ok(run.error);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// Each test file runs in its own process, so these keys only apply to the module loaded here
+process.env.API_KEYS = JSON.stringify([
+  { id: 'reader', tenant: 'acme', key: 'read-key', scopes: ['read', 'screen'] },
+  { id: 'root', tenant: 'acme', key: 'admin-key', scopes: ['admin'] }
+]);
+
+const { authenticate, requireScope } = require('../src/auth');
+
+// A small app with the same middleware and guards as the API's admin routes
+async function startApp(t, { guarded = true } = {}) {
+  const app = express();
+  app.use(authenticate);
+  const guard = guarded ? [requireScope('admin')] : [];
+  app.get('/admin/cache', ...guard, (req, res) => res.json({ entries: 1 }));
+  app.delete('/admin/cache', ...guard, (req, res) => res.json({ removed: 1 }));
+  app.get('/test-dummy', ...guard, (req, res) => res.json({ ok: true }));
+  app.get('/runs', (req, res) => res.json([]));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return (path, key, method = 'GET') => fetch(`${base}${path}`, { method, headers: { 'X-API-Key': key } });
+}
+
+test('admin routes need the admin scope whatever the case of the path', async t => {
+  const request = await startApp(t, { guarded: false });
+  for (const path of ['/admin/cache', '/Admin/cache', '/ADMIN/CACHE', '/admin/cache/', '/Test-Dummy', '/test-dummy/']) {
+    assert.equal((await request(path, 'read-key')).status, 403, path);
+  }
+  assert.equal((await request('/Admin/cache', 'read-key', 'DELETE')).status, 403);
+  assert.equal((await request('/Admin/cache', 'admin-key')).status, 200);
+  assert.equal((await request('/runs', 'read-key')).status, 200);
+});
+
+test('requireScope rejects keys without the scope', async t => {
+  const request = await startApp(t);
+  const response = await request('/Admin/Cache', 'read-key', 'DELETE');
+  assert.equal(response.status, 403);
+  assert.match((await response.json()).error, /lacks the 'admin' scope/);
+  assert.equal((await request('/admin/cache', 'admin-key', 'DELETE')).status, 200);
+});
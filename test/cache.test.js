@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Each test file runs in its own process: a throwaway cache directory
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'screening-cache-'));
+process.env.CACHE_DIR = cacheDir;
+
+const { cacheKey, readCache, writeCache, describeCache, clearCache } = require('../src/cache');
+
+test.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+test('cache keys ignore object key order and undefined values', () => {
+  const key = cacheKey({ task: 'evaluate_paper', llm: { model: 'm', temperature: 0 }, criteria: [{ id: 1, text: 'Adults' }] });
+  assert.match(key, /^[a-f0-9]{64}$/);
+  assert.equal(
+    cacheKey({ criteria: [{ text: 'Adults', id: 1 }], llm: { temperature: 0, model: 'm', seed: undefined }, task: 'evaluate_paper' }),
+    key
+  );
+});
+
+test('cache keys change with any value, array order or type', () => {
+  const base = { task: 'evaluate_paper', criteria: [1, 2], temperature: 0 };
+  const key = cacheKey(base);
+  assert.notEqual(cacheKey({ ...base, criteria: [2, 1] }), key);
+  assert.notEqual(cacheKey({ ...base, temperature: '0' }), key);
+  assert.notEqual(cacheKey({ ...base, temperature: null }), key);
+  assert.notEqual(cacheKey({ ...base, prompt_version: '2' }), key);
+});
+
+test('entries are written, read, counted and cleared per task', async () => {
+  const key = cacheKey({ paper: 'A trial.' });
+  assert.equal(await readCache('extract_metadata', key), null);
+
+  await writeCache('extract_metadata', key, { journal: 'BMJ' });
+  await writeCache('evaluate_paper', cacheKey({ paper: 'A trial.', criteria: [1] }), { evaluations: [] });
+  assert.deepEqual(await readCache('extract_metadata', key), { journal: 'BMJ' });
+  assert.deepEqual((await describeCache()).entries, { evaluate_paper: 1, extract_metadata: 1 });
+
+  assert.equal(await clearCache('extract_metadata'), 1);
+  assert.equal(await readCache('extract_metadata', key), null);
+  assert.equal(await clearCache(), 1);
+  assert.deepEqual((await describeCache()).entries, {});
+  await assert.rejects(clearCache('../runs'), /Invalid cache task/);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveCalibration, scoreIteration, bestIteration, refinementFeedback, describeCalibration } = require('../src/calibration');
+const { resolveSelection } = require('../src/selection');
+
+const criteria = [
+  { id: 1, criterion: 'Adults', type: 'hard' },
+  { id: 2, criterion: 'Reports HbA1c', type: 'soft', source: 'user' }
+];
+
+function labeled(label, index) {
+  return { title: `Paper ${index + 1}`, abstract: `Abstract ${index + 1}.`, label };
+}
+
+// Verdicts on criteria 1 and 2 for each labeled paper
+function evaluations(...rows) {
+  return rows.map(([first, second]) => ({
+    evaluations: [{ criterion_id: 1, response: first }, { criterion_id: 2, response: second }]
+  }));
+}
+
+function calibrated() {
+  const { calibration } = resolveCalibration({
+    papers: ['include', 'Include ', 'exclude', 'exclude', 'exclude'].map(labeled)
+  });
+  return calibration;
+}
+
+test('an iteration counts hits and misses into recall, precision and work saved', () => {
+  const calibration = calibrated();
+  const iteration = scoreIteration(calibration, criteria, evaluations(
+    ['Yes', 'Yes'], // include, kept
+    ['No', 'Yes'], // include, lost to the hard criterion
+    ['Yes', 'Yes'], // exclude, kept
+    ['No', 'Yes'], // exclude, dropped
+    ['Yes', 'No'] // exclude, dropped by the ladder
+  ), resolveSelection({}).selection);
+
+  assert.equal(iteration.iteration, 1);
+  assert.deepEqual(iteration.papers.map(p => p.predicted), ['include', 'exclude', 'include', 'exclude', 'exclude']);
+  // WSS: 3 of 5 papers need no screening, less the half of the includes that are lost
+  assert.deepEqual(iteration.metrics, {
+    true_positives: 1,
+    false_negatives: 1,
+    false_positives: 1,
+    true_negatives: 2,
+    recall: 0.5,
+    precision: 0.5,
+    work_saved: 0.1
+  });
+  assert.deepEqual(iteration.criteria_diagnostics, [
+    { criterion_id: 1, criterion: 'Adults', source: 'generated', includes_not_yes: 1, excludes_yes: 2 },
+    { criterion_id: 2, criterion: 'Reports HbA1c', source: 'user', includes_not_yes: 0, excludes_yes: 2 }
+  ]);
+
+  calibration.iterations.push(iteration);
+  const feedback = refinementFeedback(calibration);
+  assert.deepEqual(feedback.missed_includes, [{ title: 'Paper 2', abstract: 'Abstract 2.', not_yes: [{ criterion_id: 1, response: 'No' }] }]);
+  assert.deepEqual(feedback.false_includes, [{ title: 'Paper 3', abstract: 'Abstract 3.' }]);
+});
+
+test('criteria that keep everything have full recall and no work saved', () => {
+  const calibration = calibrated();
+  const all = Array(5).fill(['Yes', 'Yes']);
+  const { metrics } = scoreIteration(calibration, criteria, evaluations(...all), resolveSelection({}).selection);
+  assert.deepEqual([metrics.recall, metrics.precision, metrics.work_saved], [1, 0.4, 0]);
+
+  const none = Array(5).fill(['No', 'No']);
+  const dropped = scoreIteration(calibration, criteria, evaluations(...none), resolveSelection({}).selection).metrics;
+  assert.deepEqual([dropped.recall, dropped.precision, dropped.work_saved], [0, null, 0]);
+});
+
+test('the best iteration has the highest recall, then precision, then work saved', () => {
+  const iteration = (number, recall, precision, workSaved) => ({ iteration: number, metrics: { recall, precision, work_saved: workSaved } });
+  const iterations = [iteration(1, 0.8, 0.9, 0.5), iteration(2, 1, 0.3, 0.1), iteration(3, 1, 0.5, 0), iteration(4, 1, 0.5, 0.2)];
+  assert.equal(bestIteration(iterations).iteration, 4);
+  assert.equal(bestIteration([iteration(1, 1, null, 0.4), iteration(2, 1, 0.1, 0)]).iteration, 2);
+});
+
+test('calibration settings are validated and described', () => {
+  const calibration = calibrated();
+  assert.deepEqual(calibration.papers.map(p => p.label), ['include', 'include', 'exclude', 'exclude', 'exclude']);
+  assert.deepEqual(describeCalibration(calibration).labeled_papers, { include: 2, exclude: 3 });
+  assert.equal(describeCalibration(null), null);
+
+  assert.deepEqual(resolveCalibration(undefined), { calibration: null });
+  assert.match(resolveCalibration({ papers: [labeled('exclude', 0)] }).error, /at least one paper labeled include/);
+  assert.match(resolveCalibration({ papers: [labeled('maybe', 0)] }).error, /'calibration.papers\[0\].label' should be one of: include, exclude/);
+  assert.match(resolveCalibration({ papers: [{ title: 'x', label: 'include' }] }).error, /missing required fields/);
+  assert.match(resolveCalibration({ papers: [labeled('include', 0)], target_recall: 0 }).error, /'calibration.target_recall'/);
+  assert.match(resolveCalibration({ papers: [labeled('include', 0)], max_iterations: 11 }).error, /between 1 and 10/);
+});
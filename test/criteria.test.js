@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveUserCriteria, findHardExclusions } = require('../src/criteria');
+
+test('free-form criteria default to soft and are numbered in order', () => {
+  const { criteria, settings } = resolveUserCriteria([
+    'Reports sensitivity and specificity',
+    { criterion: 'Adults only', description: 'Are all participants adults?', type: 'hard' }
+  ]);
+  assert.deepEqual(settings, { fill_gaps: false, target_count: 6 });
+  assert.deepEqual(criteria.map(c => [c.id, c.type, c.source]), [[1, 'soft', 'user'], [2, 'hard', 'user']]);
+  assert.equal(criteria[0].description, 'Does the paper satisfy: Reports sensitivity and specificity?');
+  assert.equal(criteria[1].description, 'Are all participants adults?');
+});
+
+test('a PICO protocol expands to hard criteria before the free-form ones', () => {
+  const { criteria, settings } = resolveUserCriteria({
+    pico: {
+      population: 'adults with type 2 diabetes',
+      intervention: { text: 'telemonitoring', type: 'soft' },
+      comparison: '',
+      outcome: 'HbA1c',
+      exclude_study_designs: ['case report']
+    },
+    items: ['Published after 2010'],
+    fill_gaps: true,
+    target_count: 8
+  });
+  assert.deepEqual(settings, { fill_gaps: true, target_count: 8 });
+  assert.deepEqual(criteria.map(c => [c.id, c.pico_element || null, c.type]), [
+    [1, 'population', 'hard'],
+    [2, 'intervention', 'soft'],
+    [3, 'outcome', 'hard'],
+    [4, 'study_design_exclusion', 'hard'],
+    [5, null, 'soft']
+  ]);
+  assert.equal(criteria[0].criterion, 'Population: adults with type 2 diabetes');
+  assert.match(criteria[3].description, /Answer "No" if the paper is a case report/);
+});
+
+test('invalid criteria are reported with their position', () => {
+  assert.match(resolveUserCriteria('adults').error, /'criteria' should be an array or an object/);
+  assert.match(resolveUserCriteria([{ criterion: 'x', type: 'must' }]).error, /'criteria\[0\]' has invalid type 'must'/);
+  assert.match(resolveUserCriteria(['ok', { description: 'no text' }]).error, /'criteria\[1\]' is missing 'criterion' text/);
+  assert.match(resolveUserCriteria({ pico: { population: { type: 'hard' } } }).error, /PICO 'population' should be a string/);
+  assert.match(resolveUserCriteria({ pico: { exclude_study_designs: 'case report' } }).error, /should be an array/);
+  assert.match(resolveUserCriteria({ items: [], target_count: 0 }).error, /'criteria.target_count'/);
+  assert.match(resolveUserCriteria([]).error, /contains no criteria/);
+  assert.deepEqual(resolveUserCriteria({ fill_gaps: true }).criteria, []);
+});
+
+test('findHardExclusions lists hard criteria answered No', () => {
+  const criteria = [{ id: 1, type: 'hard' }, { id: 2, type: 'soft' }, { id: 3, type: 'hard' }];
+  const evaluations = [
+    { criterion_id: 1, response: 'No' },
+    { criterion_id: 2, response: 'No' },
+    { criterion_id: 3, response: 'Maybe' }
+  ];
+  assert.deepEqual(findHardExclusions(evaluations, criteria), [1]);
+});
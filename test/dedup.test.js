@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findDuplicates, deduplicatePapers, clusterDuplicates } = require('../src/dedup');
+
+const abstract = 'We conducted a randomized controlled trial with 420 patients to compare deep learning screening with ophthalmologists.';
+
+test('shared identifiers and near-identical titles are the same work', () => {
+  const { groups, reasons } = findDuplicates([
+    { title: 'A', abstract: 'One.', doi: 'https://doi.org/10.1/X' },
+    { title: 'B', abstract: 'Two.', doi: 'doi:10.1/x' },
+    { title: 'C', abstract: 'Three.', pmid: '00123' },
+    { title: 'D', abstract: 'Four.', pmid: '123' },
+    { title: 'Deep Learning: a Trial', abstract: 'Five.' },
+    { title: 'deep learning - a trial', abstract: 'Six.' },
+    { title: 'Deep learning, part 2', abstract: 'Seven.' }
+  ]);
+  assert.deepEqual(groups, [[0, 1], [2, 3], [4, 5], [6]]);
+  assert.deepEqual([...reasons[0]], ['doi']);
+  assert.deepEqual([...reasons[2]], ['pmid']);
+  assert.deepEqual([...reasons[4]], ['title_year']);
+});
+
+test('records with different DOIs or PMIDs are never the same work', () => {
+  const { groups } = findDuplicates([
+    { title: 'Editorial', abstract, doi: '10.1/a', year: 2020 },
+    { title: 'Editorial', abstract, doi: '10.1/b', year: 2020 },
+    { title: 'Editorial', abstract, pmid: '1' },
+    { title: 'Editorial', abstract, pmid: '2' }
+  ]);
+  assert.ok(groups.every(members => !(members.includes(0) && members.includes(1))));
+  assert.ok(groups.every(members => !(members.includes(2) && members.includes(3))));
+});
+
+test('deduplicatePapers merges identifier, title and abstract matches', () => {
+  const { papers, clusters, duplicatesRemoved } = deduplicatePapers([
+    { title: 'Deep learning for retinopathy', abstract, doi: '10.1/x' },
+    { title: 'Unrelated title', abstract: 'Short.', doi: 'https://doi.org/10.1/X', authors: ['Lee'] },
+    { title: 'Deep learning for retinopathy.', abstract: 'Another abstract entirely.', year: 2021 },
+    { title: 'Telemonitoring in diabetes', abstract: 'Telemonitoring reduced HbA1c.' }
+  ]);
+  assert.equal(duplicatesRemoved, 2);
+  assert.equal(papers.length, 2);
+  assert.deepEqual(clusters[0].members.map(m => m.input_position), [1, 2, 3]);
+  assert.deepEqual(papers[0].authors, ['Lee']);
+  assert.deepEqual(papers[0].merged_from, [1, 2, 3]);
+});
+
+test('clusterDuplicates keeps every record and names each cluster by its first copy', () => {
+  const papers = [
+    { title: 'Telemonitoring in diabetes', abstract: 'One.' },
+    { title: 'Deep learning for retinopathy', abstract: 'Two.', doi: '10.1/x' },
+    { title: 'Deep learning for retinopathy.', abstract: 'Three.' },
+    { title: 'Editorial', abstract: 'Four.', doi: '10.1/a' },
+    { title: 'Editorial', abstract: 'Five.', doi: '10.1/b' }
+  ];
+  const clusters = clusterDuplicates(papers);
+  assert.equal(clusters.length, 1);
+  assert.equal(clusters[0].paper_id, 2);
+  assert.deepEqual(clusters[0].members.map(m => m.input_position), [2, 3]);
+  assert.deepEqual(clusters[0].matched_on, ['title_year']);
+});
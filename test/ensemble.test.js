@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveEnsemble, combineEvaluations, agreementStatistics } = require('../src/ensemble');
+
+const criteria = [{ id: 1, criterion: 'Adults' }];
+
+// One paper rated by each rater, in order, with the given verdicts on criterion 1
+function ratedPaper(responses, degraded = []) {
+  return {
+    rater_evaluations: responses.map((response, index) => ({
+      rater_id: index + 1,
+      degraded: degraded.includes(index + 1),
+      evaluations: [{ criterion_id: 1, response, reasoning: `Rater ${index + 1}` }]
+    }))
+  };
+}
+
+function raters(count) {
+  return Array.from({ length: count }, (_, index) => ({ rater_id: index + 1 }));
+}
+
+test("two raters are scored with Cohen's and Fleiss' kappa", () => {
+  const results = [['Yes', 'Yes'], ['No', 'No'], ['Yes', 'No'], ['Maybe', 'Maybe']].map(r => ratedPaper(r));
+  // Observed agreement 3/4; chance agreement 2/4*1/4 + 1/4*2/4 + 1/4*1/4 = 5/16
+  assert.deepEqual(agreementStatistics(results, criteria, raters(2))[1], {
+    raters: 2,
+    papers_rated: 4,
+    percent_agreement: 0.75,
+    cohen_kappa: 0.636,
+    fleiss_kappa: 0.619
+  });
+});
+
+test("more raters get Fleiss' kappa only, over the papers every rater evaluated", () => {
+  const results = [
+    ratedPaper(['Yes', 'Yes', 'Yes']),
+    ratedPaper(['Yes', 'Yes', 'No']),
+    ratedPaper(['No', 'No', 'No']),
+    ratedPaper(['Maybe', 'No', 'No']),
+    ratedPaper(['Yes', 'No', 'Maybe'], [2]),
+    { evaluations: [] }
+  ];
+  // Mean pairwise agreement 2/3; chance agreement (5/12)^2 + (6/12)^2 + (1/12)^2
+  assert.deepEqual(agreementStatistics(results, criteria, raters(3))[1], {
+    raters: 3,
+    papers_rated: 4,
+    percent_agreement: 0.5,
+    cohen_kappa: null,
+    fleiss_kappa: 0.415
+  });
+});
+
+test('kappa is undefined when every verdict is the same, and agreement when nothing was rated', () => {
+  const unanimous = agreementStatistics([ratedPaper(['Yes', 'Yes']), ratedPaper(['Yes', 'Yes'])], criteria, raters(2))[1];
+  assert.equal(unanimous.percent_agreement, 1);
+  assert.equal(unanimous.cohen_kappa, null);
+  assert.equal(unanimous.fleiss_kappa, null);
+
+  const none = agreementStatistics([], criteria, raters(2))[1];
+  assert.deepEqual([none.papers_rated, none.percent_agreement, none.cohen_kappa, none.fleiss_kappa], [0, null, null, null]);
+});
+
+test('verdicts are combined by majority or unanimity, and disagreements are listed', () => {
+  const { rater_evaluations: ratings } = ratedPaper(['Yes', 'Yes', 'No']);
+  const majority = combineEvaluations(ratings, criteria, 'majority');
+  assert.equal(majority.evaluations[0].response, 'Yes');
+  assert.equal(majority.evaluations[0].reasoning, 'Rater 1 [majority: Yes 2, No 1]');
+  assert.deepEqual(majority.disagreement_criteria, [1]);
+
+  const unanimity = combineEvaluations(ratings, criteria, 'unanimity');
+  assert.equal(unanimity.evaluations[0].response, 'Maybe');
+  assert.equal(unanimity.evaluations[0].reasoning, 'Raters disagreed (Yes 2, No 1)');
+
+  const tie = combineEvaluations(ratedPaper(['Yes', 'No']).rater_evaluations, criteria, 'majority');
+  assert.equal(tie.evaluations[0].response, 'Maybe');
+});
+
+test('a rater count cycles through the prompt variants', () => {
+  const { ensemble } = resolveEnsemble({ raters: 4 }, { provider: 'fake' });
+  assert.equal(ensemble.combine, 'majority');
+  assert.deepEqual(ensemble.raters.map(r => r.prompt_variant), ['standard', 'strict', 'inclusive', 'standard']);
+  assert.deepEqual(resolveEnsemble(undefined), { ensemble: null });
+  assert.match(resolveEnsemble({ raters: 1 }).error, /between 2 and 7 raters/);
+  assert.match(resolveEnsemble({ raters: 2, combine: 'average' }).error, /'ensemble.combine' should be one of/);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { verifyEvidence, groundednessScore } = require('../src/evidence');
+
+const sources = [
+  { field: 'title', text: 'Deep learning for diabetic retinopathy screening' },
+  { field: 'abstract', text: 'We conducted a randomized controlled trial with 420 patients.' }
+];
+
+test('verdicts without quotes are exempt unless they say Yes', () => {
+  const evaluations = verifyEvidence([
+    { criterion_id: 1, response: 'Maybe', quotes: [] },
+    { criterion_id: 2, response: 'No' },
+    { criterion_id: 3, response: 'Yes', quotes: [] }
+  ], sources);
+
+  assert.deepEqual(evaluations.map(e => e.grounded), [null, null, false]);
+  assert.equal(evaluations[0].response, 'Maybe');
+  assert.equal(evaluations[0].downgraded, undefined);
+  assert.equal(evaluations[2].response, 'Maybe');
+  assert.equal(evaluations[2].original_response, 'Yes');
+});
+
+test('a Maybe whose quotes cannot be found still counts as ungrounded', () => {
+  const [verdict] = verifyEvidence([
+    { criterion_id: 1, response: 'Maybe', quotes: ['an observational study of 90 adults'] }
+  ], sources);
+  assert.equal(verdict.grounded, false);
+  assert.equal(verdict.downgraded, undefined);
+});
+
+test('groundednessScore leaves out quote-less Maybe and No verdicts', () => {
+  const evaluations = verifyEvidence([
+    { criterion_id: 1, response: 'Yes', quotes: ['randomized controlled trial with 420 patients'] },
+    { criterion_id: 2, response: 'Maybe' },
+    { criterion_id: 3, response: 'No' }
+  ], sources);
+  assert.equal(evaluations[0].grounded, true);
+  assert.equal(groundednessScore(evaluations), 1);
+  assert.equal(groundednessScore(evaluations.slice(1)), null);
+});
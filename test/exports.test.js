@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildCsv, buildRis, buildBibtex, buildPrismaCounts, buildPrismaSvg } = require('../src/exports');
+
+// A screened run of four papers: 1 and 3 included, 2 failed the hard criterion, 4 ranked below the cutoff
+function screenedState() {
+  return {
+    inputPapers: [
+      { title: 'Telemonitoring in diabetes', abstract: 'A trial.', authors: ['Smith, John', 'Lee, Ann'], year: 2019, doi: '10.1/a' },
+      { title: '=HYPERLINK("http://example.com")', abstract: 'A survey.' },
+      { title: 'Smartphone coaching & HbA1c_levels', abstract: 'A cohort {study}.', authors: ['Smith, Jane'], year: 2019 },
+      { title: 'Editorial', abstract: 'An opinion.' }
+    ],
+    extractedMetadata: [
+      { journal: 'Diabetes Care', year: 'Not specified' },
+      { journal: 'Not specified' },
+      { journal: 'BMJ', keywords: ['mHealth', 'coaching'] },
+      {}
+    ],
+    deduplication: { enabled: true, input_count: 5, duplicates_removed: 1, clusters: [] },
+    generatedCriteria: [
+      { id: 1, criterion: 'Adults', type: 'hard' },
+      { id: 2, criterion: 'Reports HbA1c', type: 'soft' }
+    ],
+    evaluationResults: [
+      { paper_id: 1, evaluations: [
+        { criterion_id: 1, response: 'Yes', reasoning: 'Adults, aged 40-70', evidence: [{ text: 'adults', found: true }] },
+        { criterion_id: 2, response: 'Yes', reasoning: '+1.2% reduction' }
+      ] },
+      { paper_id: 2, excluded: true, hard_exclusions: [1], evaluations: [
+        { criterion_id: 1, response: 'No', reasoning: 'Children' },
+        { criterion_id: 2, response: 'Maybe', original_response: 'Yes', downgraded: true, reasoning: '@risk, "unclear"' }
+      ] },
+      { paper_id: 3, evaluations: [{ criterion_id: 1, response: 'Yes', reasoning: 'Adults' }, { criterion_id: 2, response: 'Yes', reasoning: 'Yes' }] },
+      { paper_id: 4, evaluations: [{ criterion_id: 1, response: 'Yes', reasoning: 'Adults' }, { criterion_id: 2, response: 'No', reasoning: 'Not reported' }] }
+    ],
+    criteriaStats: {
+      1: { criterion: 'Adults', type: 'hard', no_papers: [{ paper_id: 2 }] },
+      2: { criterion: 'Reports HbA1c', type: 'soft', no_papers: [{ paper_id: 4 }] }
+    },
+    paperScores: [
+      { paper_id: 1, eligibility_score: 2, explanation: 'All criteria met' },
+      { paper_id: 3, eligibility_score: 2, explanation: 'All criteria met' },
+      { paper_id: 4, eligibility_score: -1, explanation: 'Below cutoff' }
+    ],
+    finalSelectedPapers: [{ paper_id: 3 }, { paper_id: 1 }]
+  };
+}
+
+function parseCsvLine(line) {
+  return line.match(/("([^"]|"")*"|[^,]*)(,|$)/g).slice(0, -1).map(cell => cell.replace(/,$/, ''));
+}
+
+test('the CSV has a row per paper with verdicts, reasoning and evidence per criterion', () => {
+  const lines = buildCsv(screenedState()).split('\r\n');
+  assert.equal(lines.length, 6);
+  assert.equal(lines[5], '');
+  const header = parseCsvLine(lines[0]);
+  assert.deepEqual(header.slice(-3), ['C2 Reports HbA1c - verdict', 'C2 Reports HbA1c - reasoning', 'C2 Reports HbA1c - evidence']);
+
+  const first = parseCsvLine(lines[1]);
+  assert.deepEqual(first.slice(0, 10), ['1', 'Telemonitoring in diabetes', '"Smith, John; Lee, Ann"', '2019', 'Diabetes Care', '10.1/a', '', 'Yes', '2', '2']);
+  assert.equal(first[header.indexOf('C1 Adults - evidence')], 'adults');
+  const second = parseCsvLine(lines[2]);
+  assert.equal(second[header.indexOf('hard_exclusions')], 'C1');
+  assert.equal(second[header.indexOf('C2 Reports HbA1c - verdict')], 'Maybe (downgraded from Yes)');
+});
+
+test('CSV text that a spreadsheet would run as a formula is prefixed with an apostrophe', () => {
+  const csv = buildCsv(screenedState());
+  assert.match(csv, /\r\n2,"'=HYPERLINK\(""http:\/\/example.com""\)",/);
+  assert.match(csv, /,'\+1\.2% reduction,/);
+  assert.match(csv, /,"'@risk, ""unclear""",/);
+  // Negative scores are numbers, not formulas
+  assert.match(csv, /\r\n4,Editorial,.*,No,,-1,/);
+});
+
+test('RIS and BibTeX list the included papers in selection order', () => {
+  const ris = buildRis(screenedState());
+  const records = ris.trim().split('\r\n\r\n');
+  assert.equal(records.length, 2);
+  assert.deepEqual(records[0].split('\r\n'), [
+    'TY  - JOUR',
+    'TI  - Smartphone coaching & HbA1c_levels',
+    'AU  - Smith, Jane',
+    'PY  - 2019',
+    'JO  - BMJ',
+    'KW  - mHealth',
+    'KW  - coaching',
+    'AB  - A cohort {study}.',
+    'ER  - '
+  ]);
+  // Metadata recorded as 'Not specified' is left out
+  assert.doesNotMatch(records[1], /Not specified/);
+
+  const bibtex = buildBibtex(screenedState());
+  assert.match(bibtex, /^@article\{smith2019,\n {2}title = \{Smartphone coaching \\& HbA1c\\_levels\},/);
+  assert.match(bibtex, / {2}abstract = \{A cohort study\.\}\n\}/);
+  // The second Smith 2019 gets a suffixed key
+  assert.match(bibtex, /@article\{smith2019a,\n {2}title = \{Telemonitoring in diabetes\},\n {2}author = \{Smith, John and Lee, Ann\},/);
+});
+
+test('PRISMA counts split exclusions into hard criteria and the selection cutoff', () => {
+  const counts = buildPrismaCounts(screenedState());
+  assert.deepEqual(counts, {
+    identification: { records_identified: 5, duplicates_removed: 1 },
+    screening: {
+      records_screened: 4,
+      records_excluded: 2,
+      excluded_by_reason: { failed_hard_criteria: 1, below_selection_cutoff: 1 },
+      exclusion_reasons_by_criterion: [
+        { criterion_id: 1, criterion: 'Adults', type: 'hard', papers_failed: 1 },
+        { criterion_id: 2, criterion: 'Reports HbA1c', type: 'soft', papers_failed: 1 }
+      ]
+    },
+    included: { studies_included: 2 }
+  });
+});
+
+test('PRISMA counts report eligibility for runs with a full-text stage', () => {
+  const state = screenedState();
+  // Papers 1, 3 and 4 passed the abstract stage; 1 and 4 were assessed in full text and 4 was excluded
+  state.fullText = { candidates: [1, 3, 4] };
+  state.evaluationResults[0].stage = 'full_text';
+  state.evaluationResults[3].stage = 'full_text';
+  state.finalSelectedPapers = [{ paper_id: 1 }, { paper_id: 3 }];
+
+  const counts = buildPrismaCounts(state);
+  assert.equal(counts.screening.records_excluded, 1);
+  assert.deepEqual(counts.eligibility, {
+    reports_sought: 3,
+    reports_not_retrieved: 1,
+    reports_assessed: 2,
+    reports_excluded: 1,
+    excluded_by_reason: { failed_hard_criteria: 0, below_selection_cutoff: 1 }
+  });
+});
+
+test('the PRISMA SVG shows every count and escapes criterion text', () => {
+  const state = screenedState();
+  state.generatedCriteria[0].criterion = state.criteriaStats[1].criterion = 'Adults <18 & "older"';
+  const svg = buildPrismaSvg(buildPrismaCounts(state));
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+  assert.match(svg, /Records identified \(n = 5\)/);
+  assert.match(svg, /Duplicate records \(n = 1\)/);
+  assert.match(svg, /Records excluded \(n = 2\)/);
+  assert.match(svg, /C1 Adults &lt;18 &amp; &quot;older&quot;: 1/);
+  assert.match(svg, /Studies included in review \(n = 2\)/);
+  assert.doesNotMatch(svg, /Reports sought/);
+
+  state.fullText = { candidates: [1, 3] };
+  assert.match(buildPrismaSvg(buildPrismaCounts(state)), /Reports sought for retrieval \(n = 2\)/);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { splitSections, describeSections, chunkFullText, selectChunks, metadataChunks } = require('../src/fulltext');
+
+const PAPER = [
+  'Telemonitoring in type 2 diabetes',
+  'J. Smith, A. Lee',
+  'Abstract',
+  'We tested telemonitoring in adults with type 2 diabetes.',
+  '1. Introduction',
+  'Diabetes care is costly.',
+  '2. Materials and Methods:',
+  'We randomized 420 patients from 12 clinics to telemonitoring or usual care.',
+  'RESULTS',
+  'HbA1c fell by 0.5% more with telemonitoring after one year.',
+  'Study limitations',
+  'The trial was not blinded and follow-up was short.',
+  'Conclusions.',
+  'Telemonitoring helps.',
+  'References',
+  '1. Smith J. Methods in diabetes. 2019.'
+].join('\n');
+
+test('sections start at recognised headings, numbered or not', () => {
+  const sections = describeSections(PAPER);
+  assert.deepEqual(sections.map(s => s.section), [
+    'front_matter', 'abstract', 'introduction', 'methods', 'results', 'limitations', 'conclusion', 'references'
+  ]);
+  assert.equal(sections[0].start, 0);
+  assert.equal(sections[sections.length - 1].end, PAPER.length);
+  sections.slice(1).forEach((section, index) => assert.equal(section.start, sections[index].end));
+  assert.equal(PAPER.substring(sections[3].start, sections[3].end), '2. Materials and Methods:\nWe randomized 420 patients from 12 clinics to telemonitoring or usual care.\n');
+});
+
+test('text without headings is one front-matter section', () => {
+  assert.deepEqual(splitSections('Just a note.\nNo headings here.'), [{ section: 'front_matter', start: 0, end: 30 }]);
+  // A long line that happens to start like a heading is not one
+  assert.equal(splitSections(`Results ${'of the trial '.repeat(10)}`).length, 1);
+});
+
+test('chunks skip the references and keep offsets into the text', () => {
+  const chunks = chunkFullText(PAPER);
+  assert.deepEqual(chunks.map(c => c.chunk_id), [
+    'front_matter-1', 'abstract-1', 'introduction-1', 'methods-1', 'results-1', 'limitations-1', 'conclusion-1'
+  ]);
+  const methods = chunks[3];
+  assert.equal(methods.text, '2. Materials and Methods: We randomized 420 patients from 12 clinics to telemonitoring or usual care.');
+  assert.equal(PAPER.substring(methods.start, methods.end).replace(/\s+/g, ' ').trim(), methods.text);
+});
+
+test('long sections are chunked at sentence boundaries within the size limit', () => {
+  const sentence = 'Participants were followed for twelve months in every clinic. ';
+  const text = `Methods\n${sentence.repeat(60)}`;
+  const chunks = chunkFullText(text);
+  assert.ok(chunks.length >= 3);
+  assert.deepEqual(chunks.map(c => c.chunk_id).slice(0, 3), ['methods-1', 'methods-2', 'methods-3']);
+  chunks.forEach((chunk, index) => {
+    assert.ok(chunk.end - chunk.start <= 1200);
+    if (index < chunks.length - 1) assert.match(chunk.text, /months in every clinic\.$/);
+    if (index > 0) assert.equal(chunk.start, chunks[index - 1].end);
+  });
+  assert.equal(chunks[chunks.length - 1].end, text.length);
+});
+
+test('selectChunks ranks by shared terms, boosts the sections that answer the query and keeps document order', () => {
+  const chunks = chunkFullText(PAPER);
+  assert.deepEqual(selectChunks(chunks, 'How many patients were randomized?').map(c => c.chunk_id), ['methods-1']);
+  assert.deepEqual(
+    selectChunks(chunks, 'Did telemonitoring reduce HbA1c in adults?', 2).map(c => c.chunk_id),
+    ['abstract-1', 'results-1']
+  );
+  assert.deepEqual(selectChunks(chunks, 'Were there any limitations or bias?').map(c => c.chunk_id), ['limitations-1']);
+  assert.deepEqual(selectChunks(chunks, 'zebra'), []);
+});
+
+test('metadataChunks takes methods, results and limitations within the character budget', () => {
+  const chunks = chunkFullText(PAPER);
+  assert.deepEqual(metadataChunks(chunks).map(c => c.chunk_id), ['methods-1', 'results-1', 'limitations-1']);
+  // The methods chunk alone is over an 80-character budget, the results chunk fits and leaves no room for more
+  assert.deepEqual(metadataChunks(chunks, 80).map(c => c.chunk_id), ['results-1']);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectFormat, importPapers } = require('../src/importers');
+
+const RIS = `TY  - JOUR
+TI  - Telemonitoring in type 2 diabetes
+AU  - Smith, John
+AU  - Lee, Ann
+AB  - This systematic review of 35 trials found
+telemonitoring reduced HbA1c.
+PY  - 2019///
+JO  - Diabetes Care
+DO  - https://doi.org/10.2337/dc19-0001.
+AN  - 31234567
+KW  - telemonitoring
+ER  -
+
+TY  - JOUR
+TI  - A record without an abstract
+ER  -
+`;
+
+const BIBTEX = `@comment{exported from a reference manager}
+@article{muller2020,
+  title = {Deep learning for {Retinopathy} screening in M\\"uller's cohort},
+  author = {M{\\"u}ller, Hans and Garc\\'{i}a, Ana},
+  abstract = "Accuracy of 95\\% in a {"quoted"} trial",
+  journal = {Ophthalmology \\& Vision},
+  year = 2020,
+  doi = {10.1016/j.ophtha.2020.01.001},
+  keywords = {deep learning; retinopathy}
+}
+`;
+
+const PUBMED_XML = `<?xml version="1.0"?>
+<PubmedArticleSet>
+<PubmedArticle>
+  <MedlineCitation>
+    <PMID Version="1">32000001</PMID>
+    <Article>
+      <Journal><Title>The Lancet</Title><JournalIssue><PubDate><Year>2021</Year></PubDate></JournalIssue></Journal>
+      <ArticleTitle>Triage with <i>machine learning</i> &amp; nurses</ArticleTitle>
+      <Abstract>
+        <AbstractText Label="BACKGROUND">Emergency departments are crowded.</AbstractText>
+        <AbstractText Label="RESULTS">Accuracy &#x2265; 90%.</AbstractText>
+      </Abstract>
+      <AuthorList>
+        <Author><LastName>Ng</LastName><ForeName>Wei</ForeName></Author>
+        <Author><CollectiveName>ED Triage Group</CollectiveName></Author>
+      </AuthorList>
+    </Article>
+    <KeywordList><Keyword>triage</Keyword></KeywordList>
+  </MedlineCitation>
+  <PubmedData><ArticleIdList><ArticleId IdType="doi">10.1016/S0140-6736(21)00001-1</ArticleId></ArticleIdList></PubmedData>
+</PubmedArticle>
+</PubmedArticleSet>
+`;
+
+const MEDLINE = `PMID- 33000001
+TI  - Exercise and depression in older adults: a randomized
+      controlled trial.
+AB  - Older adults were randomized to exercise or usual care.
+      Depression scores fell.
+FAU - Brown, Mary
+AU  - Brown M
+DP  - 2020 Mar
+JT  - JAMA Psychiatry
+LID - 10.1001/jamapsychiatry.2020.0001 [doi]
+MH  - Exercise
+OT  - depression
+
+PMID- 33000002
+TI  - Second record
+AB  - Short abstract.
+AU  - Kim J
+DP  - 2018
+`;
+
+test('RIS records fold continuation lines and extract the DOI and PMID', () => {
+  assert.equal(detectFormat(RIS), 'ris');
+  const { format, papers, skipped } = importPapers(RIS);
+  assert.equal(format, 'ris');
+  assert.deepEqual(papers, [{
+    title: 'Telemonitoring in type 2 diabetes',
+    abstract: 'This systematic review of 35 trials found telemonitoring reduced HbA1c.',
+    authors: ['Smith, John', 'Lee, Ann'],
+    year: 2019,
+    journal: 'Diabetes Care',
+    doi: '10.2337/dc19-0001',
+    pmid: '31234567',
+    keywords: ['telemonitoring']
+  }]);
+  assert.deepEqual(skipped, [{ record: 2, title: 'A record without an abstract', reason: 'missing abstract' }]);
+});
+
+test('BibTeX entries resolve LaTeX accents, escapes and braces', () => {
+  assert.equal(detectFormat(BIBTEX), 'bibtex');
+  const { papers } = importPapers(BIBTEX);
+  assert.equal(papers.length, 1);
+  const [paper] = papers;
+  assert.equal(paper.title, "Deep learning for Retinopathy screening in Müller's cohort");
+  assert.deepEqual(paper.authors, ['Müller, Hans', 'García, Ana']);
+  assert.equal(paper.abstract, 'Accuracy of 95% in a "quoted" trial');
+  assert.equal(paper.journal, 'Ophthalmology & Vision');
+  assert.equal(paper.year, 2020);
+  assert.equal(paper.doi, '10.1016/j.ophtha.2020.01.001');
+  assert.deepEqual(paper.keywords, ['deep learning', 'retinopathy']);
+});
+
+test('PubMed XML articles keep labelled abstract sections and decode entities', () => {
+  assert.equal(detectFormat(PUBMED_XML), 'pubmed_xml');
+  const { papers } = importPapers(PUBMED_XML);
+  assert.deepEqual(papers, [{
+    title: 'Triage with machine learning & nurses',
+    abstract: 'BACKGROUND: Emergency departments are crowded. RESULTS: Accuracy ≥ 90%.',
+    authors: ['Ng, Wei', 'ED Triage Group'],
+    year: 2021,
+    journal: 'The Lancet',
+    doi: '10.1016/S0140-6736(21)00001-1',
+    pmid: '32000001',
+    keywords: ['triage']
+  }]);
+});
+
+test('MEDLINE records fold indented continuation lines and prefer full author names', () => {
+  assert.equal(detectFormat(MEDLINE), 'medline');
+  const { papers } = importPapers(MEDLINE);
+  assert.equal(papers.length, 2);
+  assert.equal(papers[0].title, 'Exercise and depression in older adults: a randomized controlled trial.');
+  assert.equal(papers[0].abstract, 'Older adults were randomized to exercise or usual care. Depression scores fell.');
+  assert.deepEqual(papers[0].authors, ['Brown, Mary']);
+  assert.equal(papers[0].year, 2020);
+  assert.equal(papers[0].doi, '10.1001/jamapsychiatry.2020.0001');
+  assert.equal(papers[0].pmid, '33000001');
+  assert.deepEqual(papers[0].keywords, ['depression']);
+  assert.deepEqual(papers[1].authors, ['Kim J']);
+  assert.equal(papers[1].doi, null);
+});
+
+test('CSV rows allow quoted commas, quotes and newlines and map known headers', () => {
+  const csv = '﻿Article Title,Abstract,Authors,Publication Year,DOI,PubMed ID\r\n'
+    + '"Sleep, stress and ""burnout""","Nurses were surveyed.\nBurnout was common.",Ito K; Diaz R,2022,doi:10.1000/xyz123,35000001\r\n'
+    + 'No abstract here,,,,,\r\n';
+  assert.equal(detectFormat(csv), 'csv');
+  const { papers, skipped } = importPapers(csv);
+  assert.deepEqual(papers, [{
+    title: 'Sleep, stress and "burnout"',
+    abstract: 'Nurses were surveyed. Burnout was common.',
+    authors: ['Ito K', 'Diaz R'],
+    year: 2022,
+    journal: null,
+    doi: '10.1000/xyz123',
+    pmid: '35000001',
+    keywords: []
+  }]);
+  assert.equal(skipped[0].reason, 'missing abstract');
+});
+
+test('empty content and unknown formats are rejected', () => {
+  assert.match(importPapers('  ').error, /should be a non-empty string/);
+  assert.match(importPapers('x', 'endnote').error, /Unsupported import format 'endnote'/);
+});
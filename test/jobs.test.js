@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createJob, getJob, cancelJob, deleteJob, describeJob, followJob, isFinished } = require('../src/jobs');
+
+// Resolves once the job has announced that it finished
+function finished(job) {
+  return isFinished(job) ? Promise.resolve(job) : new Promise(resolve => job.emitter.once('finished', resolve));
+}
+
+test('a job runs its task, records progress and keeps the result', async () => {
+  const job = createJob(async current => {
+    current.reportProgress({ type: 'progress', node: 'agent2', completed: 1, total: 2, currentStep: 'Extracting' });
+    return { success: true };
+  }, { tenant_id: 'acme' });
+  assert.equal(job.status, 'queued');
+  assert.equal(getJob(job.id), job);
+
+  await finished(job);
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.result, { success: true });
+  const view = describeJob(job);
+  assert.equal(view.currentStep, 'Extracting');
+  assert.deepEqual(view.progress, { agent2: { processed: 1, total: 2 } });
+  assert.equal(view.result, undefined);
+  assert.ok(deleteJob(job.id));
+  assert.equal(getJob(job.id), null);
+});
+
+test('a failing task fails the job with its message', async () => {
+  const job = createJob(async () => { throw new Error('model unavailable'); });
+  await finished(job);
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'model unavailable');
+});
+
+test('cancelling aborts the task and announces the end once', async () => {
+  let settle;
+  const job = createJob(current => new Promise(resolve => {
+    settle = resolve;
+    current.signal.addEventListener('abort', () => setImmediate(() => resolve('stopped')));
+  }));
+  let announcements = 0;
+  job.emitter.on('finished', () => announcements++);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(job.status, 'running');
+
+  let followerCalls = 0;
+  followJob(job, () => {}, () => followerCalls++);
+  assert.ok(cancelJob(job));
+  assert.ok(job.signal.aborted);
+  assert.equal(job.status, 'cancelled');
+  assert.ok(!cancelJob(job));
+
+  // Let the task settle after the cancellation
+  settle('late');
+  await new Promise(resolve => setImmediate(resolve));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.result, null);
+  assert.equal(announcements, 1);
+  assert.equal(followerCalls, 1);
+});
+
+test('a job cancelled while queued never starts', async () => {
+  let started = false;
+  const job = createJob(async () => { started = true; });
+  cancelJob(job);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(started, false);
+  assert.equal(job.status, 'cancelled');
+});
+
+test('followJob replays past events, then follows the job live', async () => {
+  let proceed;
+  const job = createJob(async current => {
+    current.reportProgress({ type: 'step', currentStep: 'Input Processed' });
+    await new Promise(resolve => { proceed = resolve; });
+    current.reportProgress({ type: 'step', currentStep: 'Metadata Extracted' });
+    return { success: true };
+  });
+  await new Promise(resolve => setImmediate(resolve));
+
+  const seen = [];
+  const done = new Promise(resolve => followJob(job, event => seen.push(event.currentStep), resolve));
+  assert.deepEqual(seen, ['Input Processed']);
+  proceed();
+  assert.equal((await done).status, 'completed');
+  assert.deepEqual(seen, ['Input Processed', 'Metadata Extracted']);
+  assert.equal(job.emitter.listenerCount('event'), 0);
+
+  // A finished job is replayed in full and reported finished straight away
+  const replayed = [];
+  let finishedCalls = 0;
+  followJob(job, event => replayed.push(event.currentStep), () => finishedCalls++);
+  assert.deepEqual(replayed, seen);
+  assert.equal(finishedCalls, 1);
+});
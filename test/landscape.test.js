@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MAX_CLUSTERS, analyzeLandscape } = require('../src/landscape');
+
+// Two topics: papers 1, 3 and 5 on diabetes telemonitoring, 2 and 4 on exercise for depression
+const papers = [
+  { title: 'Telemonitoring of glucose in diabetes', abstract: 'Telemonitoring lowered glucose and HbA1c in diabetes patients.', year: 2019 },
+  { title: 'Exercise therapy for depression', abstract: 'Supervised exercise reduced depression symptoms in older adults.' },
+  { title: 'Remote glucose telemonitoring for type 2 diabetes', abstract: 'Diabetes patients using telemonitoring had better HbA1c.', year: 2021 },
+  { title: 'Aerobic exercise and depression in older adults', abstract: 'Aerobic exercise improved depression scores.' },
+  { title: 'Diabetes telemonitoring programmes', abstract: 'A telemonitoring programme improved glucose control in diabetes.' }
+];
+const metadata = [
+  { study_type: 'RCT', methodology: 'Randomized controlled trial', keywords: ['telemonitoring', 'diabetes'] },
+  { study_type: 'RCT', methodology: 'Not specified', keywords: ['exercise', 'depression'], year: '2020' },
+  { study_type: 'Cohort', keywords: ['telemonitoring'] },
+  { study_type: 'RCT', keywords: ['exercise', 'depression'], year: 'Not specified' },
+  {}
+];
+
+test('k-means separates the topics and numbers clusters by size', () => {
+  const landscape = analyzeLandscape(papers, metadata);
+  assert.equal(landscape.method, 'tfidf_kmeans');
+  // sqrt(5 / 2) rounds to 2 clusters
+  assert.equal(landscape.cluster_count, 2);
+  assert.deepEqual(landscape.clusters.map(c => c.paper_ids), [[1, 3, 5], [2, 4]]);
+  assert.deepEqual(landscape.paper_clusters, { 1: 1, 2: 2, 3: 1, 4: 2, 5: 1 });
+  assert.ok(landscape.clusters[0].terms.includes('telemonitoring'));
+  assert.ok(landscape.clusters[1].terms.includes('depression'));
+  assert.equal(landscape.clusters[0].label, landscape.clusters[0].terms.slice(0, 3).join(', '));
+  assert.deepEqual([landscape.clusters[0].name, landscape.clusters[0].summary], [null, null]);
+});
+
+test('clustering is deterministic and honours the requested cluster count', () => {
+  assert.deepEqual(analyzeLandscape(papers, metadata), analyzeLandscape(papers, metadata));
+  assert.equal(analyzeLandscape(papers, metadata, { clusters: 1 }).clusters[0].size, 5);
+  // More clusters than papers is capped at one per paper, and clusters left empty are dropped
+  const capped = analyzeLandscape(papers.slice(0, 4), metadata, { clusters: MAX_CLUSTERS });
+  assert.ok(capped.cluster_count <= 4);
+  assert.ok(capped.clusters.every(c => c.size > 0));
+  assert.deepEqual(Object.keys(capped.paper_clusters), ['1', '2', '3', '4']);
+  assert.deepEqual(analyzeLandscape(papers.slice(0, 1), metadata).paper_clusters, { 1: 1 });
+});
+
+test('distributions count study types, methodologies and years for the corpus and each cluster', () => {
+  const landscape = analyzeLandscape(papers, metadata);
+  assert.deepEqual(landscape.distributions.study_types, [
+    { value: 'RCT', count: 3 },
+    { value: 'Cohort', count: 1 },
+    { value: 'Not specified', count: 1 }
+  ]);
+  assert.deepEqual(landscape.distributions.methodologies, [
+    { value: 'Not specified', count: 4 },
+    { value: 'Randomized controlled trial', count: 1 }
+  ]);
+  // Input years come before extracted ones; years are listed in order with unknowns last
+  assert.deepEqual(landscape.distributions.years, [
+    { value: '2019', count: 1 },
+    { value: '2020', count: 1 },
+    { value: '2021', count: 1 },
+    { value: 'Not specified', count: 2 }
+  ]);
+  assert.deepEqual(landscape.distributions.year_range, { from: 2019, to: 2021 });
+  assert.deepEqual(landscape.clusters[1].distributions.year_range, { from: 2020, to: 2020 });
+});
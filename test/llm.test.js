@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const { HumanMessage } = require('@langchain/core/messages');
+
+const { resolveLlmSettings, describeLlmSettings, getModel } = require('../src/llm');
+
+const LLM_MODULE = path.join(__dirname, '..', 'src', 'llm.js');
+
+// Load the provider layer in a fresh process with the given environment
+function loadWithEnv(env) {
+  return spawnSync(process.execPath, ['-e', `require(${JSON.stringify(LLM_MODULE)})`], {
+    env: { ...process.env, ...env },
+    encoding: 'utf8'
+  });
+}
+
+test('an unknown LLM_PROVIDER fails at load time', () => {
+  const result = loadWithEnv({ LLM_PROVIDER: 'gemnii' });
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /LLM_PROVIDER should be one of: gemini, openai, ollama, fake/);
+});
+
+test('an invalid LLM_TEMPERATURE fails at load time', () => {
+  const result = loadWithEnv({ LLM_PROVIDER: 'fake', LLM_TEMPERATURE: 'warm' });
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /LLM_TEMPERATURE should be a number between 0 and 2/);
+});
+
+test('a valid provider configuration loads', () => {
+  const result = loadWithEnv({ LLM_PROVIDER: 'ollama', LLM_TEMPERATURE: '0' });
+  assert.equal(result.status, 0, result.stderr);
+});
+
+test('resolveLlmSettings validates request settings', () => {
+  assert.match(resolveLlmSettings({ provider: 'nope' }).error, /'llm.provider' should be one of/);
+  assert.match(resolveLlmSettings({ provider: 'fake', temperature: 3 }).error, /'llm.temperature'/);
+  assert.match(resolveLlmSettings({ provider: 'ollama', responses: {} }).error, /only supported by the 'fake' provider/);
+  assert.match(resolveLlmSettings([]).error, /'llm' should be an object/);
+
+  const { settings } = resolveLlmSettings({ provider: 'fake', temperature: 0 });
+  assert.deepEqual(settings, { provider: 'fake', model: 'fake-deterministic', temperature: 0 });
+});
+
+test('describeLlmSettings leaves out canned responses', () => {
+  const { settings } = resolveLlmSettings({ provider: 'fake', responses: { extract_metadata: {} } });
+  assert.deepEqual(Object.keys(describeLlmSettings(settings)), ['provider', 'model', 'temperature']);
+});
+
+test('models sharing a client still answer with their own settings', async () => {
+  const first = resolveLlmSettings({ provider: 'fake', responses: { summarize_cluster: { name: 'first' } } }).settings;
+  const second = resolveLlmSettings({ provider: 'fake', responses: { summarize_cluster: { name: 'second' } } }).settings;
+  const messages = [new HumanMessage('Summarise')];
+
+  const [a, b] = await Promise.all([
+    getModel(first).invoke(messages, { task: 'summarize_cluster' }),
+    getModel(second).invoke(messages, { task: 'summarize_cluster' })
+  ]);
+  assert.deepEqual(JSON.parse(a.content), { name: 'first' });
+  assert.deepEqual(JSON.parse(b.content), { name: 'second' });
+  assert.ok(a.usage_metadata.total_tokens > 0);
+});
+
+test('the fake model answers known tasks from the input without canned responses', async () => {
+  const { settings } = resolveLlmSettings({ provider: 'fake' });
+  const response = await getModel(settings).invoke([new HumanMessage('Summarise')], {
+    task: 'summarize_cluster',
+    input: { terms: ['triage', 'learning'], papers: [{ title: 'Machine learning triage' }] }
+  });
+  const summary = JSON.parse(response.content);
+  assert.equal(typeof summary.name, 'string');
+  assert.equal(typeof summary.summary, 'string');
+});
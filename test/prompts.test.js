@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolvePrompts, promptTemplate, renderPrompt, describePrompts, promptVersions } = require('../src/prompts');
+
+test('runs without prompt settings use the default templates', () => {
+  const { prompts } = resolvePrompts(undefined);
+  assert.equal(prompts.preset, null);
+  const template = promptTemplate(prompts, 'evaluate_paper');
+  assert.equal(template.source, 'default');
+  assert.match(template.sha256, /^[a-f0-9]{16}$/);
+  assert.deepEqual(promptTemplate(null, 'evaluate_paper'), template);
+});
+
+test('a preset replaces its templates and keeps the defaults for the rest', () => {
+  const { prompts } = resolvePrompts({ preset: 'clinical' });
+  const evaluate = promptTemplate(prompts, 'evaluate_paper');
+  assert.equal(evaluate.source, 'preset');
+  assert.equal(evaluate.version, 'clinical-1');
+  assert.match(evaluate.system, /Cochrane/);
+  // The preset only replaces the system message
+  assert.equal(evaluate.user, promptTemplate(null, 'evaluate_paper').user);
+  assert.equal(describePrompts(prompts).preset, 'clinical');
+});
+
+test('overrides are laid over the preset and versioned', () => {
+  const { prompts } = resolvePrompts({
+    preset: 'clinical',
+    templates: { evaluate_paper: { system: 'Be strict. Return only valid JSON.{{persona}}' } }
+  });
+  const evaluate = promptTemplate(prompts, 'evaluate_paper');
+  assert.equal(evaluate.source, 'override');
+  assert.equal(evaluate.version, 'clinical-1+custom');
+  assert.equal(evaluate.user, promptTemplate(null, 'evaluate_paper').user);
+  assert.equal(promptVersions(prompts).evaluate_paper, 'clinical-1+custom');
+});
+
+test('templates must keep the required placeholders and use only known ones', () => {
+  assert.match(
+    resolvePrompts({ templates: { evaluate_paper: { user: 'Title: {{title}}' } } }).error,
+    /'prompts.templates.evaluate_paper' is missing required placeholders: \{\{criteria\}\}/
+  );
+  assert.match(
+    resolvePrompts({ templates: { summarize_cluster: { system: 'Name {{cluster}}' } } }).error,
+    /uses unknown placeholders: \{\{cluster\}\}/
+  );
+  assert.match(resolvePrompts({ templates: { rank_papers: { system: 'x' } } }).error, /is not a prompt task/);
+  assert.match(resolvePrompts({ preset: 'astrology' }).error, /'prompts.preset' should be one of: /);
+  assert.match(resolvePrompts({ templates: { evaluate_paper: { system: '' } } }).error, /should be a non-empty string/);
+  assert.match(resolvePrompts({ templates: { evaluate_paper: { version: 7 } } }).error, /\.version' should be a non-empty string/);
+});
+
+test('renderPrompt does not expand placeholders found inside the values', () => {
+  const template = { system: 'System {{persona}}', user: 'Title: {{title}}\nAbstract: {{abstract}}' };
+  const { system, user } = renderPrompt(template, {
+    title: 'Templates with {{abstract}} in the title',
+    abstract: 'Uses {{title}} and $& literally',
+    persona: null
+  });
+  assert.equal(system, 'System ');
+  assert.equal(user, 'Title: Templates with {{abstract}} in the title\nAbstract: Uses {{title}} and $& literally');
+});
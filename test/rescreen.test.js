@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { selectNewPapers, mergeEvaluation } = require('../src/rescreen');
+
+const previousPapers = [
+  { title: 'Deep learning for diabetic retinopathy screening', abstract: 'A randomized trial.', year: 2021 },
+  { title: 'Telemonitoring in type 2 diabetes', abstract: 'A systematic review.', doi: '10.1/tele' }
+];
+
+test('new papers are fuzzy-matched against the previous run', () => {
+  const { papers, skipped } = selectNewPapers(previousPapers, [
+    { title: 'Deep-learning for diabetic retinopathy screening.', abstract: 'Same trial, other database.', year: 2021 },
+    { title: 'Telemonitoring in type-2 diabetes: a review', abstract: 'Indexed elsewhere.', doi: 'https://doi.org/10.1/TELE' },
+    { title: 'Machine learning triage', abstract: 'A cohort study.' }
+  ]);
+  assert.deepEqual(papers.map(p => p.title), ['Machine learning triage']);
+  assert.deepEqual(skipped.map(s => [s.index, s.duplicate_of]), [[0, 1], [1, 2]]);
+  assert.deepEqual(skipped[0].matched_on, ['title_year']);
+  assert.deepEqual(skipped[1].matched_on, ['doi']);
+});
+
+test('new papers are fuzzy-matched against each other and numbered after the previous run', () => {
+  const { papers, skipped } = selectNewPapers(previousPapers, [
+    { title: 'Survey of clinician attitudes toward AI', abstract: 'A questionnaire.', year: 2020 },
+    { title: 'Machine learning triage', abstract: 'A cohort study.' },
+    { title: 'Survey of clinician attitudes towards AI', abstract: 'The same questionnaire.', year: 2020 }
+  ]);
+  assert.equal(papers.length, 2);
+  assert.deepEqual(skipped.map(s => [s.index, s.duplicate_of]), [[2, 3]]);
+});
+
+test('same-titled papers with different DOIs are kept', () => {
+  const { papers, skipped } = selectNewPapers(previousPapers, [
+    { title: 'Telemonitoring in type 2 diabetes', abstract: 'A different paper.', doi: '10.1/other' }
+  ]);
+  assert.equal(papers.length, 1);
+  assert.equal(skipped.length, 0);
+});
+
+test('without deduplication every paper is kept and copies are reported as clusters', () => {
+  const { papers, skipped, clusters } = selectNewPapers(previousPapers, [
+    { title: 'Deep-learning for diabetic retinopathy screening.', abstract: 'Same trial, other database.', year: 2021 },
+    { title: 'Machine learning triage', abstract: 'A cohort study.' }
+  ], { deduplicate: false });
+  assert.equal(papers.length, 2);
+  assert.equal(skipped.length, 0);
+  assert.deepEqual(clusters.map(c => [c.paper_id, c.members.map(m => m.input_position)]), [[1, [1, 3]]]);
+});
+
+test('papers without a title or abstract are rejected', () => {
+  assert.match(selectNewPapers(previousPapers, [{ title: 'No abstract' }]).error, /Paper 1 missing required fields/);
+});
+
+test('mergeEvaluation keeps previous verdicts when nothing was re-evaluated', () => {
+  const criteria = [{ id: 1 }, { id: 2 }];
+  const previous = {
+    paper_id: 1,
+    evaluations: [{ criterion_id: 1, response: 'Yes' }, { criterion_id: 2, response: 'No' }, { criterion_id: 3, response: 'Yes' }],
+    rater_evaluations: [{ rater_id: 1, evaluations: [{ criterion_id: 1, response: 'Yes' }] }]
+  };
+  const merged = mergeEvaluation(previous, null, criteria);
+  assert.deepEqual(merged.evaluations.map(e => e.criterion_id), [1, 2]);
+  assert.deepEqual(merged.rater_evaluations[0].evaluations, [{ criterion_id: 1, response: 'Yes' }]);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('node:events');
+
+// A provider name of our own, so these settings only apply to this scheduler
+process.env.SCHEDULERTEST_CONCURRENCY = '1';
+process.env.SCHEDULERTEST_RATE_LIMIT_RPM = '0';
+process.env.SCHEDULERTEST_MAX_RETRIES = '0';
+
+const { getScheduler, mapInOrder } = require('../src/scheduler');
+
+test('queued calls leave no abort listeners on the shared signal', async () => {
+  const scheduler = getScheduler('schedulertest');
+  const controller = new AbortController();
+  let peak = 0;
+
+  const results = await Promise.all(Array.from({ length: 20 }, (_, i) => scheduler.schedule(async () => {
+    peak = Math.max(peak, getEventListeners(controller.signal, 'abort').length);
+    await new Promise(resolve => setImmediate(resolve));
+    return i;
+  }, { signal: controller.signal })));
+
+  assert.deepEqual(results, Array.from({ length: 20 }, (_, i) => i));
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+  // The running call's timeout listener plus one shared by every queued call
+  assert.ok(peak <= 2, `peak of ${peak} listeners`);
+});
+
+test('aborting rejects queued calls and removes their listeners', async () => {
+  const scheduler = getScheduler('schedulertest');
+  const controller = new AbortController();
+  let release;
+  const blocker = scheduler.schedule(() => new Promise(resolve => { release = resolve; }));
+  const queued = scheduler.schedule(async () => 'never', { signal: controller.signal });
+
+  controller.abort(new Error('stop'));
+  await assert.rejects(queued, { name: 'AbortError', message: 'stop' });
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+
+  release('done');
+  assert.equal(await blocker, 'done');
+});
+
+test('mapInOrder keeps input order', async () => {
+  const results = await mapInOrder([30, 10, 20], async ms => {
+    await new Promise(resolve => setTimeout(resolve, ms));
+    return ms;
+  });
+  assert.deepEqual(results, [30, 10, 20]);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  resolveSelection, findUnknownCriteria, scorePaper, findRuleExclusions, describeExclusions
+} = require('../src/selection');
+
+const criteria = [
+  { id: 1, criterion: 'Adults', type: 'hard' },
+  { id: 2, criterion: 'Randomized', type: 'soft' },
+  { id: 3, criterion: 'Reports HbA1c', type: 'soft' },
+  { id: 4, criterion: 'Follow-up of a year', type: 'soft' }
+];
+
+// An evaluation from verdicts listed in criterion order
+function evaluation(...responses) {
+  return { evaluations: responses.map((response, index) => ({ criterion_id: index + 1, response })) };
+}
+
+function ladder(...responses) {
+  return scorePaper(evaluation(...responses), criteria, resolveSelection({}).selection);
+}
+
+test('the ladder ranks soft verdicts in tiers and adds points per Yes and Maybe', () => {
+  assert.equal(ladder('Yes', 'Yes', 'Yes', 'Yes').score, 1040);
+  assert.match(ladder('Yes', 'Yes', 'Yes', 'Yes').summary, /^all 3 soft criteria Yes \(ladder score 1040\)$/);
+  assert.equal(ladder('Yes', 'Yes', 'Yes', 'Maybe').score, 935);
+  assert.equal(ladder('Yes', 'Yes', 'Maybe', 'Maybe').score, 830);
+  assert.equal(ladder('Yes', 'Yes', 'Yes', 'No').score, 730);
+  assert.match(ladder('Yes', 'Yes', 'Yes', 'No').summary, /2\/3 soft criteria Yes with at most one No/);
+
+  const failing = ladder('Yes', 'Yes', 'No', 'No');
+  assert.equal(failing.score, 20);
+  assert.equal(failing.eligible, false);
+  assert.match(failing.summary, /only 1\/3 soft criteria Yes and 2 No/);
+  // Hard verdicts add points but do not move a paper between tiers
+  assert.equal(ladder('Maybe', 'Yes', 'Yes', 'Yes').score, 1035);
+});
+
+test('with only hard criteria the ladder ranks by the hard verdicts', () => {
+  const hard = criteria.map(c => ({ ...c, type: 'hard' }));
+  const score = (...responses) => scorePaper(evaluation(...responses), hard, resolveSelection({}).selection);
+
+  assert.match(score('Yes', 'Yes', 'Yes', 'Yes').summary, /^all 4 hard criteria Yes/);
+  assert.equal(score('Yes', 'Yes', 'Yes', 'Yes').score, 1040);
+  assert.equal(score('Yes', 'Yes', 'Yes', 'Maybe').score, 935);
+  assert.match(score('Yes', 'Yes', 'Maybe', 'Maybe').summary, /^all hard criteria Yes but two Maybe/);
+  assert.equal(score('Maybe', 'Maybe', 'Maybe', 'Maybe').eligible, false);
+});
+
+test('the other strategies score, decide and explain', () => {
+  const weighted = scorePaper(evaluation('No', 'Yes', 'Maybe', 'No'), criteria, resolveSelection({ strategy: 'weighted', weights: { 2: 2 } }).selection);
+  assert.equal(weighted.score, 0.625);
+  assert.equal(weighted.eligible, true);
+  assert.match(weighted.summary, /\(C2 Yes x2, C3 Maybe x1, C4 No x1\)$/);
+
+  const minYes = scorePaper(evaluation('Yes', 'Maybe', 'No', 'Yes'), criteria, resolveSelection({ strategy: 'min_yes', min_yes: 3 }).selection);
+  assert.deepEqual([minYes.score, minYes.eligible], [2.5, false]);
+
+  const lexicographic = resolveSelection({ strategy: 'lexicographic', priority: [3, 2] }).selection;
+  assert.ok(scorePaper(evaluation('No', 'Maybe', 'Yes', 'No'), criteria, lexicographic).score
+    > scorePaper(evaluation('Yes', 'Yes', 'Maybe', 'Yes'), criteria, lexicographic).score);
+  assert.match(scorePaper(evaluation('Yes', 'No', 'Yes', 'Yes'), criteria, lexicographic).summary, /answered No: C2 "Randomized"/);
+
+  const allPassing = scorePaper(evaluation('Yes', 'Maybe', 'Yes', 'No'), criteria, resolveSelection({ strategy: 'all_passing' }).selection);
+  assert.equal(allPassing.eligible, false);
+  assert.equal(allPassing.summary, 'fails C4 "Follow-up of a year"');
+});
+
+test('exclusion rules default to No and fire on the listed verdicts', () => {
+  const { selection } = resolveSelection({
+    exclusion_rules: [{ criterion_id: 2 }, { criterion_id: 3, responses: ['No', 'Maybe'] }, { criterion_id: 4, response: 'Yes' }]
+  });
+  assert.deepEqual(selection.exclusion_rules, [
+    { criterion_id: 2, responses: ['No'] },
+    { criterion_id: 3, responses: ['No', 'Maybe'] },
+    { criterion_id: 4, responses: ['Yes'] }
+  ]);
+
+  const fired = findRuleExclusions(evaluation('Yes', 'Yes', 'Maybe', 'No'), selection);
+  assert.deepEqual(fired, [{ criterion_id: 3, response: 'Maybe' }]);
+  assert.equal(
+    describeExclusions([1], fired, criteria),
+    'hard criterion C1 "Adults" answered No; exclusion rule on C3 "Reports HbA1c" (answered Maybe)'
+  );
+});
+
+test('invalid selection settings and unknown criteria are reported', () => {
+  assert.match(resolveSelection([]).error, /should be an object/);
+  assert.match(resolveSelection({ strategy: 'random' }).error, /'options.selection.strategy' should be one of: ladder/);
+  assert.match(resolveSelection({ weights: { 2: -1 } }).error, /'options.selection.weights.2'/);
+  assert.match(resolveSelection({ strategy: 'min_yes' }).error, /'options.selection.min_yes'/);
+  assert.match(resolveSelection({ strategy: 'lexicographic' }).error, /at least one criterion id/);
+  assert.match(resolveSelection({ exclusion_rules: [{ criterion_id: 0 }] }).error, /exclusion_rules\[0\].criterion_id/);
+  assert.match(resolveSelection({ exclusion_rules: [{ criterion_id: 1, responses: ['Unsure'] }] }).error, /exclusion_rules\[0\].responses/);
+
+  const { selection } = resolveSelection({ weights: { 9: 1 }, priority: [2, 7], exclusion_rules: [{ criterion_id: 9 }] });
+  assert.deepEqual(findUnknownCriteria(selection, criteria), [9, 7]);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HumanMessage } = require('@langchain/core/messages');
+
+// Each test file runs in its own process, so this only affects the module loaded here
+process.env.LLM_MAX_REPAIRS = '0';
+
+const { METADATA_SCHEMA, normalizeMetadata, extractJson, invokeStructured } = require('../src/structured');
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['name', 'summary'],
+  properties: { name: { type: 'string' }, summary: { type: 'string' } }
+};
+
+// A model that answers with `replies` in turn and counts its calls
+function scriptedModel(replies) {
+  const model = {
+    calls: 0,
+    async invoke() {
+      return { content: replies[Math.min(model.calls++, replies.length - 1)] };
+    }
+  };
+  return model;
+}
+
+test('extractJson reads fenced JSON and JSON inside prose', () => {
+  assert.deepEqual(extractJson('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(extractJson('Here you go: [1, 2] - done'), [1, 2]);
+  assert.throws(() => extractJson('no json here'), SyntaxError);
+});
+
+test('extractJson drops trailing commas outside strings only', () => {
+  assert.deepEqual(extractJson('Result: {"quotes": ["a", "b",], "n": 1,}'), { quotes: ['a', 'b'], n: 1 });
+  assert.deepEqual(
+    extractJson('Result: {"quote": "values such as \\"x\\", ] and , }", "n": [1,],}'),
+    { quote: 'values such as "x", ] and , }', n: [1] }
+  );
+});
+
+test('LLM_MAX_REPAIRS=0 turns the re-ask loop off', async () => {
+  const model = scriptedModel(['not json', '{"name": "n", "summary": "s"}']);
+  await assert.rejects(
+    invokeStructured(model, [new HumanMessage('Summarise')], { schema: SUMMARY_SCHEMA }),
+    /after 1 attempts/
+  );
+  assert.equal(model.calls, 1);
+});
+
+test('invalid output is re-asked up to maxRepairs times', async () => {
+  const model = scriptedModel(['{"name": "n"}', '{"name": "n", "summary": "s"}']);
+  const { value, attempts } = await invokeStructured(model, [new HumanMessage('Summarise')], {
+    schema: SUMMARY_SCHEMA,
+    maxRepairs: 2
+  });
+  assert.deepEqual(value, { name: 'n', summary: 's' });
+  assert.equal(attempts, 2);
+  assert.equal(model.calls, 2);
+});
+
+test('metadata with a null year is accepted as "Not specified" without a re-ask', async () => {
+  const model = scriptedModel([JSON.stringify({
+    title: 'Telemonitoring in diabetes',
+    year: null,
+    journal: null,
+    keywords: ['telemonitoring'],
+    research_domain: 'Endocrinology',
+    methodology: 'Systematic review',
+    study_type: 'Review'
+  })]);
+  const { value, attempts } = await invokeStructured(model, [new HumanMessage('Extract')], {
+    schema: METADATA_SCHEMA,
+    normalize: normalizeMetadata,
+    maxRepairs: 2
+  });
+  assert.equal(attempts, 1);
+  assert.equal(value.year, 'Not specified');
+  assert.equal(value.journal, 'Not specified');
+  assert.equal(normalizeMetadata(null), null);
+  assert.deepEqual(normalizeMetadata({ year: 2021 }), { year: 2021 });
+});
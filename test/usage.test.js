@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.LLM_PRICING;
+const { budgetError, resolvePricing, createUsage, recordUsage, budgetExceeded } = require('../src/usage');
+
+const gemini = { provider: 'gemini', model: 'gemini-2.0-flash' };
+
+test('calls are priced per million tokens and totalled by agent, paper and model', () => {
+  const { pricing } = resolvePricing();
+  const usage = createUsage();
+  recordUsage(usage, { agent: 'agent2', paperId: 1, llm: gemini }, { input_tokens: 1000, output_tokens: 500, total_tokens: 1500 }, pricing);
+  recordUsage(usage, { agent: 'agent4', paperId: 1, llm: gemini }, { input_tokens: 2000, output_tokens: 100 }, pricing);
+  recordUsage(usage, { agent: 'agent3', llm: gemini }, null, pricing);
+
+  // 3000 input tokens at $0.10 and 600 output tokens at $0.40 per million
+  assert.equal(usage.cost_usd, 0.00054);
+  assert.deepEqual(
+    [usage.calls, usage.input_tokens, usage.output_tokens, usage.total_tokens, usage.unpriced_calls],
+    [3, 3000, 600, 3600, 0]
+  );
+  assert.equal(usage.by_agent.agent2.cost_usd, 0.0003);
+  assert.equal(usage.by_agent.agent4.total_tokens, 2100);
+  assert.equal(usage.by_agent.agent3.calls, 1);
+  assert.deepEqual(Object.keys(usage.by_paper), ['1']);
+  assert.equal(usage.by_paper[1].calls, 2);
+  assert.equal(usage.by_model['gemini/gemini-2.0-flash'].calls, 3);
+});
+
+test('local models are free and unknown models are counted as unpriced', () => {
+  const { pricing } = resolvePricing();
+  const usage = createUsage();
+  recordUsage(usage, { agent: 'agent4', paperId: 2, llm: { provider: 'ollama', model: 'llama3' } }, { input_tokens: 900, output_tokens: 100 }, pricing);
+  recordUsage(usage, { agent: 'agent4', paperId: 2, llm: { provider: 'openai', model: 'o9-preview' } }, { input_tokens: 10, output_tokens: 10 }, pricing);
+  assert.equal(usage.cost_usd, 0);
+  assert.equal(usage.unpriced_calls, 1);
+  assert.equal(usage.total_tokens, 1020);
+});
+
+test('request pricing is merged over the configured table and validated', () => {
+  const { pricing } = resolvePricing({ 'o9-preview': { input_per_million: 10, output_per_million: 30 } });
+  assert.deepEqual(pricing['o9-preview'], { input_per_million: 10, output_per_million: 30 });
+  assert.ok(pricing['gpt-4o']);
+  assert.match(resolvePricing([]).error, /'pricing' should be an object keyed by model name/);
+  assert.match(resolvePricing({ 'gpt-4o': { input_per_million: -1, output_per_million: 1 } }).error, /'pricing.gpt-4o' should be/);
+});
+
+test('the budget is spent once tokens or cost reach their limit', () => {
+  const usage = { ...createUsage(), total_tokens: 5000, cost_usd: 0.25 };
+  assert.equal(budgetExceeded(usage, { max_tokens: null, max_cost_usd: null }), null);
+  assert.equal(budgetExceeded(usage, { max_tokens: 5001, max_cost_usd: 0.3 }), null);
+  assert.equal(budgetExceeded(usage, { max_tokens: 5000 }), 'Token budget exceeded: 5000 of 5000 tokens used');
+  assert.equal(budgetExceeded(usage, { max_cost_usd: 0.2 }), 'Cost budget exceeded: $0.2500 of $0.2 spent');
+
+  const error = budgetError('Token budget exceeded', usage);
+  assert.equal(error.budgetExceeded, true);
+  assert.equal(error.usage, usage);
+});